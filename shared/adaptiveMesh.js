@@ -0,0 +1,392 @@
+import * as THREE from "three";
+
+/**
+ * Adaptive, depth-aware triangulation of the image plane. Instead of a fixed
+ * grid, a quadtree is refined where the depth is poorly approximated by its
+ * cell corners (edges, curved surfaces) and left coarse on flat areas, until
+ * the triangle budget is spent. Neighbouring cells differ by at most one
+ * level, and cells next to finer ones also connect to their edge midpoints,
+ * so the mesh has no cracks. Triangles spanning a depth discontinuity are
+ * left out, tearing the mesh there instead of stretching it between
+ * foreground and background.
+ */
+
+/**
+ * Deepest quadtree level; 1024 cells across is finer than any depth map here.
+ */
+const MAX_LEVEL = 10;
+
+/**
+ * Largest number of depth samples per cell side when measuring its error.
+ */
+const ERROR_SAMPLES = 8;
+
+/**
+ * Cells with a smaller error are flat enough and never split.
+ */
+const MIN_ERROR = 1e-4;
+
+/**
+ * Edge directions as `[dx, dy]`: up, right, down and left in image space.
+ */
+const DIRECTIONS = [
+  [0, -1],
+  [1, 0],
+  [0, 1],
+  [-1, 0],
+];
+
+/**
+ * Binary max-heap of quadtree cells, ordered by their error.
+ */
+class CellQueue {
+  constructor() {
+    this.cells = [];
+    this.errors = [];
+  }
+
+  /**
+   * The number of queued cells.
+   * @returns {number} The size.
+   */
+  get size() {
+    return this.cells.length;
+  }
+
+  /**
+   * The largest error in the queue.
+   * @returns {number} The error of the next cell to pop.
+   */
+  get maxError() {
+    return this.errors[0];
+  }
+
+  /**
+   * Queues a cell.
+   * @param {number} cell - The cell key.
+   * @param {number} error - Its error.
+   */
+  push(cell, error) {
+    const { cells, errors } = this;
+    let i = cells.length;
+    cells.push(cell);
+    errors.push(error);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (errors[parent] >= error) break;
+      cells[i] = cells[parent];
+      errors[i] = errors[parent];
+      i = parent;
+    }
+    cells[i] = cell;
+    errors[i] = error;
+  }
+
+  /**
+   * Removes the cell with the largest error.
+   * @returns {number} The cell key.
+   */
+  pop() {
+    const { cells, errors } = this;
+    const top = cells[0];
+    const lastCell = cells.pop();
+    const lastError = errors.pop();
+    if (cells.length === 0) return top;
+
+    let i = 0;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= cells.length) break;
+      if (child + 1 < cells.length && errors[child + 1] > errors[child]) {
+        child++;
+      }
+      if (errors[child] <= lastError) break;
+      cells[i] = cells[child];
+      errors[i] = errors[child];
+      i = child;
+    }
+    cells[i] = lastCell;
+    errors[i] = lastError;
+    return top;
+  }
+}
+
+/**
+ * Encodes a quadtree cell as a number: cells of each level are numbered row
+ * by row after all cells of the levels above.
+ * @param {number} level - The level; the root is 0.
+ * @param {number} x - The column, 0..2^level - 1.
+ * @param {number} y - The row, 0..2^level - 1.
+ * @returns {number} The cell key.
+ */
+function cellKey(level, x, y) {
+  return ((1 << (2 * level)) - 1) / 3 + y * (1 << level) + x;
+}
+
+/**
+ * Decodes a cell key from `cellKey`.
+ * @param {number} key - The cell key.
+ * @returns {Array<number>} The level, column and row.
+ */
+function decodeCell(key) {
+  let level = 0;
+  while (cellKey(level + 1, 0, 0) <= key) level++;
+  const index = key - cellKey(level, 0, 0);
+  const size = 1 << level;
+  return [level, index % size, Math.floor(index / size)];
+}
+
+/**
+ * Triangulates the image plane adaptively from a depth buffer. The geometry
+ * is flat, facing +z and centred on the origin like a PlaneGeometry, with
+ * normals and UVs, so the depth can still be applied as a displacement map
+ * or baked into the vertices.
+ * @param {DepthBuffer} depthBuffer - The depth that drives the refinement and tearing.
+ * @param {number} planeWidth - The plane width.
+ * @param {number} planeHeight - The plane height.
+ * @param {Object} [options] - Meshing options.
+ * @param {number} [options.triangleBudget=50000] - The largest number of triangles.
+ * @param {number} [options.tearThreshold=0.15] - The depth difference across a
+ * triangle at which the mesh tears; 0 never tears.
+ * @returns {THREE.BufferGeometry} The indexed geometry.
+ */
+export function createAdaptivePlaneGeometry(
+  depthBuffer,
+  planeWidth,
+  planeHeight,
+  { triangleBudget = 50000, tearThreshold = 0.15 } = {}
+) {
+  const { width, height } = depthBuffer;
+  const maxLevel = Math.min(
+    MAX_LEVEL,
+    Math.max(1, Math.ceil(Math.log2(Math.max(width, height, 2) - 1)))
+  );
+
+  // Image coordinates s, t run from 0 to 1, left to right and top to bottom
+  const depthAt = (s, t) =>
+    depthBuffer.sample(s * (width - 1), t * (height - 1));
+
+  // The largest deviation of the depth inside a cell from the bilinear
+  // interpolation of its corners
+  const cellError = (level, x, y) => {
+    if (level >= maxLevel) return 0;
+    const size = 1 / (1 << level);
+    const s0 = x * size;
+    const t0 = y * size;
+    const corners = [
+      depthAt(s0, t0),
+      depthAt(s0 + size, t0),
+      depthAt(s0, t0 + size),
+      depthAt(s0 + size, t0 + size),
+    ];
+    const pixels = Math.max(width, height) * size;
+    const samples = Math.min(ERROR_SAMPLES, Math.max(2, Math.ceil(pixels)));
+
+    let error = 0;
+    for (let j = 0; j <= samples; j++) {
+      const fy = j / samples;
+      for (let i = 0; i <= samples; i++) {
+        const fx = i / samples;
+        const expected =
+          (corners[0] * (1 - fx) + corners[1] * fx) * (1 - fy) +
+          (corners[2] * (1 - fx) + corners[3] * fx) * fy;
+        const deviation = Math.abs(
+          depthAt(s0 + fx * size, t0 + fy * size) - expected
+        );
+        if (deviation > error) error = deviation;
+      }
+    }
+    return error;
+  };
+
+  // The worst cells are split first; record the order so the tree can be
+  // rebuilt from any number of splits
+  const splitOrder = [];
+  const queue = new CellQueue();
+  queue.push(cellKey(0, 0, 0), cellError(0, 0, 0));
+  while (
+    queue.size > 0 &&
+    queue.maxError > MIN_ERROR &&
+    (splitOrder.length * 3 + 1) * 2 < triangleBudget
+  ) {
+    const key = queue.pop();
+    splitOrder.push(key);
+    const [level, x, y] = decodeCell(key);
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const cx = x * 2 + dx;
+        const cy = y * 2 + dy;
+        queue.push(cellKey(level + 1, cx, cy), cellError(level + 1, cx, cy));
+      }
+    }
+  }
+
+  let leaves = new Set();
+  const split = (key) => {
+    const [level, x, y] = decodeCell(key);
+    leaves.delete(key);
+    const children = [];
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const child = cellKey(level + 1, x * 2 + dx, y * 2 + dy);
+        leaves.add(child);
+        children.push(child);
+      }
+    }
+    return children;
+  };
+
+  // The leaf covering a cell's area, if the area is not split finer
+  const coveringLeaf = (level, x, y) => {
+    for (let l = level; l >= 0; l--) {
+      const shift = level - l;
+      const key = cellKey(l, x >> shift, y >> shift);
+      if (leaves.has(key)) return [l, key];
+    }
+    return null;
+  };
+
+  // Which edges of a leaf (up, right, down, left) border finer cells
+  const finerEdges = (level, x, y) => {
+    const size = 1 << level;
+    return DIRECTIONS.map(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= size || ny < 0 || ny >= size) return false;
+      return coveringLeaf(level, nx, ny) === null;
+    });
+  };
+
+  // Rebuilds the tree from the first splits and balances it, so a leaf's edge
+  // neighbours are at most one level coarser. Returns its triangle count:
+  // two per leaf, or a fan of 4 plus one per finer edge.
+  const buildTree = (splitCount) => {
+    leaves = new Set([cellKey(0, 0, 0)]);
+    splitOrder.slice(0, splitCount).forEach((key) => {
+      if (leaves.has(key)) split(key);
+    });
+
+    const pending = [...leaves];
+    while (pending.length > 0) {
+      const key = pending.pop();
+      if (!leaves.has(key)) continue;
+      const [level, x, y] = decodeCell(key);
+      const size = 1 << level;
+      DIRECTIONS.forEach(([dx, dy]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= size || ny < 0 || ny >= size) return;
+        const covering = coveringLeaf(level, nx, ny);
+        if (covering && covering[0] < level - 1) {
+          pending.push(...split(covering[1]), key);
+        }
+      });
+    }
+
+    let triangles = 0;
+    leaves.forEach((key) => {
+      const finer = finerEdges(...decodeCell(key)).filter(Boolean).length;
+      triangles += finer > 0 ? 4 + finer : 2;
+    });
+    return triangles;
+  };
+
+  // Balancing and fans add triangles, so shrink the tree until it fits
+  let splitCount = splitOrder.length;
+  for (;;) {
+    const triangles = buildTree(splitCount);
+    if (triangles <= triangleBudget || splitCount === 0) break;
+    splitCount = Math.min(
+      splitCount - 1,
+      Math.floor((splitCount * triangleBudget * 0.95) / triangles)
+    );
+  }
+
+  // Vertices on a grid of half the finest cell size, shared between cells
+  const gridSize = 1 << (maxLevel + 1);
+  const vertexIndices = new Map();
+  const positions = [];
+  const uvs = [];
+  const depths = [];
+  const vertex = (gx, gy) => {
+    const key = gy * (gridSize + 1) + gx;
+    let index = vertexIndices.get(key);
+    if (index === undefined) {
+      const s = gx / gridSize;
+      const t = gy / gridSize;
+      index = depths.length;
+      vertexIndices.set(key, index);
+      positions.push((s - 0.5) * planeWidth, (0.5 - t) * planeHeight, 0);
+      uvs.push(s, 1 - t);
+      depths.push(depthAt(s, t));
+    }
+    return index;
+  };
+
+  const indices = [];
+  const addTriangle = (a, b, c) => {
+    const da = depths[a];
+    const db = depths[b];
+    const dc = depths[c];
+    const spread = Math.max(da, db, dc) - Math.min(da, db, dc);
+    if (tearThreshold > 0 && spread > tearThreshold) return;
+    indices.push(a, b, c);
+  };
+
+  leaves.forEach((key) => {
+    const [level, x, y] = decodeCell(key);
+    const step = gridSize >> level;
+    const half = step / 2;
+    const gx = x * step;
+    const gy = y * step;
+    const topLeft = vertex(gx, gy);
+    const topRight = vertex(gx + step, gy);
+    const bottomRight = vertex(gx + step, gy + step);
+    const bottomLeft = vertex(gx, gy + step);
+
+    // An edge gets its midpoint when the cell across it is split finer
+    const [top, right, bottom, left] = finerEdges(level, x, y);
+
+    if (!top && !right && !bottom && !left) {
+      // Two triangles, split along the diagonal with the smaller depth step
+      // (v points up, so the corners run counter-clockwise in reverse order)
+      const mainDiagonal = Math.abs(depths[topLeft] - depths[bottomRight]);
+      const otherDiagonal = Math.abs(depths[topRight] - depths[bottomLeft]);
+      if (mainDiagonal <= otherDiagonal) {
+        addTriangle(topLeft, bottomRight, topRight);
+        addTriangle(topLeft, bottomLeft, bottomRight);
+      } else {
+        addTriangle(topLeft, bottomLeft, topRight);
+        addTriangle(topRight, bottomLeft, bottomRight);
+      }
+      return;
+    }
+
+    // A fan around the centre through the corners and edge midpoints
+    const ring = [topLeft];
+    if (top) ring.push(vertex(gx + half, gy));
+    ring.push(topRight);
+    if (right) ring.push(vertex(gx + step, gy + half));
+    ring.push(bottomRight);
+    if (bottom) ring.push(vertex(gx + half, gy + step));
+    ring.push(bottomLeft);
+    if (left) ring.push(vertex(gx, gy + half));
+    const center = vertex(gx + half, gy + half);
+    ring.forEach((corner, i) => {
+      addTriangle(center, ring[(i + 1) % ring.length], corner);
+    });
+  });
+
+  const normals = new Float32Array(depths.length * 3);
+  for (let i = 0; i < depths.length; i++) normals[i * 3 + 2] = 1;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  return geometry;
+}
@@ -0,0 +1,285 @@
+/**
+ * Colormaps for showing depth buffers in colour, and a colour bar legend that
+ * labels the colours with the depth values they stand for.
+ */
+
+/**
+ * Gradient stops of the built-in colormaps as `[position, colour]` pairs,
+ * with positions from 0 (smallest depth) to 1 (largest depth). Viridis, magma
+ * and turbo are sampled at nine points; jet is exact.
+ */
+export const COLORMAP_STOPS = {
+  grayscale: [
+    [0, "#000000"],
+    [1, "#ffffff"],
+  ],
+  viridis: [
+    [0, "#440154"],
+    [0.125, "#472d7b"],
+    [0.25, "#3b528b"],
+    [0.375, "#2c728e"],
+    [0.5, "#21918c"],
+    [0.625, "#28ae80"],
+    [0.75, "#5ec962"],
+    [0.875, "#addc30"],
+    [1, "#fde725"],
+  ],
+  magma: [
+    [0, "#000004"],
+    [0.125, "#1c1044"],
+    [0.25, "#4f127b"],
+    [0.375, "#812581"],
+    [0.5, "#b5367a"],
+    [0.625, "#e55064"],
+    [0.75, "#fb8761"],
+    [0.875, "#fec287"],
+    [1, "#fcfdbf"],
+  ],
+  turbo: [
+    [0, "#30123b"],
+    [0.125, "#4662d7"],
+    [0.25, "#36aaf9"],
+    [0.375, "#1ae4b6"],
+    [0.5, "#72fe5e"],
+    [0.625, "#c8ef34"],
+    [0.75, "#faba39"],
+    [0.875, "#f66b19"],
+    [1, "#7a0403"],
+  ],
+  jet: [
+    [0, "#000080"],
+    [0.125, "#0000ff"],
+    [0.375, "#00ffff"],
+    [0.625, "#ffff00"],
+    [0.875, "#ff0000"],
+    [1, "#800000"],
+  ],
+};
+
+/**
+ * Names of the selectable colormaps; "custom" uses gradient stops from
+ * `parseGradientStops`.
+ */
+export const COLORMAPS = [...Object.keys(COLORMAP_STOPS), "custom"];
+
+/**
+ * Number of entries in a colormap's lookup table.
+ */
+const LUT_SIZE = 256;
+
+/**
+ * Parses a `#rgb` or `#rrggbb` colour.
+ * @param {string} hex - The colour.
+ * @returns {Array<number>} The red, green and blue values, 0..255.
+ * @throws Will throw an error for anything else.
+ */
+function parseHexColor(hex) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!match) {
+    throw new Error(`Invalid colour "${hex}"; use #rgb or #rrggbb.`);
+  }
+  const digits =
+    match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/**
+ * Parses custom gradient stops written as comma-separated colours, each
+ * optionally followed by its position from 0 to 1, e.g.
+ * `#000, #f00 0.3, #fff`. Colours without a position are spread evenly
+ * between their neighbours.
+ * @param {string} text - The gradient stops.
+ * @returns {Array<Array>} The stops as `[position, colour]` pairs.
+ * @throws Will throw an error for invalid colours or positions, fewer than
+ * two stops, or positions out of order.
+ */
+export function parseGradientStops(text) {
+  const entries = text
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [color, position, ...rest] = entry.split(/\s+/);
+      parseHexColor(color);
+      if (rest.length > 0) throw new Error(`Invalid colour stop "${entry}".`);
+      if (position === undefined) return [null, color];
+      const value = Number(position);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`Stop position "${position}" is not between 0 and 1.`);
+      }
+      return [value, color];
+    });
+  if (entries.length < 2) {
+    throw new Error("A gradient needs at least two colour stops.");
+  }
+
+  // The ends default to 0 and 1; other gaps are filled in evenly
+  const last = entries[entries.length - 1];
+  if (entries[0][0] === null) entries[0][0] = 0;
+  if (last[0] === null) last[0] = 1;
+  for (let i = 1; i < entries.length; i++) {
+    if (entries[i][0] !== null) continue;
+    let next = i;
+    while (entries[next][0] === null) next++;
+    const start = entries[i - 1][0];
+    const step = (entries[next][0] - start) / (next - i + 1);
+    for (let k = i; k < next; k++) entries[k][0] = start + step * (k - i + 1);
+  }
+  entries.forEach(([position], i) => {
+    if (i > 0 && position < entries[i - 1][0]) {
+      throw new Error("Gradient stop positions must increase.");
+    }
+  });
+  return entries;
+}
+
+/**
+ * Maps depth values in a range onto a colour gradient through a lookup table.
+ */
+export class Colormap {
+  /**
+   * @param {Array<Array>} stops - Gradient stops as `[position, colour]` pairs.
+   * @param {Object} [range] - The depth range spread over the gradient.
+   * @param {number} [range.min=0] - Depth shown with the first colour.
+   * @param {number} [range.max=1] - Depth shown with the last colour.
+   */
+  constructor(stops, { min = 0, max = 1 } = {}) {
+    this.stops = stops;
+    this.min = min;
+    this.max = max;
+    this.lut = new Uint8ClampedArray(LUT_SIZE * 3);
+
+    const colors = stops.map(([position, color]) => [
+      position,
+      parseHexColor(color),
+    ]);
+    let stop = 0;
+    for (let i = 0; i < LUT_SIZE; i++) {
+      const t = i / (LUT_SIZE - 1);
+      while (stop < colors.length - 2 && t > colors[stop + 1][0]) stop++;
+      const [startPosition, start] = colors[stop];
+      const [endPosition, end] = colors[Math.min(stop + 1, colors.length - 1)];
+      const span = endPosition - startPosition;
+      const f =
+        span > 0 ? Math.min(Math.max((t - startPosition) / span, 0), 1) : 0;
+      for (let c = 0; c < 3; c++) {
+        this.lut[i * 3 + c] = Math.round(start[c] + (end[c] - start[c]) * f);
+      }
+    }
+  }
+
+  /**
+   * Creates a built-in or custom colormap.
+   * @param {string} name - One of `COLORMAPS`.
+   * @param {Object} [range] - The `{ min, max }` depth range.
+   * @param {string} [customStops] - Gradient stops for "custom", see `parseGradientStops`.
+   * @returns {Colormap} The colormap.
+   * @throws Will throw an error for an unknown name or invalid custom stops.
+   */
+  static create(name, range, customStops = "") {
+    if (name === "custom") {
+      return new Colormap(parseGradientStops(customStops), range);
+    }
+    if (!COLORMAP_STOPS[name]) {
+      throw new Error(`Unknown colormap "${name}".`);
+    }
+    return new Colormap(COLORMAP_STOPS[name], range);
+  }
+
+  /**
+   * Returns a colormap with the same gradient over another depth range.
+   * @param {number} min - Depth shown with the first colour.
+   * @param {number} max - Depth shown with the last colour.
+   * @returns {Colormap} The colormap.
+   */
+  withRange(min, max) {
+    return new Colormap(this.stops, { min, max });
+  }
+
+  /**
+   * Writes the colour of a depth value into RGBA pixel data; alpha is opaque.
+   * Depths outside the range get the colour of the nearest end.
+   * @param {number} depth - The depth value.
+   * @param {Uint8ClampedArray} data - The pixel data.
+   * @param {number} offset - Index of the pixel's red value.
+   */
+  writeColor(depth, data, offset) {
+    const t = (depth - this.min) / (this.max - this.min || 1);
+    const entry = Math.round(Math.min(Math.max(t, 0), 1) * (LUT_SIZE - 1)) * 3;
+    data[offset] = this.lut[entry];
+    data[offset + 1] = this.lut[entry + 1];
+    data[offset + 2] = this.lut[entry + 2];
+    data[offset + 3] = 255;
+  }
+}
+
+/**
+ * Formats a depth value for a legend label with enough decimals for the range.
+ * @param {number} value - The depth value.
+ * @param {number} span - The size of the range shown.
+ * @returns {string} The label.
+ */
+function formatDepth(value, span) {
+  const decimals = Math.min(
+    4,
+    Math.max(0, 2 - Math.floor(Math.log10(span || 1)))
+  );
+  return value.toFixed(decimals);
+}
+
+/**
+ * Draws a horizontal colour bar legend with tick marks labelled with the
+ * depth values of the colormap range.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on; its size is kept.
+ * @param {Colormap} colormap - The colormap.
+ * @param {Object} [options] - Legend options.
+ * @param {number} [options.ticks=5] - The number of labelled ticks.
+ * @param {string} [options.label="Depth"] - The title shown above the bar.
+ */
+export function drawColorbar(
+  canvas,
+  colormap,
+  { ticks = 5, label = "Depth" } = {}
+) {
+  const ctx = canvas.getContext("2d");
+  const padding = 16;
+  const barTop = 18;
+  const barHeight = 14;
+  const barWidth = canvas.width - padding * 2;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (barWidth <= 0) return;
+
+  const bar = ctx.createImageData(barWidth, 1);
+  for (let x = 0; x < barWidth; x++) {
+    const t = barWidth > 1 ? x / (barWidth - 1) : 0;
+    const depth = colormap.min + t * (colormap.max - colormap.min);
+    colormap.writeColor(depth, bar.data, x * 4);
+  }
+  for (let y = 0; y < barHeight; y++) {
+    ctx.putImageData(bar, padding, barTop + y);
+  }
+  ctx.strokeStyle = "#999";
+  ctx.strokeRect(padding - 0.5, barTop - 0.5, barWidth + 1, barHeight + 1);
+
+  ctx.fillStyle = "#555";
+  ctx.font = "11px sans-serif";
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(label, padding, 2);
+
+  const span = colormap.max - colormap.min;
+  ctx.textAlign = "center";
+  for (let i = 0; i < ticks; i++) {
+    const t = ticks > 1 ? i / (ticks - 1) : 0;
+    const x = Math.round(padding + t * (barWidth - 1)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x, barTop + barHeight);
+    ctx.lineTo(x, barTop + barHeight + 4);
+    ctx.stroke();
+    ctx.fillText(
+      formatDepth(colormap.min + t * span, span),
+      x,
+      barTop + barHeight + 6
+    );
+  }
+}
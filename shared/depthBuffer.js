@@ -0,0 +1,223 @@
+/**
+ * A single-channel depth image stored as 32-bit floats, so that processing
+ * steps keep the full precision of the model output. Values are row-major and
+ * nominally in [0, 1]; conversion to 8 bits only happens for display.
+ *
+ * Every estimator produces and every consumer reads depth the way
+ * ARPortraitDepth outputs it: larger values are farther away, and 0 is
+ * background (or missing depth), not the nearest point.
+ */
+export class DepthBuffer {
+  /**
+   * @param {number} width - The buffer width in pixels.
+   * @param {number} height - The buffer height in pixels.
+   * @param {Float32Array} [data] - Row-major depth values; zero-filled if omitted.
+   */
+  constructor(width, height, data = new Float32Array(width * height)) {
+    if (data.length !== width * height) {
+      throw new Error(
+        `Depth data has ${data.length} values, expected ${width * height}.`
+      );
+    }
+    this.width = width;
+    this.height = height;
+    this.data = data;
+  }
+
+  /**
+   * Reads a depth map returned by a TensorFlow.js depth estimator.
+   * @param {Object} depthMap - The DepthMap from `estimateDepth`.
+   * @returns {Promise<DepthBuffer>} The depth buffer.
+   */
+  static async fromDepthMap(depthMap) {
+    const depthTensor = await depthMap.toTensor();
+    const [height, width] = depthTensor.shape;
+    const data = await depthTensor.data();
+    depthTensor.dispose();
+    return new DepthBuffer(width, height, Float32Array.from(data));
+  }
+
+  /**
+   * Reads one channel of 8-bit image data, e.g. a depth image drawn on a canvas.
+   * @param {ImageData} imageData - The image data.
+   * @param {number} [channel=0] - The channel to read (0 = red).
+   * @returns {DepthBuffer} The depth buffer with values in [0, 1].
+   */
+  static fromImageData(imageData, channel = 0) {
+    const { width, height } = imageData;
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = imageData.data[i * 4 + channel] / 255;
+    }
+    return new DepthBuffer(width, height, data);
+  }
+
+  /**
+   * Creates a copy of the buffer.
+   * @returns {DepthBuffer} The copy.
+   */
+  clone() {
+    return new DepthBuffer(this.width, this.height, this.data.slice());
+  }
+
+  /**
+   * Returns the depth at a pixel, clamping coordinates to the buffer edges.
+   * @param {number} x - The column.
+   * @param {number} y - The row.
+   * @returns {number} The depth value.
+   */
+  get(x, y) {
+    const cx = Math.min(Math.max(Math.round(x), 0), this.width - 1);
+    const cy = Math.min(Math.max(Math.round(y), 0), this.height - 1);
+    return this.data[cy * this.width + cx];
+  }
+
+  /**
+   * Returns the bilinearly interpolated depth at a sub-pixel position.
+   * @param {number} x - The horizontal position in pixels.
+   * @param {number} y - The vertical position in pixels.
+   * @returns {number} The interpolated depth value.
+   */
+  sample(x, y) {
+    const cx = Math.min(Math.max(x, 0), this.width - 1);
+    const cy = Math.min(Math.max(y, 0), this.height - 1);
+    const x0 = Math.floor(cx);
+    const y0 = Math.floor(cy);
+    const x1 = Math.min(x0 + 1, this.width - 1);
+    const y1 = Math.min(y0 + 1, this.height - 1);
+    const fx = cx - x0;
+    const fy = cy - y0;
+
+    const row0 = y0 * this.width;
+    const row1 = y1 * this.width;
+    const top = this.data[row0 + x0] * (1 - fx) + this.data[row0 + x1] * fx;
+    const bottom = this.data[row1 + x0] * (1 - fx) + this.data[row1 + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  }
+
+  /**
+   * Finds the smallest and largest depth values.
+   * @returns {Object} The `{ min, max }` of the buffer.
+   */
+  range() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < this.data.length; i++) {
+      if (this.data[i] < min) min = this.data[i];
+      if (this.data[i] > max) max = this.data[i];
+    }
+    return { min, max };
+  }
+
+  /**
+   * Stretches the depth values to the full [0, 1] range.
+   * @returns {DepthBuffer} A new, normalized buffer.
+   */
+  normalize() {
+    const { min, max } = this.range();
+    const range = max - min || 1; // Avoid division by zero
+    return this.map((value) => (value - min) / range);
+  }
+
+  /**
+   * Applies a function to every depth value.
+   * @param {Function} fn - Called with (value, index), returns the new value.
+   * @returns {DepthBuffer} A new buffer with the mapped values.
+   */
+  map(fn) {
+    const data = new Float32Array(this.data.length);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = fn(this.data[i], i);
+    }
+    return new DepthBuffer(this.width, this.height, data);
+  }
+
+  /**
+   * Converts the buffer, or a rectangle of it, to 8-bit image data for display.
+   * @param {number} [x=0] - The left edge of the rectangle.
+   * @param {number} [y=0] - The top edge of the rectangle.
+   * @param {number} [width] - The rectangle width; defaults to the buffer width.
+   * @param {number} [height] - The rectangle height; defaults to the buffer height.
+   * @param {Colormap} [colormap] - Colours the depth; grayscale over [0, 1] if omitted.
+   * @returns {ImageData} The image data.
+   */
+  toImageData(
+    x = 0,
+    y = 0,
+    width = this.width,
+    height = this.height,
+    colormap = null
+  ) {
+    const imageData = new ImageData(width, height);
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const depth = this.data[(y + row) * this.width + x + col];
+        const offset = (row * width + col) * 4;
+        if (colormap) {
+          colormap.writeColor(depth, imageData.data, offset);
+          continue;
+        }
+        const value = Math.round(Math.min(Math.max(depth, 0), 1) * 255);
+        imageData.data[offset] = value;
+        imageData.data[offset + 1] = value;
+        imageData.data[offset + 2] = value;
+        imageData.data[offset + 3] = 255;
+      }
+    }
+    return imageData;
+  }
+
+  /**
+   * Draws the buffer onto a canvas, resizing the canvas to fit.
+   * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+   * @param {Colormap} [colormap] - Colours the depth; grayscale if omitted.
+   */
+  drawToCanvas(canvas, colormap = null) {
+    canvas.width = this.width;
+    canvas.height = this.height;
+    canvas
+      .getContext("2d")
+      .putImageData(
+        this.toImageData(0, 0, this.width, this.height, colormap),
+        0,
+        0
+      );
+  }
+
+  /**
+   * Redraws a rectangle of the buffer onto a canvas of the same size, e.g.
+   * after painting. The rectangle is clipped to the buffer.
+   * @param {HTMLCanvasElement} canvas - The canvas showing the buffer.
+   * @param {number} x - The left edge of the rectangle.
+   * @param {number} y - The top edge of the rectangle.
+   * @param {number} width - The rectangle width.
+   * @param {number} height - The rectangle height.
+   * @param {Colormap} [colormap] - The colormap the canvas was drawn with.
+   */
+  drawRegionToCanvas(canvas, x, y, width, height, colormap = null) {
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const right = Math.min(this.width, Math.ceil(x + width));
+    const bottom = Math.min(this.height, Math.ceil(y + height));
+    if (right <= left || bottom <= top) return;
+
+    canvas
+      .getContext("2d")
+      .putImageData(
+        this.toImageData(left, top, right - left, bottom - top, colormap),
+        left,
+        top
+      );
+  }
+
+  /**
+   * Creates a new canvas showing the buffer.
+   * @param {Colormap} [colormap] - Colours the depth; grayscale if omitted.
+   * @returns {HTMLCanvasElement} The canvas.
+   */
+  toCanvas(colormap = null) {
+    const canvas = document.createElement("canvas");
+    this.drawToCanvas(canvas, colormap);
+    return canvas;
+  }
+}
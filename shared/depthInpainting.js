@@ -0,0 +1,392 @@
+import { DepthBuffer } from "./depthBuffer.js";
+
+/**
+ * Hole filling for depth buffers. Pixels without depth (cut away by a
+ * threshold or erased to 0) are synthesised from the valid depth around them,
+ * so meshes and novel views do not drop to zero depth at their edges.
+ *
+ * - none: invalid pixels keep depth 0.
+ * - diffusion: the holes are filled with the smoothest surface matching their
+ *   borders (membrane interpolation), solved coarse to fine so large holes
+ *   fill in a few sweeps.
+ * - fast-marching: Telea's method; holes are filled from their border inwards,
+ *   each pixel from a weighted average of the filled pixels around it.
+ */
+export const INPAINT_METHODS = ["none", "diffusion", "fast-marching"];
+
+/**
+ * Which invalid pixels are filled:
+ *
+ * - holes: only regions enclosed by valid depth; invalid regions touching the
+ *   image border are background and stay at depth 0.
+ * - all: every invalid pixel, background included. Suits displacement, where
+ *   the alpha mask still hides the background.
+ */
+export const INPAINT_REGIONS = ["holes", "all"];
+
+/**
+ * Pixel states while inpainting: valid depth, to be filled, and ignored (left
+ * as it is and not used as a source).
+ */
+const VALID = 0;
+const FILL = 1;
+const IGNORE = 2;
+
+/**
+ * Binary min-heap of pixel indices, ordered by their distance to the hole border.
+ */
+class PixelQueue {
+  constructor() {
+    this.indices = [];
+    this.keys = [];
+  }
+
+  /**
+   * The number of queued pixels.
+   * @returns {number} The size.
+   */
+  get size() {
+    return this.indices.length;
+  }
+
+  /**
+   * Queues a pixel.
+   * @param {number} index - The pixel index.
+   * @param {number} key - Its distance.
+   */
+  push(index, key) {
+    const { indices, keys } = this;
+    let i = indices.length;
+    indices.push(index);
+    keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      indices[i] = indices[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    indices[i] = index;
+    keys[i] = key;
+  }
+
+  /**
+   * Removes the pixel with the smallest distance.
+   * @returns {number} The pixel index.
+   */
+  pop() {
+    const { indices, keys } = this;
+    const top = indices[0];
+    const lastIndex = indices.pop();
+    const lastKey = keys.pop();
+    if (indices.length === 0) return top;
+
+    let i = 0;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= indices.length) break;
+      if (child + 1 < indices.length && keys[child + 1] < keys[child]) child++;
+      if (keys[child] >= lastKey) break;
+      indices[i] = indices[child];
+      keys[i] = keys[child];
+      i = child;
+    }
+    indices[i] = lastIndex;
+    keys[i] = lastKey;
+    return top;
+  }
+}
+
+/**
+ * Classifies the pixels of a depth buffer for inpainting.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {string} region - One of `INPAINT_REGIONS`.
+ * @param {number} threshold - The depth at or below which a pixel is invalid.
+ * @returns {Uint8Array} One of VALID, FILL or IGNORE per pixel.
+ */
+function classifyPixels(depthBuffer, region, threshold) {
+  const { width, height, data } = depthBuffer;
+  const states = new Uint8Array(width * height);
+  data.forEach((depth, i) => {
+    states[i] = depth > threshold ? VALID : FILL;
+  });
+  if (region === "all") return states;
+
+  // Flood fill the invalid pixels reachable from the border
+  const stack = [];
+  const visit = (x, y) => {
+    const i = y * width + x;
+    if (states[i] !== FILL) return;
+    states[i] = IGNORE;
+    stack.push(i);
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    visit(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(0, y);
+    visit(width - 1, y);
+  }
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x > 0) visit(x - 1, y);
+    if (x < width - 1) visit(x + 1, y);
+    if (y > 0) visit(x, y - 1);
+    if (y < height - 1) visit(x, y + 1);
+  }
+  return states;
+}
+
+/**
+ * Samples a grid with bilinear interpolation, clamping at the edges.
+ * @param {Float32Array} values - The row-major values.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {number} x - The x coordinate in grid pixels.
+ * @param {number} y - The y coordinate in grid pixels.
+ * @returns {number} The interpolated value.
+ */
+function sampleGrid(values, width, height, x, y) {
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+  const top = values[y0 * width + x0] * (1 - fx) + values[y0 * width + x1] * fx;
+  const bottom =
+    values[y1 * width + x0] * (1 - fx) + values[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Fills the FILL pixels by diffusion, in place. The grid is halved until the
+ * holes close, filled there, and the coarse result is interpolated back as the
+ * starting point for a few Gauss-Seidel sweeps at each finer level.
+ * @param {Float32Array} values - The row-major values.
+ * @param {Uint8Array} states - The pixel states.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {number} sweeps - Relaxation sweeps per level.
+ */
+function diffuseFill(values, states, width, height, sweeps) {
+  if (!states.includes(FILL)) return;
+
+  if (width > 1 || height > 1) {
+    const coarseWidth = Math.ceil(width / 2);
+    const coarseHeight = Math.ceil(height / 2);
+    const coarse = new Float32Array(coarseWidth * coarseHeight);
+    const coarseStates = new Uint8Array(coarse.length);
+    for (let cy = 0; cy < coarseHeight; cy++) {
+      for (let cx = 0; cx < coarseWidth; cx++) {
+        let sum = 0;
+        let count = 0;
+        for (let y = cy * 2; y < Math.min(cy * 2 + 2, height); y++) {
+          for (let x = cx * 2; x < Math.min(cx * 2 + 2, width); x++) {
+            if (states[y * width + x] !== VALID) continue;
+            sum += values[y * width + x];
+            count++;
+          }
+        }
+        const i = cy * coarseWidth + cx;
+        coarse[i] = count > 0 ? sum / count : 0;
+        coarseStates[i] = count > 0 ? VALID : FILL;
+      }
+    }
+    diffuseFill(coarse, coarseStates, coarseWidth, coarseHeight, sweeps);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (states[y * width + x] !== FILL) continue;
+        values[y * width + x] = sampleGrid(
+          coarse,
+          coarseWidth,
+          coarseHeight,
+          (x - 0.5) / 2,
+          (y - 0.5) / 2
+        );
+      }
+    }
+  }
+
+  for (let sweep = 0; sweep < sweeps; sweep++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (states[i] !== FILL) continue;
+        let sum = 0;
+        let count = 0;
+        const add = (j) => {
+          if (states[j] === IGNORE) return;
+          sum += values[j];
+          count++;
+        };
+        if (x > 0) add(i - 1);
+        if (x < width - 1) add(i + 1);
+        if (y > 0) add(i - width);
+        if (y < height - 1) add(i + width);
+        if (count > 0) values[i] = sum / count;
+      }
+    }
+  }
+}
+
+/**
+ * Fills the FILL pixels by fast marching, in place. Pixels are visited in
+ * order of their distance to the hole border, found by solving the eikonal
+ * equation; each takes the average of the filled pixels within `radius`,
+ * weighted by their closeness and by how similar their distance is.
+ * @param {Float32Array} values - The row-major values.
+ * @param {Uint8Array} states - The pixel states.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {number} radius - The neighbourhood radius in pixels.
+ */
+function fastMarchingFill(values, states, width, height, radius) {
+  const distance = new Float32Array(width * height).fill(Infinity);
+  const known = new Uint8Array(width * height);
+  states.forEach((state, i) => {
+    if (state !== VALID) return;
+    distance[i] = 0;
+    known[i] = 1;
+  });
+
+  const knownDistance = (x, y) =>
+    x >= 0 && x < width && y >= 0 && y < height && known[y * width + x]
+      ? distance[y * width + x]
+      : Infinity;
+
+  const queue = new PixelQueue();
+  const march = (x, y) => {
+    const i = y * width + x;
+    if (states[i] !== FILL || known[i]) return;
+    const a = Math.min(knownDistance(x - 1, y), knownDistance(x + 1, y));
+    const b = Math.min(knownDistance(x, y - 1), knownDistance(x, y + 1));
+    const t =
+      Math.abs(a - b) < 1
+        ? (a + b + Math.sqrt(2 - (a - b) * (a - b))) / 2
+        : Math.min(a, b) + 1;
+    if (t < distance[i]) {
+      distance[i] = t;
+      queue.push(i, t);
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) march(x, y);
+  }
+
+  while (queue.size > 0) {
+    const i = queue.pop();
+    if (known[i]) continue;
+    const x = i % width;
+    const y = (i - x) / width;
+
+    let weightSum = 0;
+    let valueSum = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const distanceSquared = dx * dx + dy * dy;
+        if (distanceSquared === 0 || distanceSquared > radius * radius) {
+          continue;
+        }
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const j = ny * width + nx;
+        if (!known[j]) continue;
+        const weight =
+          1 / distanceSquared / (1 + Math.abs(distance[j] - distance[i]));
+        weightSum += weight;
+        valueSum += weight * values[j];
+      }
+    }
+    values[i] = weightSum > 0 ? valueSum / weightSum : 0;
+    known[i] = 1;
+
+    if (x > 0) march(x - 1, y);
+    if (x < width - 1) march(x + 1, y);
+    if (y > 0) march(x, y - 1);
+    if (y < height - 1) march(x, y + 1);
+  }
+}
+
+/**
+ * Fills invalid depth from the valid depth around it.
+ * @param {DepthBuffer} depthBuffer - The depth buffer; 0 is background.
+ * @param {Object} [options] - Inpainting options.
+ * @param {string} [options.method="diffusion"] - One of `INPAINT_METHODS`.
+ * @param {string} [options.region="all"] - One of `INPAINT_REGIONS`.
+ * @param {number} [options.threshold=0] - The depth at or below which a pixel is invalid.
+ * @param {number} [options.radius=5] - The fast marching neighbourhood radius in pixels.
+ * @param {number} [options.sweeps=4] - The diffusion relaxation sweeps per level.
+ * @returns {Object} The filled `depthBuffer` (a new buffer in every case) and
+ * the `mask` of synthesised pixels: 1 where depth was filled in, 0 elsewhere.
+ * @throws Will throw an error for an unknown method or region.
+ */
+export function inpaintDepth(
+  depthBuffer,
+  {
+    method = "diffusion",
+    region = "all",
+    threshold = 0,
+    radius = 5,
+    sweeps = 4,
+  } = {}
+) {
+  if (!INPAINT_METHODS.includes(method)) {
+    throw new Error(`Unknown inpainting method "${method}".`);
+  }
+  if (!INPAINT_REGIONS.includes(region)) {
+    throw new Error(`Unknown inpainting region "${region}".`);
+  }
+
+  const { width, height } = depthBuffer;
+  const filled = depthBuffer.clone();
+  const mask = new DepthBuffer(width, height);
+  if (method === "none") return { depthBuffer: filled, mask };
+
+  const states = classifyPixels(depthBuffer, region, threshold);
+  // Without any valid depth there is nothing to fill from
+  if (!states.includes(VALID)) return { depthBuffer: filled, mask };
+
+  if (method === "diffusion") {
+    diffuseFill(filled.data, states, width, height, sweeps);
+  } else {
+    fastMarchingFill(filled.data, states, width, height, radius);
+  }
+  states.forEach((state, i) => {
+    if (state === FILL) mask.data[i] = 1;
+  });
+  return { depthBuffer: filled, mask };
+}
+
+/**
+ * Draws the synthesised pixels of an inpainting mask as a translucent overlay.
+ * @param {HTMLCanvasElement} canvas - The overlay canvas; resized to the mask.
+ * @param {DepthBuffer} mask - The `mask` from `inpaintDepth`.
+ * @param {Object} [options] - Overlay options.
+ * @param {Array<number>} [options.color=[255, 0, 200]] - The overlay red, green and blue, 0..255.
+ * @param {number} [options.opacity=0.5] - The overlay opacity, 0..1.
+ */
+export function drawInpaintMask(
+  canvas,
+  mask,
+  { color = [255, 0, 200], opacity = 0.5 } = {}
+) {
+  canvas.width = mask.width;
+  canvas.height = mask.height;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(mask.width, mask.height);
+  mask.data.forEach((value, i) => {
+    if (value <= 0) return;
+    imageData.data.set(color, i * 4);
+    imageData.data[i * 4 + 3] = Math.round(value * opacity * 255);
+  });
+  ctx.putImageData(imageData, 0, 0);
+}
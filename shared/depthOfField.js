@@ -0,0 +1,437 @@
+/**
+ * Synthetic depth of field: refocuses a photo on a plane of its depth map by
+ * simulating lens blur. Every pixel is blurred by its circle of confusion,
+ * which grows with its depth distance from the focal plane.
+ *
+ * The image is split into depth layers that are blurred with the bokeh
+ * kernel and composited from back to front, so sharp foreground edges are
+ * not smeared by the blurred background behind them, while a blurred
+ * foreground spreads over whatever lies behind it. The background hidden
+ * behind foreground objects is filled in first, so it shows through their
+ * blurred edges instead of a dark fringe. Blurring happens in linear light,
+ * so bright highlights bloom into visible bokeh shapes.
+ */
+
+/**
+ * Shapes of the bokeh kernel, i.e. the aperture shape of the simulated lens.
+ */
+export const BOKEH_SHAPES = ["disc", "hexagon", "ring"];
+
+/**
+ * Number of depth layers on each side of the focal plane.
+ */
+const LAYER_STEPS = 6;
+
+/**
+ * Largest kernel radius convolved at full size; layers with more blur are
+ * blurred at a reduced size, so the cost per layer stays bounded.
+ */
+const MAX_KERNEL_RADIUS = 4;
+
+/**
+ * Gamma used to convert 8-bit colours to linear light and back.
+ */
+const GAMMA = 2.2;
+
+/**
+ * Lookup table from 8-bit colour values to linear light.
+ */
+const TO_LINEAR = Float32Array.from({ length: 256 }, (_, value) =>
+  Math.pow(value / 255, GAMMA)
+);
+
+/**
+ * Tells whether an offset lies inside a bokeh shape.
+ * @param {string} shape - One of `BOKEH_SHAPES`.
+ * @param {number} dx - The horizontal offset.
+ * @param {number} dy - The vertical offset.
+ * @param {number} radius - The shape's radius.
+ * @returns {boolean} Whether the offset is inside.
+ */
+function isInsideShape(shape, dx, dy, radius) {
+  const distance = Math.hypot(dx, dy);
+  if (shape === "hexagon") {
+    // Pointy-top hexagon with the radius to its corners
+    const x = Math.abs(dx);
+    return (
+      x <= (Math.sqrt(3) / 2) * radius + 0.5 &&
+      x / Math.sqrt(3) + Math.abs(dy) <= radius + 0.5
+    );
+  }
+  if (shape === "ring" && radius >= 2) {
+    // Bright rim with a dim centre, like a mirror lens
+    return distance <= radius + 0.5 && distance >= radius * 0.6;
+  }
+  return distance <= radius + 0.5;
+}
+
+/**
+ * Builds a normalized bokeh kernel, a flat kernel over the shape.
+ * @param {string} shape - One of `BOKEH_SHAPES`.
+ * @param {number} radius - The kernel radius in pixels.
+ * @returns {Array<Array<number>>} The `[dx, dy, weight]` taps, weights summing to 1.
+ */
+function createKernel(shape, radius) {
+  const taps = [];
+  const extent = Math.ceil(radius);
+  for (let dy = -extent; dy <= extent; dy++) {
+    for (let dx = -extent; dx <= extent; dx++) {
+      if (isInsideShape(shape, dx, dy, radius)) taps.push([dx, dy, 1]);
+    }
+  }
+  taps.forEach((tap) => (tap[2] = 1 / taps.length));
+  return taps;
+}
+
+/**
+ * Averages premultiplied RGBA values over square blocks.
+ * @param {Float32Array} values - Interleaved RGBA values.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @param {number} factor - The block size.
+ * @returns {Object} The reduced `values`, `width` and `height`.
+ */
+function downsample(values, width, height, factor) {
+  const smallWidth = Math.ceil(width / factor);
+  const smallHeight = Math.ceil(height / factor);
+  const sums = new Float32Array(smallWidth * smallHeight * 4);
+  const counts = new Float32Array(smallWidth * smallHeight);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / factor) * smallWidth;
+    for (let x = 0; x < width; x++) {
+      const target = row + Math.floor(x / factor);
+      const source = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) sums[target * 4 + c] += values[source + c];
+      counts[target]++;
+    }
+  }
+  for (let i = 0; i < counts.length; i++) {
+    for (let c = 0; c < 4; c++) sums[i * 4 + c] /= counts[i];
+  }
+  return { values: sums, width: smallWidth, height: smallHeight };
+}
+
+/**
+ * Convolves interleaved RGBA values with a kernel, clamping at the edges.
+ * @param {Float32Array} values - Interleaved RGBA values.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @param {Array<Array<number>>} kernel - The taps from `createKernel`.
+ * @returns {Float32Array} The convolved values.
+ */
+function convolve(values, width, height, kernel) {
+  const result = new Float32Array(values.length);
+  const taps = kernel.length;
+  const offsetsX = Int32Array.from(kernel, ([dx]) => dx);
+  const offsetsY = Int32Array.from(kernel, ([, dy]) => dy);
+  const weight = kernel[0][2];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let t = 0; t < taps; t++) {
+        const sx = Math.min(Math.max(x + offsetsX[t], 0), width - 1);
+        const sy = Math.min(Math.max(y + offsetsY[t], 0), height - 1);
+        const source = (sy * width + sx) * 4;
+        r += values[source];
+        g += values[source + 1];
+        b += values[source + 2];
+        a += values[source + 3];
+      }
+      const target = (y * width + x) * 4;
+      result[target] = r * weight;
+      result[target + 1] = g * weight;
+      result[target + 2] = b * weight;
+      result[target + 3] = a * weight;
+    }
+  }
+  return result;
+}
+
+/**
+ * Blurs a premultiplied RGBA layer with a bokeh kernel and composites it over
+ * the accumulated image. Large radii are blurred at a reduced size and
+ * scaled back up bilinearly.
+ * @param {Float32Array} layer - The interleaved premultiplied RGBA layer.
+ * @param {Float32Array} accumulated - The image so far, updated in place.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @param {number} radius - The blur radius in pixels.
+ * @param {string} shape - One of `BOKEH_SHAPES`.
+ */
+function compositeLayer(layer, accumulated, width, height, radius, shape) {
+  if (radius < 0.5) {
+    for (let i = 0; i < width * height * 4; i += 4) {
+      const transparency = 1 - layer[i + 3];
+      for (let c = 0; c < 4; c++) {
+        accumulated[i + c] = layer[i + c] + accumulated[i + c] * transparency;
+      }
+    }
+    return;
+  }
+
+  const factor = Math.max(1, Math.ceil(radius / MAX_KERNEL_RADIUS));
+  const small = downsample(layer, width, height, factor);
+  const blurred = convolve(
+    small.values,
+    small.width,
+    small.height,
+    createKernel(shape, radius / factor)
+  );
+
+  // Bilinear upsampling with block centres lined up with the pixels
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(
+      Math.max((y + 0.5) / factor - 0.5, 0),
+      small.height - 1
+    );
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(y0 + 1, small.height - 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(
+        Math.max((x + 0.5) / factor - 0.5, 0),
+        small.width - 1
+      );
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(x0 + 1, small.width - 1);
+      const fx = sx - x0;
+      const topLeft = (y0 * small.width + x0) * 4;
+      const topRight = (y0 * small.width + x1) * 4;
+      const bottomLeft = (y1 * small.width + x0) * 4;
+      const bottomRight = (y1 * small.width + x1) * 4;
+      const alphaOf = (i) => blurred[i + 3];
+      if (
+        alphaOf(topLeft) === 0 &&
+        alphaOf(topRight) === 0 &&
+        alphaOf(bottomLeft) === 0 &&
+        alphaOf(bottomRight) === 0
+      ) {
+        continue; // Nothing of this layer reaches the pixel
+      }
+      const target = (y * width + x) * 4;
+      const texel = (c) =>
+        (blurred[topLeft + c] * (1 - fx) + blurred[topRight + c] * fx) *
+          (1 - fy) +
+        (blurred[bottomLeft + c] * (1 - fx) + blurred[bottomRight + c] * fx) *
+          fy;
+      const transparency = 1 - texel(3);
+      for (let c = 0; c < 3; c++) {
+        accumulated[target + c] =
+          texel(c) + accumulated[target + c] * transparency;
+      }
+      accumulated[target + 3] =
+        1 - transparency * (1 - accumulated[target + 3]);
+    }
+  }
+}
+
+/**
+ * Fills the colours of unknown pixels from the known pixels around them by
+ * pull-push: known colours are averaged down an image pyramid, then every
+ * pixel takes what its own level lacks from the level above.
+ * @param {Float32Array} colors - Interleaved RGB colours.
+ * @param {Uint8Array} known - 1 for known pixels, 0 for pixels to fill.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @returns {Float32Array} The colours with the unknown pixels filled.
+ */
+function fillHidden(colors, known, width, height) {
+  // Each level holds coverage-weighted colours and the coverage
+  const levels = [
+    {
+      width,
+      height,
+      colors: colors.map((value, i) => value * known[Math.floor(i / 3)]),
+      coverage: Float32Array.from(known),
+    },
+  ];
+  while (
+    levels[levels.length - 1].width > 1 ||
+    levels[levels.length - 1].height > 1
+  ) {
+    const fine = levels[levels.length - 1];
+    const coarse = {
+      width: Math.ceil(fine.width / 2),
+      height: Math.ceil(fine.height / 2),
+    };
+    coarse.colors = new Float32Array(coarse.width * coarse.height * 3);
+    coarse.coverage = new Float32Array(coarse.width * coarse.height);
+    const counts = new Float32Array(coarse.width * coarse.height);
+    for (let y = 0; y < fine.height; y++) {
+      for (let x = 0; x < fine.width; x++) {
+        const source = y * fine.width + x;
+        const target = (y >> 1) * coarse.width + (x >> 1);
+        for (let c = 0; c < 3; c++) {
+          coarse.colors[target * 3 + c] += fine.colors[source * 3 + c];
+        }
+        coarse.coverage[target] += fine.coverage[source];
+        counts[target]++;
+      }
+    }
+    for (let i = 0; i < counts.length; i++) {
+      for (let c = 0; c < 3; c++) coarse.colors[i * 3 + c] /= counts[i];
+      coarse.coverage[i] /= counts[i];
+    }
+    levels.push(coarse);
+  }
+
+  // Push down: normalized colour where covered, the parent's elsewhere
+  let parent = null;
+  for (let l = levels.length - 1; l >= 0; l--) {
+    const level = levels[l];
+    const filled = new Float32Array(level.width * level.height * 3);
+    for (let y = 0; y < level.height; y++) {
+      for (let x = 0; x < level.width; x++) {
+        const i = y * level.width + x;
+        const coverage = level.coverage[i];
+        const up = parent ? (y >> 1) * parent.width + (x >> 1) : -1;
+        for (let c = 0; c < 3; c++) {
+          const own = coverage > 0 ? level.colors[i * 3 + c] / coverage : 0;
+          const inherited = up >= 0 ? parent.filled[up * 3 + c] : own;
+          filled[i * 3 + c] =
+            own * Math.min(coverage, 1) +
+            inherited * (1 - Math.min(coverage, 1));
+        }
+      }
+    }
+    parent = { width: level.width, filled };
+  }
+  return parent.filled;
+}
+
+/**
+ * Reads the depth to focus on at a point of the image. Focusing on the
+ * background (depth 0) focuses on the far plane.
+ * @param {DepthBuffer} depthBuffer - The depth buffer passed to `refocus`.
+ * @param {Object} point - The point, as `x` and `y` fractions of the image size.
+ * @returns {number} The focal depth, 0..1.
+ */
+export function getFocusDepth(depthBuffer, { x, y }) {
+  const px = x * (depthBuffer.width - 1);
+  const py = y * (depthBuffer.height - 1);
+  return depthBuffer.get(px, py) === 0 ? 1 : depthBuffer.sample(px, py);
+}
+
+/**
+ * Refocuses an image on a depth with synthetic lens blur.
+ * @param {CanvasImageSource} image - The source image.
+ * @param {DepthBuffer} depthBuffer - The depth buffer (farther is larger);
+ * holes should be filled first, as depth 0 is taken for the far background.
+ * @param {Object} options - Refocus options.
+ * @param {number} options.focusDepth - The depth of the focal plane, 0..1,
+ * e.g. from `getFocusDepth`.
+ * @param {number} [options.aperture=2] - Blur radius, in percent of the image
+ * width, of points one full depth unit away from the focal plane.
+ * @param {string} [options.shape="disc"] - One of `BOKEH_SHAPES`.
+ * @param {number} [options.width] - The output width; the image's natural width by default.
+ * @param {number} [options.height] - The output height; the image's natural height by default.
+ * @returns {ImageData} The refocused image.
+ * @throws Will throw an error for an unknown shape.
+ */
+export function refocus(
+  image,
+  depthBuffer,
+  {
+    focusDepth,
+    aperture = 2,
+    shape = "disc",
+    width = image.naturalWidth || image.width,
+    height = image.naturalHeight || image.height,
+  }
+) {
+  if (!BOKEH_SHAPES.includes(shape)) {
+    throw new Error(`Unknown bokeh shape "${shape}".`);
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  const output = ctx.getImageData(0, 0, width, height);
+  const { data } = output;
+
+  // Background (depth 0) lies behind the farthest depth
+  const viewDepth = depthBuffer.map((depth) => (depth === 0 ? 1 : depth));
+
+  // Signed circle of confusion in pixels: positive in front of the focal plane
+  const count = width * height;
+  const blurScale = (aperture / 100) * width;
+  const scaleX = depthBuffer.width / width;
+  const scaleY = depthBuffer.height / height;
+  const confusion = new Float32Array(count);
+  let maxConfusion = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const depth = viewDepth.sample(
+        (x + 0.5) * scaleX - 0.5,
+        (y + 0.5) * scaleY - 0.5
+      );
+      const value = (focusDepth - depth) * blurScale;
+      confusion[y * width + x] = value;
+      maxConfusion = Math.max(maxConfusion, Math.abs(value));
+    }
+  }
+  if (maxConfusion < 0.5) return output;
+
+  const colors = new Float32Array(count * 3);
+  const behind = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < 3; c++) colors[i * 3 + c] = TO_LINEAR[data[i * 4 + c]];
+    behind[i] = confusion[i] <= 0 ? 1 : 0;
+  }
+  const background = behind.every(Boolean)
+    ? colors
+    : fillHidden(colors, behind, width, height);
+
+  // Each pixel is shared between the two layers nearest its blur radius
+  const layerStep = maxConfusion / LAYER_STEPS;
+  const accumulated = new Float32Array(count * 4);
+  const layer = new Float32Array(count * 4);
+  const addLayer = (index, layerColors, getConfusion) => {
+    layer.fill(0);
+    let used = false;
+    for (let i = 0; i < count; i++) {
+      const weight = 1 - Math.abs(getConfusion(i) / layerStep - index);
+      if (weight <= 0) continue;
+      for (let c = 0; c < 3; c++) {
+        layer[i * 4 + c] = layerColors[i * 3 + c] * weight;
+      }
+      layer[i * 4 + 3] = weight;
+      used = true;
+    }
+    if (used) {
+      compositeLayer(
+        layer,
+        accumulated,
+        width,
+        height,
+        Math.abs(index) * layerStep,
+        shape
+      );
+    }
+  };
+
+  // Far to near: the background, with hidden parts filled and everything in
+  // front of the focal plane pushed onto it, then the foreground over it
+  for (let index = -LAYER_STEPS; index <= 0; index++) {
+    addLayer(index, background, (i) => Math.min(confusion[i], 0));
+  }
+  for (let index = 0; index <= LAYER_STEPS; index++) {
+    addLayer(index, colors, (i) => (behind[i] ? -Infinity : confusion[i]));
+  }
+
+  for (let i = 0; i < count; i++) {
+    const coverage = accumulated[i * 4 + 3] || 1;
+    for (let c = 0; c < 3; c++) {
+      data[i * 4 + c] = Math.round(
+        Math.pow(Math.min(accumulated[i * 4 + c] / coverage, 1), 1 / GAMMA) *
+          255
+      );
+    }
+  }
+  return output;
+}
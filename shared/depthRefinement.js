@@ -0,0 +1,316 @@
+import { DepthBuffer } from "./depthBuffer.js";
+
+/**
+ * Depth refinement steps, run on the estimated depth before it shapes the
+ * mesh. Besides the plain Gaussian blur, the edge-preserving filters use the
+ * source photo as a guide, so depth edges snap to the edges in the image
+ * instead of being smeared across them.
+ *
+ * - none: the depth is used as estimated.
+ * - gaussian: a Gaussian blur; smooths noise but also blurs depth edges.
+ * - joint-bilateral: averages neighbours weighted by their distance and by how
+ *   similar their colour is in the guide.
+ * - guided: the guided filter (He et al.), a local linear model of the guide;
+ *   runs in constant time per pixel whatever the radius.
+ */
+export const REFINEMENT_METHODS = [
+  "none",
+  "gaussian",
+  "joint-bilateral",
+  "guided",
+];
+
+/**
+ * Number of entries in the joint bilateral range weight lookup table, which
+ * covers squared colour distances from 0 to 3 (black to white).
+ */
+const RANGE_LUT_SIZE = 1024;
+
+/**
+ * Reads the guide image at the size of a depth buffer.
+ * @param {CanvasImageSource} image - The source photo.
+ * @param {number} width - The guide width.
+ * @param {number} height - The guide height.
+ * @returns {Object} The guide: `width`, `height`, `rgb` (three values in [0, 1]
+ * per pixel) and `luminance` (one value in [0, 1] per pixel).
+ */
+export function readGuide(image, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const rgb = new Float32Array(width * height * 3);
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const r = data[i * 4] / 255;
+    const g = data[i * 4 + 1] / 255;
+    const b = data[i * 4 + 2] / 255;
+    rgb.set([r, g, b], i * 3);
+    luminance[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+  }
+  return { width, height, rgb, luminance };
+}
+
+/**
+ * Resamples a depth buffer to another size with bilinear interpolation.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {number} width - The new width.
+ * @param {number} height - The new height.
+ * @returns {DepthBuffer} The resampled buffer.
+ */
+export function upsampleDepth(depthBuffer, width, height) {
+  if (width === depthBuffer.width && height === depthBuffer.height) {
+    return depthBuffer.clone();
+  }
+  // Pixel centres line up, so the image corners map onto the buffer corners
+  const scaleX = depthBuffer.width / width;
+  const scaleY = depthBuffer.height / height;
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = depthBuffer.sample(
+        (x + 0.5) * scaleX - 0.5,
+        (y + 0.5) * scaleY - 0.5
+      );
+    }
+  }
+  return new DepthBuffer(width, height, data);
+}
+
+/**
+ * Applies a Gaussian blur to smooth out the depth map.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {number} [sigma=2] - The blur standard deviation in pixels.
+ * @returns {DepthBuffer} The blurred buffer.
+ */
+export function applySmoothing(depthBuffer, sigma = 2) {
+  const radius = Math.ceil(sigma * 3);
+  const kernel = [];
+  let kernelSum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel.push(weight);
+    kernelSum += weight;
+  }
+
+  // Blur rows, then columns; samples past the edges are clamped
+  const blurred = depthBuffer.map((_, index) => {
+    const x = index % depthBuffer.width;
+    const y = Math.floor(index / depthBuffer.width);
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += depthBuffer.get(x + i, y) * kernel[i + radius];
+    }
+    return sum / kernelSum;
+  });
+  return blurred.map((_, index) => {
+    const x = index % blurred.width;
+    const y = Math.floor(index / blurred.width);
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += blurred.get(x, y + i) * kernel[i + radius];
+    }
+    return sum / kernelSum;
+  });
+}
+
+/**
+ * Joint bilateral filter: every pixel becomes the average of its neighbours
+ * within `radius`, weighted by a spatial Gaussian and by a Gaussian of their
+ * colour difference in the guide. Costs (2 * radius + 1)² samples per pixel.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} guide - The guide from `readGuide`, at the buffer size.
+ * @param {Object} [options] - Filter options.
+ * @param {number} [options.radius=5] - The window radius in pixels.
+ * @param {number} [options.sigmaSpatial=3] - The spatial standard deviation in pixels.
+ * @param {number} [options.sigmaRange=0.1] - The colour standard deviation,
+ * with colour channels in [0, 1].
+ * @returns {DepthBuffer} The filtered buffer.
+ */
+export function jointBilateralFilter(
+  depthBuffer,
+  guide,
+  { radius = 5, sigmaSpatial = 3, sigmaRange = 0.1 } = {}
+) {
+  const { width, height, data } = depthBuffer;
+  const { rgb } = guide;
+
+  const size = 2 * radius + 1;
+  const spatial = new Float32Array(size * size);
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      spatial[(dy + radius) * size + dx + radius] = Math.exp(
+        -(dx * dx + dy * dy) / (2 * sigmaSpatial * sigmaSpatial)
+      );
+    }
+  }
+  const rangeLut = new Float32Array(RANGE_LUT_SIZE);
+  for (let i = 0; i < RANGE_LUT_SIZE; i++) {
+    const distanceSquared = (i / (RANGE_LUT_SIZE - 1)) * 3;
+    rangeLut[i] = Math.exp(-distanceSquared / (2 * sigmaRange * sigmaRange));
+  }
+
+  const filtered = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const center = (y * width + x) * 3;
+      let weightSum = 0;
+      let depthSum = 0;
+      for (let dy = -radius; dy <= radius; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const neighbour = ny * width + nx;
+          const dr = rgb[neighbour * 3] - rgb[center];
+          const dg = rgb[neighbour * 3 + 1] - rgb[center + 1];
+          const db = rgb[neighbour * 3 + 2] - rgb[center + 2];
+          const lutIndex = Math.round(
+            ((dr * dr + dg * dg + db * db) / 3) * (RANGE_LUT_SIZE - 1)
+          );
+          const weight =
+            spatial[(dy + radius) * size + dx + radius] * rangeLut[lutIndex];
+          weightSum += weight;
+          depthSum += weight * data[neighbour];
+        }
+      }
+      filtered[y * width + x] = depthSum / weightSum;
+    }
+  }
+  return new DepthBuffer(width, height, filtered);
+}
+
+/**
+ * Mean over a square window around every pixel, in constant time per pixel
+ * from running sums. Windows are cut off at the edges.
+ * @param {Float32Array} values - Row-major values.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @param {number} radius - The window radius in pixels.
+ * @returns {Float32Array} The window means.
+ */
+function boxMean(values, width, height, radius) {
+  const rows = new Float32Array(values.length);
+  const sums = new Float64Array(Math.max(width, height) + 1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      sums[x + 1] = sums[x] + values[y * width + x];
+    }
+    for (let x = 0; x < width; x++) {
+      const start = Math.max(0, x - radius);
+      const end = Math.min(width, x + radius + 1);
+      rows[y * width + x] = (sums[end] - sums[start]) / (end - start);
+    }
+  }
+
+  const means = new Float32Array(values.length);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      sums[y + 1] = sums[y] + rows[y * width + x];
+    }
+    for (let y = 0; y < height; y++) {
+      const start = Math.max(0, y - radius);
+      const end = Math.min(height, y + radius + 1);
+      means[y * width + x] = (sums[end] - sums[start]) / (end - start);
+    }
+  }
+  return means;
+}
+
+/**
+ * Guided filter with the guide's luminance: within every window the depth is
+ * modelled as `a * guide + b`, so the output only has edges where the guide
+ * has them. Larger `epsilon` smooths more across weak guide edges.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} guide - The guide from `readGuide`, at the buffer size.
+ * @param {Object} [options] - Filter options.
+ * @param {number} [options.radius=8] - The window radius in pixels.
+ * @param {number} [options.epsilon=0.001] - The regularization, in squared
+ * luminance units.
+ * @returns {DepthBuffer} The filtered buffer.
+ */
+export function guidedFilter(
+  depthBuffer,
+  guide,
+  { radius = 8, epsilon = 1e-3 } = {}
+) {
+  const { width, height, data } = depthBuffer;
+  const guideValues = guide.luminance;
+  const count = width * height;
+  const mean = (values) => boxMean(values, width, height, radius);
+
+  const products = new Float32Array(count);
+  const squares = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    products[i] = guideValues[i] * data[i];
+    squares[i] = guideValues[i] * guideValues[i];
+  }
+  const meanGuide = mean(guideValues);
+  const meanDepth = mean(data);
+  const meanProduct = mean(products);
+  const meanSquare = mean(squares);
+
+  // Per-window linear coefficients, reusing the product and square arrays
+  const a = products;
+  const b = squares;
+  for (let i = 0; i < count; i++) {
+    const variance = meanSquare[i] - meanGuide[i] * meanGuide[i];
+    const covariance = meanProduct[i] - meanGuide[i] * meanDepth[i];
+    a[i] = covariance / (variance + epsilon);
+    b[i] = meanDepth[i] - a[i] * meanGuide[i];
+  }
+
+  // Every pixel lies in many windows, so it averages their coefficients
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const filtered = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    filtered[i] = meanA[i] * guideValues[i] + meanB[i];
+  }
+  return new DepthBuffer(width, height, filtered);
+}
+
+/**
+ * Refines an estimated depth buffer with one of `REFINEMENT_METHODS`,
+ * optionally upsampling it to the image resolution first so the
+ * edge-preserving filters can recover detail the model output lacks.
+ * Filter sizes are in pixels of the (upsampled) buffer.
+ * @param {DepthBuffer} depthBuffer - The estimated depth.
+ * @param {HTMLImageElement} image - The source photo, used as the guide.
+ * @param {Object} [options] - Refinement options.
+ * @param {string} [options.method="guided"] - One of `REFINEMENT_METHODS`.
+ * @param {boolean} [options.upsample=false] - Whether to upsample to the
+ * image's natural size.
+ * @param {Object} [options.filter] - Options for the chosen filter.
+ * @returns {DepthBuffer} The refined buffer; a new buffer in every case.
+ * @throws Will throw an error for an unknown method.
+ */
+export function refineDepth(
+  depthBuffer,
+  image,
+  { method = "guided", upsample = false, filter = {} } = {}
+) {
+  if (!REFINEMENT_METHODS.includes(method)) {
+    throw new Error(`Unknown depth refinement method "${method}".`);
+  }
+  const input = upsample
+    ? upsampleDepth(
+        depthBuffer,
+        image.naturalWidth || image.width,
+        image.naturalHeight || image.height
+      )
+    : depthBuffer;
+
+  if (method === "none") return input === depthBuffer ? input.clone() : input;
+  if (method === "gaussian") return applySmoothing(input, filter.sigma);
+
+  const guide = readGuide(image, input.width, input.height);
+  return method === "guided"
+    ? guidedFilter(input, guide, filter)
+    : jointBilateralFilter(input, guide, filter);
+}
@@ -0,0 +1,297 @@
+import { DepthBuffer } from "./depthBuffer.js";
+
+/**
+ * Registered depth estimators, keyed by name. Node-safe: browser APIs are only
+ * touched by the estimators that need them, when they run.
+ *
+ * Every estimator is a class whose instances implement:
+ * - `load()`: loads models or resources, returns a Promise.
+ * - `estimate(image)`: resolves to a DepthBuffer (a row-major Float32Array
+ *   `data` plus `width` and `height`) of depth in [0, 1] at the input image
+ *   resolution.
+ *   Like ARPortraitDepth, 0 is background and larger values are farther away,
+ *   the convention documented on DepthBuffer.
+ * - `dispose()`: releases models and resources.
+ */
+const estimatorRegistry = new Map();
+
+/**
+ * The TensorFlow.js modules of the app, set by `setTensorFlow`. They are
+ * handed in rather than imported, so this module loads the same from every
+ * version and from the Node CLI, each with its own installed packages.
+ */
+let tensorFlow = null;
+
+/**
+ * Hands the app's TensorFlow.js modules to the model-based estimators. Call it
+ * before creating "ar-portrait-depth" or "graph-model".
+ * @param {Object} modules - The TensorFlow.js modules.
+ * @param {Object} modules.tf - The TensorFlow.js API: `@tensorflow/tfjs-core`,
+ * `@tensorflow/tfjs` or `@tensorflow/tfjs-node`.
+ * @param {Function} modules.loadGraphModel - `loadGraphModel` of `@tensorflow/tfjs-converter`.
+ * @param {Object} modules.depthEstimation - `@tensorflow-models/depth-estimation`.
+ */
+export function setTensorFlow({ tf, loadGraphModel, depthEstimation }) {
+  tensorFlow = { tf, loadGraphModel, depthEstimation };
+}
+
+/**
+ * Returns the modules passed to `setTensorFlow`.
+ * @returns {Object} The `tf`, `loadGraphModel` and `depthEstimation` modules.
+ * @throws Will throw an error if `setTensorFlow` was not called.
+ */
+function getTensorFlow() {
+  if (!tensorFlow) {
+    throw new Error(
+      "Call setTensorFlow before creating a model-based depth estimator."
+    );
+  }
+  return tensorFlow;
+}
+
+/**
+ * Registers a depth estimator so it can be created by name.
+ * @param {string} name - The unique estimator name used in config and UI.
+ * @param {string} label - A human readable label for the UI.
+ * @param {Function} EstimatorClass - The estimator class; its constructor receives the options.
+ */
+export function registerEstimator(name, label, EstimatorClass) {
+  estimatorRegistry.set(name, { label, EstimatorClass });
+}
+
+/**
+ * Lists the registered estimators.
+ * @returns {Array<Object>} The `{ name, label }` of each estimator.
+ */
+export function listEstimators() {
+  return Array.from(estimatorRegistry, ([name, { label }]) => ({
+    name,
+    label,
+  }));
+}
+
+/**
+ * Creates and loads a registered depth estimator.
+ * @param {string} name - The estimator name.
+ * @param {Object} [options] - Estimator specific options.
+ * @returns {Promise<Object>} The loaded estimator.
+ */
+export async function createDepthEstimator(name, options = {}) {
+  const entry = estimatorRegistry.get(name);
+  if (!entry) {
+    const known = Array.from(estimatorRegistry.keys()).join(", ");
+    throw new Error(`Unknown depth estimator "${name}". Known: ${known}.`);
+  }
+  const estimator = new entry.EstimatorClass(options);
+  await estimator.load();
+  return estimator;
+}
+
+/**
+ * Returns the pixel size of an estimator input.
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|tf.Tensor3D} input - The input image.
+ * @returns {Object} The `{ width, height }` of the input.
+ */
+function getInputSize(input) {
+  if (tensorFlow && input instanceof tensorFlow.tf.Tensor) {
+    return { width: input.shape[1], height: input.shape[0] };
+  }
+  return {
+    width: input.naturalWidth || input.videoWidth || input.width,
+    height: input.naturalHeight || input.videoHeight || input.height,
+  };
+}
+
+/**
+ * The TensorFlow.js ARPortraitDepth model, as used by every version so far.
+ */
+class ARPortraitDepthEstimator {
+  /**
+   * @param {Object} [options] - Model config passed to `createEstimator`
+   * (e.g. `depthModelUrl`, `segmentationModelUrl`), plus `estimationRange`.
+   */
+  constructor({
+    estimationRange = { minDepth: 0, maxDepth: 1 },
+    ...config
+  } = {}) {
+    this.estimationRange = estimationRange;
+    this.config = { outputDepthRange: [0, 1], ...config };
+    this.estimator = null;
+  }
+
+  async load() {
+    const { depthEstimation } = getTensorFlow();
+    this.estimator = await depthEstimation.createEstimator(
+      depthEstimation.SupportedModels.ARPortraitDepth,
+      this.config
+    );
+  }
+
+  async estimate(image) {
+    const depthMap = await this.estimator.estimateDepth(
+      image,
+      this.estimationRange
+    );
+    return DepthBuffer.fromDepthMap(depthMap);
+  }
+
+  dispose() {
+    this.estimator?.dispose();
+    this.estimator = null;
+  }
+}
+
+/**
+ * A local TensorFlow.js graph model predicting relative inverse depth, such as
+ * a converted MiDaS model. The output is min/max normalized per image.
+ */
+class GraphModelEstimator {
+  /**
+   * @param {Object} options - Model options.
+   * @param {string} options.modelUrl - URL of the graph model's model.json.
+   * @param {Array<number>} [options.inputSize=[256, 256]] - Model input [height, width].
+   * @param {Array<number>} [options.mean] - Per-channel mean subtracted from [0, 1] RGB.
+   * @param {Array<number>} [options.std] - Per-channel standard deviation.
+   * @param {boolean} [options.channelsFirst=false] - Feed NCHW instead of NHWC.
+   * @param {boolean} [options.invert=true] - Flip the output so that larger is farther.
+   */
+  constructor({
+    modelUrl,
+    inputSize = [256, 256],
+    mean = [0.485, 0.456, 0.406],
+    std = [0.229, 0.224, 0.225],
+    channelsFirst = false,
+    invert = true,
+  } = {}) {
+    this.options = { modelUrl, inputSize, mean, std, channelsFirst, invert };
+    this.model = null;
+  }
+
+  async load() {
+    if (!this.options.modelUrl) {
+      throw new Error("The graph model estimator needs a `modelUrl` option.");
+    }
+    this.model = await getTensorFlow().loadGraphModel(this.options.modelUrl);
+  }
+
+  async estimate(image) {
+    const { tf } = getTensorFlow();
+    const { width, height } = getInputSize(image);
+    const { inputSize, mean, std, channelsFirst, invert } = this.options;
+
+    const depthTensor = tf.tidy(() => {
+      const pixels =
+        image instanceof tf.Tensor ? image : tf.browser.fromPixels(image);
+      const resized = tf.image.resizeBilinear(
+        tf.cast(pixels, "float32"),
+        inputSize
+      );
+      const normalized = tf.div(
+        tf.sub(tf.div(resized, 255), tf.tensor1d(mean)),
+        tf.tensor1d(std)
+      );
+      let batch = tf.expandDims(normalized, 0);
+      if (channelsFirst) batch = tf.transpose(batch, [0, 3, 1, 2]);
+
+      const prediction = tf.reshape(this.model.predict(batch), [
+        inputSize[0],
+        inputSize[1],
+        1,
+      ]);
+      const min = tf.min(prediction);
+      const range = tf.maximum(tf.sub(tf.max(prediction), min), 1e-6);
+      let depth = tf.div(tf.sub(prediction, min), range);
+      if (invert) depth = tf.sub(1, depth);
+      return tf.squeeze(tf.image.resizeBilinear(depth, [height, width]), [2]);
+    });
+
+    const data = await depthTensor.data();
+    depthTensor.dispose();
+    return new DepthBuffer(width, height, data);
+  }
+
+  dispose() {
+    this.model?.dispose();
+    this.model = null;
+  }
+}
+
+/**
+ * A model-free estimator returning an elliptical dome, for tests and demos.
+ * Mimics ARPortraitDepth: 0 outside the subject, nearest at the centre.
+ */
+class SyntheticEstimator {
+  async load() {}
+
+  async estimate(image) {
+    const { width, height } = getInputSize(image);
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const nx = (x - width / 2) / (width * 0.35);
+        const ny = (y - height / 2) / (height * 0.45);
+        const r2 = nx * nx + ny * ny;
+        data[y * width + x] = r2 < 1 ? 0.2 + 0.6 * r2 : 0;
+      }
+    }
+    return new DepthBuffer(width, height, data);
+  }
+
+  dispose() {}
+}
+
+/**
+ * Loads a precomputed grayscale depth image instead of running a model. The
+ * red channel is used and resampled to the size of the photo being estimated.
+ */
+class DepthImageEstimator {
+  /**
+   * @param {Object} options - Loader options.
+   * @param {string} options.url - URL of the depth image (e.g. an object URL of an uploaded PNG).
+   */
+  constructor({ url } = {}) {
+    this.url = url;
+    this.depthImage = null;
+  }
+
+  async load() {
+    if (!this.url) {
+      throw new Error("The depth image estimator needs a `url` option.");
+    }
+    this.depthImage = new Image();
+    this.depthImage.crossOrigin = "anonymous";
+    this.depthImage.src = this.url;
+    await this.depthImage.decode();
+  }
+
+  async estimate(image) {
+    const { width, height } = getInputSize(image);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(this.depthImage, 0, 0, width, height);
+    return DepthBuffer.fromImageData(ctx.getImageData(0, 0, width, height));
+  }
+
+  dispose() {
+    this.depthImage = null;
+  }
+}
+
+registerEstimator(
+  "ar-portrait-depth",
+  "ARPortraitDepth (TensorFlow.js)",
+  ARPortraitDepthEstimator
+);
+registerEstimator(
+  "graph-model",
+  "Local graph model (MiDaS-style)",
+  GraphModelEstimator
+);
+registerEstimator("synthetic", "Synthetic test dome", SyntheticEstimator);
+registerEstimator(
+  "depth-image",
+  "Precomputed depth image",
+  DepthImageEstimator
+);
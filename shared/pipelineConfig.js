@@ -0,0 +1,546 @@
+import { COLORMAPS, parseGradientStops } from "./colormap.js";
+
+/**
+ * One configuration for every stage of the depth pipeline: the depth model,
+ * depth processing, mesh generation, rendering and overlay styles. Each
+ * version reads the settings it uses and ignores the rest.
+ *
+ * A configuration is resolved from layers, later layers winning: the schema
+ * defaults, the version's own defaults, a preset, a JSON file picked in the
+ * page, a JSON file named by the `config` URL query parameter, and single
+ * settings in the URL query, e.g.
+ * `?preset=landscape&mesh.planeWidth=1.5&model.outputDepthRange=0,0.5`.
+ *
+ * Every setting is described by:
+ * - type: "number", "integer", "boolean", "string", "color", "enum" (one of
+ *   `values`) or "range" (two increasing numbers).
+ * - default: the value used when no layer sets it.
+ * - min, max: inclusive bounds of numbers, integers and range ends.
+ * - exclusiveMin: whether `min` itself is out of bounds.
+ * - description: what the setting does.
+ */
+export const CONFIG_SCHEMA = {
+  model: {
+    estimator: {
+      type: "enum",
+      // Estimators of estimators.js that need no further options
+      values: ["ar-portrait-depth", "synthetic"],
+      default: "ar-portrait-depth",
+      description:
+        "Depth estimator of the versions without an estimator dropdown.",
+    },
+    outputDepthRange: {
+      type: "range",
+      default: [0, 1],
+      min: 0,
+      max: 1,
+      description:
+        "Range ARPortraitDepth maps its depth to; a narrower range keeps finer detail.",
+    },
+  },
+  depth: {
+    toneRange: {
+      type: "integer",
+      default: 10,
+      min: 0,
+      max: 255,
+      description: "Depths below toneRange / 255 are cut away as background.",
+    },
+    refinement: {
+      type: "enum",
+      // REFINEMENT_METHODS of depthRefinement.js
+      values: ["none", "gaussian", "joint-bilateral", "guided"],
+      default: "guided",
+      description: "Filter the estimated depth is refined with.",
+    },
+    normalize: {
+      type: "boolean",
+      default: true,
+      description: "Whether the depth is stretched to [0, 1] before meshing.",
+    },
+    inpaintMethod: {
+      type: "enum",
+      // INPAINT_METHODS of depthInpainting.js
+      values: ["none", "diffusion", "fast-marching"],
+      default: "diffusion",
+      description: "How cut or missing depth is filled for meshes.",
+    },
+  },
+  mesh: {
+    planeWidth: {
+      type: "number",
+      default: 1.2,
+      min: 0,
+      exclusiveMin: true,
+      description: "Width of the depth plane in scene units.",
+    },
+    triangleBudget: {
+      type: "integer",
+      default: 50000,
+      min: 2,
+      max: 2000000,
+      description: "Most triangles of the adaptive mesh.",
+    },
+    tearThreshold: {
+      type: "number",
+      default: 0.15,
+      min: 0,
+      max: 1,
+      description: "Depth jump above which the mesh is torn; 0 never tears it.",
+    },
+  },
+  rendering: {
+    displacementScale: {
+      type: "number",
+      default: -0.2,
+      description:
+        "Displacement of depth 1 in scene units per unit of the depth slider; negative brings nearer depth forward.",
+    },
+    depthScale: {
+      type: "number",
+      default: 1,
+      min: 0,
+      max: 5,
+      description: "Initial value of the depth slider.",
+    },
+    fieldOfView: {
+      type: "number",
+      default: 75,
+      min: 0,
+      max: 180,
+      exclusiveMin: true,
+      description: "Vertical field of view of the camera, in degrees.",
+    },
+    cameraDistance: {
+      type: "number",
+      default: 2,
+      min: 0,
+      exclusiveMin: true,
+      description: "Distance of the camera from the depth plane.",
+    },
+    colormap: {
+      type: "enum",
+      values: COLORMAPS,
+      default: "grayscale",
+      description: "Colormap the depth map is shown with.",
+    },
+    customGradient: {
+      type: "string",
+      default: "#000000, #1a73e8 0.5, #ffffff",
+      description: 'Gradient stops of the "custom" colormap.',
+    },
+  },
+  overlay: {
+    keypointColor: {
+      type: "color",
+      default: "red",
+      description: "Colour of the face landmarks.",
+    },
+    keypointRadius: {
+      type: "number",
+      default: 2,
+      min: 0,
+      description: "Radius of the face landmarks, in pixels.",
+    },
+    outerRingColor: {
+      type: "color",
+      default: "blue",
+      description: "Colour of the face outline.",
+    },
+    outerRingWidth: {
+      type: "number",
+      default: 2,
+      min: 0,
+      description: "Line width of the face outline, in pixels.",
+    },
+    triangulationColor: {
+      type: "color",
+      default: "green",
+      description: "Colour of the face mesh triangles.",
+    },
+    triangulationWidth: {
+      type: "number",
+      default: 1,
+      min: 0,
+      description: "Line width of the face mesh triangles, in pixels.",
+    },
+  },
+};
+
+/**
+ * Presets for common subjects. They all set the same settings, so switching
+ * between them never leaves settings of the previous one behind.
+ *
+ * - portrait: a person in front of a background that is cut away.
+ * - landscape: far, gently sloping scenes; keeps the background, tears only
+ *   at large jumps and exaggerates the relief.
+ * - product: an object on a plain backdrop; cuts harder and tears at the
+ *   silhouette.
+ */
+export const CONFIG_PRESETS = {
+  portrait: {
+    depth: { toneRange: 10, refinement: "guided" },
+    mesh: { triangleBudget: 50000, tearThreshold: 0.15 },
+    rendering: { depthScale: 1, fieldOfView: 75, colormap: "grayscale" },
+  },
+  landscape: {
+    depth: { toneRange: 0, refinement: "gaussian" },
+    mesh: { triangleBudget: 100000, tearThreshold: 0.3 },
+    rendering: { depthScale: 2, fieldOfView: 60, colormap: "turbo" },
+  },
+  product: {
+    depth: { toneRange: 40, refinement: "guided" },
+    mesh: { triangleBudget: 80000, tearThreshold: 0.08 },
+    rendering: { depthScale: 1.5, fieldOfView: 50, colormap: "viridis" },
+  },
+};
+
+/**
+ * Key under which a configuration file picked in the page is kept for the
+ * rest of the browser session.
+ */
+const STORAGE_KEY = "pipelineConfig";
+
+/**
+ * Returns the schema defaults.
+ * @returns {Object} A complete configuration.
+ */
+export function getDefaultConfig() {
+  const config = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([section, fields]) => {
+    config[section] = {};
+    Object.entries(fields).forEach(([name, field]) => {
+      config[section][name] = structuredClone(field.default);
+    });
+  });
+  return config;
+}
+
+/**
+ * Checks one setting against its schema entry.
+ * @param {Object} field - The schema entry.
+ * @param {*} value - The value.
+ * @returns {string|null} What is wrong with the value, or null if it is valid.
+ */
+function checkValue(field, value) {
+  const inBounds = (number) =>
+    (field.min === undefined ||
+      (field.exclusiveMin ? number > field.min : number >= field.min)) &&
+    (field.max === undefined || number <= field.max);
+  const bounds = [
+    field.min !== undefined &&
+      `${field.exclusiveMin ? "above" : "at least"} ${field.min}`,
+    field.max !== undefined && `at most ${field.max}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+  const expectNumber = (kind) =>
+    bounds ? `expected ${kind} ${bounds}` : `expected ${kind}`;
+
+  switch (field.type) {
+    case "number":
+      return Number.isFinite(value) && inBounds(value)
+        ? null
+        : expectNumber("a number");
+    case "integer":
+      return Number.isInteger(value) && inBounds(value)
+        ? null
+        : expectNumber("an integer");
+    case "boolean":
+      return typeof value === "boolean" ? null : "expected true or false";
+    case "string":
+      return typeof value === "string" ? null : "expected a string";
+    case "color":
+      if (typeof value !== "string" || !value.trim()) {
+        return "expected a CSS colour";
+      }
+      return typeof CSS === "undefined" || CSS.supports("color", value)
+        ? null
+        : "expected a CSS colour";
+    case "enum":
+      return field.values.includes(value)
+        ? null
+        : `expected one of ${field.values.join(", ")}`;
+    case "range":
+      return Array.isArray(value) &&
+        value.length === 2 &&
+        value.every((end) => Number.isFinite(end) && inBounds(end)) &&
+        value[0] < value[1]
+        ? null
+        : `expected two increasing numbers${bounds ? ` ${bounds}` : ""}`;
+    default:
+      throw new Error(`Unknown setting type "${field.type}".`);
+  }
+}
+
+/**
+ * Validates a complete or partial configuration, collecting every problem.
+ * @param {Object} config - The configuration.
+ * @param {string} [source="configuration"] - Where the configuration comes
+ * from, for the error message.
+ * @returns {Object} The configuration, if valid.
+ * @throws Will throw an error listing every unknown or invalid setting.
+ */
+export function validateConfig(config, source = "configuration") {
+  const problems = [];
+  if (!isPlainObject(config)) {
+    problems.push("expected an object of sections");
+  } else {
+    Object.entries(config).forEach(([section, values]) => {
+      const fields = CONFIG_SCHEMA[section];
+      if (!fields) {
+        problems.push(
+          `unknown section "${section}"; known: ${Object.keys(
+            CONFIG_SCHEMA
+          ).join(", ")}`
+        );
+        return;
+      }
+      if (!isPlainObject(values)) {
+        problems.push(`${section}: expected an object of settings`);
+        return;
+      }
+      Object.entries(values).forEach(([name, value]) => {
+        const field = fields[name];
+        if (!field) {
+          problems.push(
+            `unknown setting "${section}.${name}"; known: ${Object.keys(
+              fields
+            ).join(", ")}`
+          );
+          return;
+        }
+        const problem = checkValue(field, value);
+        if (problem) {
+          problems.push(
+            `${section}.${name}: ${problem}, got ${JSON.stringify(value)}`
+          );
+        }
+      });
+    });
+  }
+
+  if (typeof config?.rendering?.customGradient === "string") {
+    try {
+      parseGradientStops(config.rendering.customGradient);
+    } catch (error) {
+      problems.push(`rendering.customGradient: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid ${source}:\n${problems.map((p) => `- ${p}`).join("\n")}`
+    );
+  }
+  return config;
+}
+
+/**
+ * Tells whether a value is a plain object, as opposed to an array or null.
+ * @param {*} value - The value.
+ * @returns {boolean} Whether it is a plain object.
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merges partial configurations section by section; later layers win.
+ * @param {...Object} layers - The partial configurations.
+ * @returns {Object} The merged configuration.
+ */
+export function mergeConfig(...layers) {
+  const merged = {};
+  layers.forEach((layer) => {
+    Object.entries(layer ?? {}).forEach(([section, values]) => {
+      merged[section] = { ...merged[section], ...structuredClone(values) };
+    });
+  });
+  return merged;
+}
+
+/**
+ * Resolves a complete configuration from the schema defaults and validated
+ * partial configurations.
+ * @param {...Object} layers - The partial configurations; later layers win.
+ * @returns {Object} The configuration.
+ * @throws Will throw an error if a layer is invalid.
+ */
+export function resolveConfig(...layers) {
+  layers.forEach((layer) => validateConfig(layer ?? {}));
+  return mergeConfig(getDefaultConfig(), ...layers);
+}
+
+/**
+ * Returns a preset by name.
+ * @param {string} name - One of the `CONFIG_PRESETS` names.
+ * @returns {Object} The partial configuration of the preset.
+ * @throws Will throw an error for an unknown preset.
+ */
+export function getPreset(name) {
+  if (!CONFIG_PRESETS[name]) {
+    throw new Error(
+      `Unknown preset "${name}"; known: ${Object.keys(CONFIG_PRESETS).join(
+        ", "
+      )}.`
+    );
+  }
+  return CONFIG_PRESETS[name];
+}
+
+/**
+ * Parses a configuration from JSON text, e.g. an uploaded file. The JSON may
+ * name a preset in a top-level `preset` key, which its sections override.
+ * @param {string} text - The JSON text.
+ * @param {string} [source="configuration file"] - Where the text comes from,
+ * for error messages.
+ * @returns {Object} The validated partial configuration.
+ * @throws Will throw an error for invalid JSON, presets or settings.
+ */
+export function parseConfigJSON(text, source = "configuration file") {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Invalid ${source}: expected a JSON object.`);
+  }
+  const { preset, ...sections } = parsed;
+  validateConfig(sections, source);
+  return preset === undefined
+    ? sections
+    : mergeConfig(getPreset(preset), sections);
+}
+
+/**
+ * Parses the single settings of a URL query string, e.g.
+ * `?mesh.planeWidth=1.5&model.outputDepthRange=0,0.5`, typed by the schema.
+ * The `preset` and `config` parameters and parameters without a dot are
+ * left to the caller.
+ * @param {string} search - The query string.
+ * @returns {Object} The validated partial configuration.
+ * @throws Will throw an error for unknown or invalid settings.
+ */
+export function parseConfigQuery(search) {
+  const config = {};
+  new URLSearchParams(search).forEach((text, key) => {
+    const dot = key.indexOf(".");
+    if (dot < 0) return;
+    const section = key.slice(0, dot);
+    const name = key.slice(dot + 1);
+    const type = CONFIG_SCHEMA[section]?.[name]?.type;
+
+    // Values that do not parse are kept as text for the error message
+    let value = text;
+    if ((type === "number" || type === "integer") && text.trim() !== "") {
+      value = Number.isNaN(Number(text)) ? text : Number(text);
+    } else if (type === "boolean" && (text === "true" || text === "false")) {
+      value = text === "true";
+    } else if (type === "range") {
+      const ends = text.split(",").map(Number);
+      if (!ends.some(Number.isNaN)) value = ends;
+    }
+    config[section] = { ...config[section], [name]: value };
+  });
+  return validateConfig(config, "URL query configuration");
+}
+
+/**
+ * Loads the configuration of the page: the version's defaults, then the
+ * preset, the configuration file picked earlier in this session and the JSON
+ * file and settings given in the URL query.
+ * @param {Object} [base] - The version's own defaults, as a partial configuration.
+ * @param {string} [search] - The URL query string; the page's by default.
+ * @returns {Promise<Object>} The configuration.
+ * @throws Will throw an error for an unreadable or invalid layer.
+ */
+export async function loadConfig(base = {}, search = location.search) {
+  const query = new URLSearchParams(search);
+  const preset = query.get("preset");
+  const layers = [base];
+  if (preset) layers.push(getPreset(preset));
+
+  const stored = sessionStorage.getItem(STORAGE_KEY);
+  if (stored) layers.push(parseConfigJSON(stored));
+
+  const url = query.get("config");
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `Could not load the configuration ${url}: ${response.status} ${response.statusText}.`
+      );
+    }
+    layers.push(parseConfigJSON(await response.text(), `configuration ${url}`));
+  }
+
+  layers.push(parseConfigQuery(search));
+  return resolveConfig(...layers);
+}
+
+/**
+ * Loads the configuration of the page and wires up the configuration
+ * controls: the `#configPreset` dropdown and the `#configFile` input, which
+ * reload the page with the new settings. Switching presets drops a
+ * configuration file picked earlier. An invalid configuration is shown in
+ * `#configError` and the version's defaults are used instead.
+ * @param {Object} [base] - The version's own defaults, as a partial configuration.
+ * @returns {Promise<Object>} The configuration.
+ */
+export async function initializeConfigControls(base = {}) {
+  const errorElement = document.getElementById("configError");
+  const showError = (error) => {
+    console.error(error);
+    if (!errorElement) return;
+    errorElement.textContent = error.message;
+    errorElement.hidden = false;
+  };
+
+  let config;
+  try {
+    config = await loadConfig(base);
+  } catch (error) {
+    showError(error);
+    config = resolveConfig(base);
+  }
+
+  const presetSelect = document.getElementById("configPreset");
+  if (presetSelect) {
+    presetSelect.add(new Option("Default", ""));
+    Object.keys(CONFIG_PRESETS).forEach((name) =>
+      presetSelect.add(new Option(name, name))
+    );
+    presetSelect.value =
+      new URLSearchParams(location.search).get("preset") ?? "";
+    presetSelect.addEventListener("change", () => {
+      sessionStorage.removeItem(STORAGE_KEY);
+      const url = new URL(location.href);
+      if (presetSelect.value) {
+        url.searchParams.set("preset", presetSelect.value);
+      } else {
+        url.searchParams.delete("preset");
+      }
+      location.assign(url);
+    });
+  }
+
+  document
+    .getElementById("configFile")
+    ?.addEventListener("change", async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      try {
+        const text = await file.text();
+        parseConfigJSON(text, `configuration file ${file.name}`);
+        sessionStorage.setItem(STORAGE_KEY, text);
+        location.reload();
+      } catch (error) {
+        showError(error);
+      }
+    });
+
+  return config;
+}
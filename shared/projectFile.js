@@ -0,0 +1,184 @@
+import { DepthBuffer } from "./depthBuffer.js";
+
+/**
+ * Project files (.depthproj) bundle everything needed to pick up work again:
+ * the source image, the raw estimated depth, the painted depth, slider values
+ * and the camera pose. Versions without depth painting store the estimated
+ * depth as both. The layout is a small JSON header followed by binary
+ * chunks:
+ *
+ *   "DPRJ" | uint32 format version | uint32 header length | JSON header | chunks
+ *
+ * All integers are little-endian. The header describes each chunk by its byte
+ * offset and length, relative to the start of the chunk area; chunks are
+ * 4-byte aligned so depth data can be read as Float32Array directly.
+ */
+const PROJECT_MAGIC = "DPRJ";
+const PROJECT_VERSION = 1;
+
+export const PROJECT_EXTENSION = ".depthproj";
+
+const AUTOSAVE_STORE = "projects";
+const AUTOSAVE_KEY = "autosave";
+
+/**
+ * Serializes a project into a single binary file.
+ * @param {Object} project - The project to save.
+ * @param {Blob} project.image - The source image file.
+ * @param {DepthBuffer} project.rawDepth - The depth as estimated, before painting.
+ * @param {DepthBuffer} project.paintedDepth - The painted depth.
+ * @param {Object} project.sliders - Slider values keyed by element id.
+ * @param {Object} project.camera - The camera pose from `ThreeDScene.getCameraPose`.
+ * @param {string} project.estimatorName - The depth estimator that produced `rawDepth`.
+ * @returns {Promise<Blob>} The project file.
+ */
+export async function serializeProject(project) {
+  const chunks = [];
+  let chunkOffset = 0;
+  const addChunk = (bytes) => {
+    const entry = { byteOffset: chunkOffset, byteLength: bytes.byteLength };
+    chunks.push(bytes);
+    const padding = (4 - (bytes.byteLength % 4)) % 4;
+    if (padding) chunks.push(new Uint8Array(padding));
+    chunkOffset += bytes.byteLength + padding;
+    return entry;
+  };
+
+  const header = {
+    createdAt: new Date().toISOString(),
+    estimatorName: project.estimatorName,
+    image: {
+      type: project.image.type,
+      ...addChunk(new Uint8Array(await project.image.arrayBuffer())),
+    },
+    depth: {
+      width: project.paintedDepth.width,
+      height: project.paintedDepth.height,
+      raw: addChunk(project.rawDepth.data),
+      painted: addChunk(project.paintedDepth.data),
+    },
+    sliders: project.sliders,
+    camera: project.camera,
+  };
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const headerPadding = (4 - (headerBytes.byteLength % 4)) % 4;
+  const prefix = new DataView(new ArrayBuffer(12));
+  for (let i = 0; i < PROJECT_MAGIC.length; i++) {
+    prefix.setUint8(i, PROJECT_MAGIC.charCodeAt(i));
+  }
+  prefix.setUint32(4, PROJECT_VERSION, true);
+  prefix.setUint32(8, headerBytes.byteLength + headerPadding, true);
+
+  return new Blob(
+    // Pad the header with spaces so it still parses as JSON
+    [prefix, headerBytes, new Uint8Array(headerPadding).fill(32), ...chunks],
+    { type: "application/octet-stream" }
+  );
+}
+
+/**
+ * Reads a project file written by `serializeProject`.
+ * @param {Blob} file - The project file.
+ * @returns {Promise<Object>} The project, in the shape `serializeProject` takes.
+ */
+export async function parseProject(file) {
+  const buffer = await file.arrayBuffer();
+  const magic = String.fromCharCode(...new Uint8Array(buffer.slice(0, 4)));
+  if (buffer.byteLength < 12 || magic !== PROJECT_MAGIC) {
+    throw new Error("This file is not a depth map project.");
+  }
+  const prefix = new DataView(buffer, 0, 12);
+  const version = prefix.getUint32(4, true);
+  if (version > PROJECT_VERSION) {
+    throw new Error(
+      `Project format version ${version} is newer than this app supports.`
+    );
+  }
+
+  const headerLength = prefix.getUint32(8, true);
+  const header = JSON.parse(
+    new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)).trim()
+  );
+  const chunkStart = 12 + headerLength;
+  const readChunk = (byteOffset, byteLength) =>
+    buffer.slice(chunkStart + byteOffset, chunkStart + byteOffset + byteLength);
+  const readDepth = ({ byteOffset, byteLength }) =>
+    new DepthBuffer(
+      header.depth.width,
+      header.depth.height,
+      new Float32Array(readChunk(byteOffset, byteLength))
+    );
+
+  const { image } = header;
+  return {
+    image: new Blob([readChunk(image.byteOffset, image.byteLength)], {
+      type: image.type,
+    }),
+    rawDepth: readDepth(header.depth.raw),
+    paintedDepth: readDepth(header.depth.painted),
+    sliders: header.sliders,
+    camera: header.camera,
+    estimatorName: header.estimatorName,
+  };
+}
+
+/**
+ * Opens an autosave database.
+ * @param {string} database - The database name; each version has its own.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openAutosaveDatabase(database) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(database, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(AUTOSAVE_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a single request against the autosave store.
+ * @param {string} database - The autosave database name.
+ * @param {string} mode - "readonly" or "readwrite".
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest.
+ * @returns {Promise<*>} The request result.
+ */
+async function withAutosaveStore(database, mode, makeRequest) {
+  const db = await openAutosaveDatabase(database);
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(AUTOSAVE_STORE, mode);
+      const request = makeRequest(transaction.objectStore(AUTOSAVE_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Stores a project file as the autosave in IndexedDB, replacing the previous one.
+ * @param {string} database - The autosave database name.
+ * @param {Blob} projectFile - The file from `serializeProject`.
+ * @returns {Promise<void>}
+ */
+export async function saveAutosave(database, projectFile) {
+  await withAutosaveStore(database, "readwrite", (store) =>
+    store.put(projectFile, AUTOSAVE_KEY)
+  );
+}
+
+/**
+ * Loads the autosaved project file from IndexedDB.
+ * @param {string} database - The autosave database name.
+ * @returns {Promise<Blob|undefined>} The project file, if one was saved.
+ */
+export async function loadAutosave(database) {
+  return withAutosaveStore(database, "readonly", (store) =>
+    store.get(AUTOSAVE_KEY)
+  );
+}
@@ -0,0 +1,191 @@
+/**
+ * Stereo output from a single image and its depth map, by depth-image-based
+ * rendering (DIBR): every pixel is shifted horizontally by a disparity that
+ * depends on its depth, once for each eye.
+ */
+
+/**
+ * Stereo layouts supported by `composeStereo`.
+ */
+export const STEREO_LAYOUTS = ["anaglyph", "side-by-side", "over-under"];
+
+/**
+ * Reads the pixels of an image at its natural size.
+ * @param {CanvasImageSource} image - The source image.
+ * @returns {ImageData} The pixels.
+ */
+function getImagePixels(image) {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Maps the depth buffer onto the image pixels and normalizes it for
+ * rendering: the foreground depth range is stretched to 0 (nearest) .. 1
+ * (farthest), and background pixels (depth 0) are pushed to the far plane.
+ * @param {DepthBuffer} depthBuffer - The depth buffer; farther is larger and 0
+ * is background.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @returns {Float32Array} Per-pixel depth at image resolution.
+ */
+function getViewDepth(depthBuffer, width, height) {
+  let min = Infinity;
+  let max = -Infinity;
+  depthBuffer.data.forEach((depth) => {
+    if (depth === 0) return;
+    if (depth < min) min = depth;
+    if (depth > max) max = depth;
+  });
+  const range = max - min || 1;
+
+  const scaleX = depthBuffer.width / width;
+  const scaleY = depthBuffer.height / height;
+  const depth = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = depthBuffer.get(x * scaleX, y * scaleY);
+      depth[y * width + x] = value === 0 ? 1 : (value - min) / range;
+    }
+  }
+  return depth;
+}
+
+/**
+ * Renders one eye's view by forward-warping the image. Where several pixels
+ * land on the same spot the nearest wins; disocclusions (spots no pixel lands
+ * on) are filled from the farther of their two neighbours, since the hidden
+ * area belongs to the background behind the edge.
+ * @param {ImageData} source - The source pixels.
+ * @param {Float32Array} depth - The normalized depth from `getViewDepth`.
+ * @param {Function} disparity - Maps a normalized depth to a shift in pixels.
+ * @returns {ImageData} The rendered view.
+ */
+function renderView(source, depth, disparity) {
+  const { width, height, data } = source;
+  const view = new ImageData(width, height);
+  const rowDepth = new Float32Array(width);
+  const rowSource = new Int32Array(width);
+
+  for (let y = 0; y < height; y++) {
+    rowDepth.fill(Infinity);
+    rowSource.fill(-1);
+
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const targetX = Math.round(x + disparity(depth[i]));
+      if (targetX < 0 || targetX >= width) continue;
+      if (depth[i] < rowDepth[targetX]) {
+        rowDepth[targetX] = depth[i];
+        rowSource[targetX] = i;
+      }
+    }
+
+    // Fill each hole run from the farther side
+    for (let x = 0; x < width; x++) {
+      if (rowSource[x] >= 0) continue;
+      let end = x;
+      while (end < width && rowSource[end] < 0) end++;
+      const left = x > 0 ? x - 1 : -1;
+      const right = end < width ? end : -1;
+      const fill =
+        left < 0 || (right >= 0 && rowDepth[right] > rowDepth[left])
+          ? right
+          : left;
+      for (let k = x; k < end; k++) {
+        rowSource[k] = fill >= 0 ? rowSource[fill] : -1;
+      }
+      x = end - 1;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const sourceIndex = rowSource[x];
+      if (sourceIndex < 0) continue;
+      const target = (y * width + x) * 4;
+      view.data[target] = data[sourceIndex * 4];
+      view.data[target + 1] = data[sourceIndex * 4 + 1];
+      view.data[target + 2] = data[sourceIndex * 4 + 2];
+      view.data[target + 3] = data[sourceIndex * 4 + 3];
+    }
+  }
+  return view;
+}
+
+/**
+ * Renders a left and right view of an image from its depth map.
+ * @param {CanvasImageSource} image - The source image.
+ * @param {DepthBuffer} depthBuffer - The depth buffer; farther is larger and 0
+ * is background.
+ * @param {Object} [options] - Stereo options.
+ * @param {number} [options.baseline=0.03] - Total disparity between the
+ * nearest and farthest points, as a fraction of the image width.
+ * @param {number} [options.convergence=0.5] - Normalized depth of the
+ * convergence plane (0 nearest, 1 farthest), which stays on the screen plane.
+ * Nearer points come out of the screen, farther points go behind it.
+ * @returns {Object} The `left` and `right` views as ImageData.
+ */
+export function renderStereoPair(
+  image,
+  depthBuffer,
+  { baseline = 0.03, convergence = 0.5 } = {}
+) {
+  const source = getImagePixels(image);
+  const depth = getViewDepth(depthBuffer, source.width, source.height);
+  const maxDisparity = baseline * source.width;
+
+  // Half the disparity for each eye; near points shift right in the left eye
+  const shift = (value) => ((convergence - value) * maxDisparity) / 2;
+  return {
+    left: renderView(source, depth, (value) => shift(value)),
+    right: renderView(source, depth, (value) => -shift(value)),
+  };
+}
+
+/**
+ * Combines a stereo pair into a single image.
+ * @param {Object} pair - The output of `renderStereoPair`.
+ * @param {string} layout - One of `STEREO_LAYOUTS`: "anaglyph" (red/cyan
+ * glasses), "side-by-side" (left view on the left) or "over-under" (left view
+ * on top).
+ * @param {HTMLCanvasElement} [canvas] - The canvas to draw on; a new one by default.
+ * @returns {HTMLCanvasElement} The canvas with the combined image.
+ * @throws Will throw an error for an unknown layout.
+ */
+export function composeStereo(
+  { left, right },
+  layout,
+  canvas = document.createElement("canvas")
+) {
+  const { width, height } = left;
+  const ctx = canvas.getContext("2d");
+
+  if (layout === "anaglyph") {
+    canvas.width = width;
+    canvas.height = height;
+    const anaglyph = new ImageData(width, height);
+    for (let i = 0; i < anaglyph.data.length; i += 4) {
+      anaglyph.data[i] = left.data[i];
+      anaglyph.data[i + 1] = right.data[i + 1];
+      anaglyph.data[i + 2] = right.data[i + 2];
+      anaglyph.data[i + 3] = Math.max(left.data[i + 3], right.data[i + 3]);
+    }
+    ctx.putImageData(anaglyph, 0, 0);
+  } else if (layout === "side-by-side") {
+    canvas.width = width * 2;
+    canvas.height = height;
+    ctx.putImageData(left, 0, 0);
+    ctx.putImageData(right, width, 0);
+  } else if (layout === "over-under") {
+    canvas.width = width;
+    canvas.height = height * 2;
+    ctx.putImageData(left, 0, 0);
+    ctx.putImageData(right, 0, height);
+  } else {
+    throw new Error(`Unknown stereo layout "${layout}".`);
+  }
+  return canvas;
+}
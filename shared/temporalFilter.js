@@ -0,0 +1,110 @@
+/**
+ * Reduces flicker in per-frame depth estimates of a video. Monocular depth
+ * models estimate every frame on its own, so the same surface drifts in scale
+ * and jitters from frame to frame. Each new frame is first fitted to the
+ * previous filtered frame with a global scale and offset, then blended with it
+ * per pixel. Pixels that change a lot (real motion, or a pixel entering or
+ * leaving the background at depth 0) follow the new frame immediately to avoid
+ * ghosting.
+ */
+export class TemporalDepthFilter {
+  /**
+   * @param {Object} [options] - Filter options.
+   * @param {number} [options.smoothing=0.6] - Weight of the previous frame, from 0 (off) to just below 1.
+   * @param {number} [options.motionThreshold=0.08] - Depth change above which a pixel is treated as moving.
+   * @param {boolean} [options.alignScale=true] - Fit each frame's scale and offset to the previous frame.
+   */
+  constructor({
+    smoothing = 0.6,
+    motionThreshold = 0.08,
+    alignScale = true,
+  } = {}) {
+    this.smoothing = smoothing;
+    this.motionThreshold = motionThreshold;
+    this.alignScale = alignScale;
+    this.previous = null;
+  }
+
+  /**
+   * Forgets the previous frame, e.g. before filtering another video.
+   */
+  reset() {
+    this.previous = null;
+  }
+
+  /**
+   * Filters the next frame of the sequence.
+   * @param {DepthBuffer} depthBuffer - The raw depth estimate of the frame.
+   * @returns {DepthBuffer} The filtered depth, as a new buffer.
+   */
+  apply(depthBuffer) {
+    const previous = this.previous;
+    if (
+      !previous ||
+      previous.width !== depthBuffer.width ||
+      previous.height !== depthBuffer.height
+    ) {
+      this.previous = depthBuffer.clone();
+      return depthBuffer.clone();
+    }
+
+    const current = this.alignScale
+      ? alignDepth(depthBuffer, previous)
+      : depthBuffer;
+    const filtered = current.map((value, i) => {
+      const last = previous.data[i];
+      if (
+        value === 0 ||
+        last === 0 ||
+        Math.abs(value - last) > this.motionThreshold
+      ) {
+        return value;
+      }
+      return last + (value - last) * (1 - this.smoothing);
+    });
+
+    this.previous = filtered;
+    return filtered.clone();
+  }
+}
+
+/**
+ * Fits `scale * depth + offset` to a reference frame by least squares over the
+ * pixels that are foreground in both, and applies it. Background pixels stay 0.
+ * @param {DepthBuffer} depthBuffer - The frame to align.
+ * @param {DepthBuffer} reference - The frame to align to.
+ * @returns {DepthBuffer} The aligned frame, or the input if the fit is unreliable.
+ */
+function alignDepth(depthBuffer, reference) {
+  // Every 4th pixel is plenty for two parameters
+  const step = 4;
+  let count = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXX = 0;
+  let sumXY = 0;
+  for (let i = 0; i < depthBuffer.data.length; i += step) {
+    const x = depthBuffer.data[i];
+    const y = reference.data[i];
+    if (x === 0 || y === 0) continue;
+    count++;
+    sumX += x;
+    sumY += y;
+    sumXX += x * x;
+    sumXY += x * y;
+  }
+
+  const variance = count * sumXX - sumX * sumX;
+  if (count < 100 || variance <= 1e-9) return depthBuffer;
+
+  const scale = (count * sumXY - sumX * sumY) / variance;
+  const offset = (sumY - scale * sumX) / count;
+
+  // A wildly different scale means a cut or a failed estimate, not drift
+  if (scale < 0.5 || scale > 2) return depthBuffer;
+
+  // Keep foreground pixels above 0 so they don't turn into background
+  return depthBuffer.map((value) =>
+    value === 0 ? 0 : Math.min(Math.max(value * scale + offset, 1e-6), 1)
+  );
+}
@@ -1,23 +1,37 @@
 // Confirm that the app.js file is loaded
 console.log("app.js is loaded");
 
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+
+// The depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
+
+// Load the pipeline settings: this version's defaults, overridden by the
+// chosen preset, a configuration file or the URL query
+const config = await initializeConfigControls({
+  model: { outputDepthRange: [0, 0.5] }, // Narrower depth range for finer detail
+  rendering: {
+    // The original red-to-green ramp
+    colormap: "custom",
+    customGradient: "#ff0000, #00994d",
+  },
+});
 
 // Function to load the depth estimation model
 async function loadModel() {
   console.log("Loading the model...");
   await tf.setBackend("webgl");
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
 
-  // Configure the model with an extended depth range for more detail
-  const estimatorConfig = { outputDepthRange: [0, 0.5] }; // Narrower depth range for finer detail
-  const estimator = await depthEstimation.createEstimator(
-    model,
-    estimatorConfig
-  );
+  // Load the estimator of the settings with their depth range
+  const estimator = await createDepthEstimator(config.model.estimator, {
+    outputDepthRange: config.model.outputDepthRange,
+  });
   console.log("Model loaded successfully:", estimator);
   return estimator;
 }
@@ -43,46 +57,39 @@ document
         );
 
         // Estimate depth with the model
-        const depthMap = await estimator.estimateDepth(img, {
-          minDepth: 0,
-          maxDepth: 1,
-        });
-        console.log("Depth estimation completed:", depthMap);
+        const depthBuffer = await estimator.estimate(img);
+        console.log("Depth estimation completed:", depthBuffer);
 
         // Render the depth map with enhanced quality
-        renderDepthMap(depthMap, img.width, img.height);
+        renderDepthMap(depthBuffer);
       };
     } else {
       console.log("No file selected");
     }
   });
 
-// Function to render the depth map with depth gradient mapping and perspective shading
-async function renderDepthMap(depthMap, imgWidth, imgHeight) {
-  console.log("Rendering depth map...");
+// The last estimated depth, kept so it can be redrawn with another colormap
+let currentDepth = null;
 
-  const depthCanvas = document.getElementById("depthMapCanvas");
-  const ctx = depthCanvas.getContext("2d");
+// Fill the colormap dropdown and redraw the depth map when a setting changes
+const colormapSelect = document.getElementById("colormapSelect");
+COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+colormapSelect.value = config.rendering.colormap;
+document.getElementById("customGradient").value =
+  config.rendering.customGradient;
+["colormapSelect", "customGradient", "perspectiveShading"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => drawDepthMap());
+});
+drawDepthMap();
 
-  // Set canvas dimensions without scaling
-  depthCanvas.width = imgWidth;
-  depthCanvas.height = imgHeight;
+// Function to render the depth map with depth gradient mapping and perspective shading
+async function renderDepthMap(depthBuffer) {
+  console.log("Rendering depth map...");
 
   try {
-    // Use `toCanvasImageSource()` to render the depth image
-    const depthImage = await depthMap.toCanvasImageSource();
-
-    // Clear the canvas to ensure no residual artifacts
-    ctx.clearRect(0, 0, depthCanvas.width, depthCanvas.height);
-
-    // Draw the depth image on the canvas at the same resolution as the image
-    ctx.drawImage(depthImage, 0, 0, imgWidth, imgHeight);
-
-    // Apply depth gradient mapping for better depth perception
-    applyDepthGradient(ctx, imgWidth, imgHeight);
-
-    // Apply perspective shading to simulate depth-based lighting
-    applyPerspectiveShading(ctx, imgWidth, imgHeight);
+    // Keep the raw float depth so the effects below keep full precision
+    currentDepth = depthBuffer;
+    drawDepthMap();
 
     console.log(
       "Depth map rendered successfully on canvas with enhanced quality"
@@ -92,37 +99,69 @@ async function renderDepthMap(depthMap, imgWidth, imgHeight) {
   }
 }
 
-// Function to apply depth gradient mapping to simulate depth perception
-function applyDepthGradient(ctx, imgWidth, imgHeight) {
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
+// Function to create the selected colormap over the range of the depth
+// Returns null (and reports the error) when the custom gradient is invalid
+function getSelectedColormap(depthBuffer) {
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = colormapSelect.value !== "custom";
+  const range = depthBuffer ? depthBuffer.range() : { min: 0, max: 1 };
+
+  try {
+    const colormap = Colormap.create(
+      colormapSelect.value,
+      range,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+    return colormap;
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return null;
+  }
+}
 
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i]; // Using the red channel as a base for depth
+// Function to draw the depth with the selected colormap, shading and legend
+function drawDepthMap() {
+  const colormap = getSelectedColormap(currentDepth);
+  if (!colormap) return;
+  drawColorbar(document.getElementById("depthLegend"), colormap);
+  if (!currentDepth) return;
+
+  // Apply depth gradient mapping for better depth perception
+  // Colours are only quantized to 8 bits for display, at the image resolution
+  const imageData = currentDepth.toImageData(
+    0,
+    0,
+    currentDepth.width,
+    currentDepth.height,
+    colormap
+  );
 
-    // Map depth values to a gradient (e.g., closer objects more intense color)
-    data[i] = 255 - depthValue; // Red for closer objects
-    data[i + 1] = depthValue * 0.6; // Green based on depth
-    data[i + 2] = depthValue * 0.3; // Blue based on depth
+  // Apply perspective shading to simulate depth-based lighting
+  if (document.getElementById("perspectiveShading").checked) {
+    applyPerspectiveShading(imageData, currentDepth, colormap);
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  const depthCanvas = document.getElementById("depthMapCanvas");
+  depthCanvas.width = currentDepth.width;
+  depthCanvas.height = currentDepth.height;
+  depthCanvas.getContext("2d").putImageData(imageData, 0, 0);
 }
 
 // Function to apply perspective shading to simulate depth-based lighting
-function applyPerspectiveShading(ctx, imgWidth, imgHeight) {
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
+// Pixels fade towards black the nearer they are within the colormap range
+function applyPerspectiveShading(imageData, depthBuffer, colormap) {
   const data = imageData.data;
+  const range = colormap.max - colormap.min || 1;
 
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i]; // Use depth as a base for shading
-    const shadeFactor = 1 - depthValue / 255; // Fading effect with depth
+  for (let i = 0; i < depthBuffer.data.length; i++) {
+    const position = (depthBuffer.data[i] - colormap.min) / range;
+    const shadeFactor = Math.min(Math.max(position, 0), 1); // Fading effect with depth
 
     // Adjust the brightness of each color channel for shading
-    data[i] *= shadeFactor; // Red
-    data[i + 1] *= shadeFactor; // Green
-    data[i + 2] *= shadeFactor; // Blue
+    data[i * 4] *= shadeFactor; // Red
+    data[i * 4 + 1] *= shadeFactor; // Green
+    data[i * 4 + 2] *= shadeFactor; // Blue
   }
-
-  ctx.putImageData(imageData, 0, 0);
 }
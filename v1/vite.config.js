@@ -0,0 +1,10 @@
+import { defineConfig } from "vite";
+
+// Modules shared by every version live in ../shared, outside the app root
+export default defineConfig({
+  server: {
+    fs: {
+      allow: [".", "../shared"],
+    },
+  },
+});
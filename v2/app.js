@@ -1,23 +1,32 @@
 // Confirm that the app.js file is loaded
 console.log("app.js is loaded");
 
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+
+// The depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
+
+// Load the pipeline settings: this version's defaults, overridden by the
+// chosen preset, a configuration file or the URL query
+const config = await initializeConfigControls({
+  model: { outputDepthRange: [0, 0.5] }, // Focus on closer objects
+});
 
 // Function to load the depth estimation model
 async function loadModel() {
   console.log("Loading the model...");
   await tf.setBackend("webgl");
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
 
-  // Configure the model with an extended depth range for more detail
-  const estimatorConfig = { outputDepthRange: [0, 0.5] }; // Focus on closer objects
-  const estimator = await depthEstimation.createEstimator(
-    model,
-    estimatorConfig
-  );
+  // Load the estimator of the settings with their depth range
+  const estimator = await createDepthEstimator(config.model.estimator, {
+    outputDepthRange: config.model.outputDepthRange,
+  });
   console.log("Model loaded successfully:", estimator);
   return estimator;
 }
@@ -43,37 +52,38 @@ document
         );
 
         // Estimate depth with the model
-        const depthMap = await estimator.estimateDepth(img, {
-          minDepth: 0,
-          maxDepth: 1,
-        });
-        console.log("Depth estimation completed:", depthMap);
+        const depthBuffer = await estimator.estimate(img);
+        console.log("Depth estimation completed:", depthBuffer);
 
         // Render the depth map with enhanced quality
-        renderDepthMap(depthMap, img.width, img.height);
+        renderDepthMap(depthBuffer);
       };
     } else {
       console.log("No file selected");
     }
   });
 
-// Function to render the depth map with normalized brightness
-async function renderDepthMap(depthMap, imgWidth, imgHeight) {
-  console.log("Rendering depth map...");
+// The last estimated depth, kept so it can be redrawn with another colormap
+let currentDepth = null;
 
-  const depthCanvas = document.getElementById("depthMapCanvas");
-  const ctx = depthCanvas.getContext("2d");
+// Fill the colormap dropdown and redraw the depth map when it changes
+const colormapSelect = document.getElementById("colormapSelect");
+COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+colormapSelect.value = config.rendering.colormap;
+document.getElementById("customGradient").value =
+  config.rendering.customGradient;
+["colormapSelect", "customGradient"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => drawDepthMap());
+});
+drawDepthMap();
 
-  depthCanvas.width = imgWidth;
-  depthCanvas.height = imgHeight;
+// Function to render the depth map with normalized brightness
+async function renderDepthMap(depthBuffer) {
+  console.log("Rendering depth map...");
 
   try {
-    const depthImage = await depthMap.toCanvasImageSource();
-    ctx.clearRect(0, 0, depthCanvas.width, depthCanvas.height);
-    ctx.drawImage(depthImage, 0, 0, imgWidth, imgHeight);
-
-    // Normalize brightness across the image
-    normalizeBrightness(ctx, imgWidth, imgHeight);
+    currentDepth = depthBuffer;
+    drawDepthMap();
 
     console.log("Depth map rendered successfully with normalized brightness.");
   } catch (error) {
@@ -81,27 +91,38 @@ async function renderDepthMap(depthMap, imgWidth, imgHeight) {
   }
 }
 
-// Function to normalize brightness across the image
-function normalizeBrightness(ctx, imgWidth, imgHeight) {
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-
-  let min = 255;
-  let max = 0;
-
-  // Find the min and max depth values to normalize
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i]; // Assuming grayscale in red channel
-    if (depthValue < min) min = depthValue;
-    if (depthValue > max) max = depthValue;
-  }
+// Function to create the selected colormap over the range of the depth
+// Returns null (and reports the error) when the custom gradient is invalid
+function getSelectedColormap(depthBuffer) {
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = colormapSelect.value !== "custom";
+  const range = depthBuffer ? depthBuffer.range() : { min: 0, max: 1 };
 
-  // Normalize each pixel value to full grayscale range
-  const range = max - min || 1; // Avoid division by zero
-  for (let i = 0; i < data.length; i += 4) {
-    const normalizedValue = ((data[i] - min) / range) * 255;
-    data[i] = data[i + 1] = data[i + 2] = normalizedValue; // Set all channels
+  try {
+    const colormap = Colormap.create(
+      colormapSelect.value,
+      range,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+    return colormap;
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return null;
   }
+}
 
-  ctx.putImageData(imageData, 0, 0);
+// Function to draw the depth with the selected colormap and its legend
+function drawDepthMap() {
+  const colormap = getSelectedColormap(currentDepth);
+  if (!colormap) return;
+  drawColorbar(document.getElementById("depthLegend"), colormap);
+
+  // Spreading the colormap over the depth range normalizes brightness across
+  // the image, while the legend keeps the real depth values
+  currentDepth?.drawToCanvas(
+    document.getElementById("depthMapCanvas"),
+    colormap
+  );
 }
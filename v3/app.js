@@ -1,10 +1,17 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { createAdaptivePlaneGeometry } from "../shared/adaptiveMesh.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+
+// The depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
 
 // Continue with the rest of your code...
 
@@ -12,16 +19,22 @@ import * as depthEstimation from "@tensorflow-models/depth-estimation";
 
 // Continue with the rest of the code as before...
 
+// Load the pipeline settings: this version's defaults, overridden by the
+// chosen preset, a configuration file or the URL query
+const config = await initializeConfigControls({
+  model: { outputDepthRange: [0, 0.5] },
+  mesh: { planeWidth: 3 },
+  rendering: { cameraDistance: 5 },
+});
+document.getElementById("triangleBudget").value = config.mesh.triangleBudget;
+document.getElementById("tearThreshold").value = config.mesh.tearThreshold;
+
 // Function to load the depth estimation model
 async function loadModel() {
   await tf.setBackend("webgl");
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
-  const estimatorConfig = { outputDepthRange: [0, 0.5] };
-  const estimator = await depthEstimation.createEstimator(
-    model,
-    estimatorConfig
-  );
-  return estimator;
+  return await createDepthEstimator(config.model.estimator, {
+    outputDepthRange: config.model.outputDepthRange,
+  });
 }
 
 const estimator = await loadModel();
@@ -34,93 +47,117 @@ document
       const img = new Image();
       img.src = URL.createObjectURL(file);
       img.onload = async () => {
-        const depthMap = await estimator.estimateDepth(img, {
-          minDepth: 0,
-          maxDepth: 1,
-        });
-        const depthTexture = await renderDepthMapToTexture(
-          depthMap,
-          img.width,
-          img.height
+        const { depthBuffer, depthTexture } = await renderDepthMapToTexture(
+          await estimator.estimate(img)
         );
-        initThreeJsScene(depthTexture, img.width, img.height);
+        initThreeJsScene(depthBuffer, depthTexture, img.width, img.height);
       };
     }
   });
 
-async function renderDepthMapToTexture(depthMap, imgWidth, imgHeight) {
+// The last estimated depth and the texture showing it, kept so they can be
+// redrawn with another colormap
+let currentDepth = null;
+let currentDepthTexture = null;
+
+// Fill the colormap dropdown and redraw the depth map when it changes
+const colormapSelect = document.getElementById("colormapSelect");
+COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+colormapSelect.value = config.rendering.colormap;
+document.getElementById("customGradient").value =
+  config.rendering.customGradient;
+["colormapSelect", "customGradient"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => drawDepthMap());
+});
+drawDepthMap();
+
+// The canvas is only a preview of the depth; the float buffer is kept as is
+async function renderDepthMapToTexture(depthBuffer) {
   const depthCanvas = document.getElementById("depthMapCanvas");
-  const ctx = depthCanvas.getContext("2d");
-
-  depthCanvas.width = imgWidth;
-  depthCanvas.height = imgHeight;
 
-  const depthImage = await depthMap.toCanvasImageSource();
-  ctx.drawImage(depthImage, 0, 0, imgWidth, imgHeight);
+  // The colormap spans the depth range, which normalizes brightness
+  // (optional but improves visualization)
+  currentDepth = depthBuffer;
+  drawDepthMap();
+  const normalizedDepth = depthBuffer.normalize();
 
-  // Process image data to ensure the original depth map is not changed
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-
-  // Ensure no changes to the original depth map; we don't touch the black areas here
-  // The depth map remains intact (black areas will remain black in the image)
-
-  // Apply this unmodified depth map to a texture
+  // The texture shows the depth map; the mesh is shaped from the float buffer
   const depthTexture = new THREE.CanvasTexture(depthCanvas);
+  currentDepthTexture = depthTexture;
 
-  // Normalize brightness (optional but improves visualization)
-  normalizeBrightness(ctx, imgWidth, imgHeight);
-
-  // Now we return the depth texture with no inversion applied yet
-  return depthTexture;
+  return { depthBuffer: normalizedDepth, depthTexture };
 }
 
-function normalizeBrightness(ctx, imgWidth, imgHeight) {
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-  let min = 255;
-  let max = 0;
-
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i];
-    if (depthValue < min) min = depthValue;
-    if (depthValue > max) max = depthValue;
-  }
-
-  const range = max - min || 1;
-  for (let i = 0; i < data.length; i += 4) {
-    const normalizedValue = ((data[i] - min) / range) * 255;
-    data[i] = data[i + 1] = data[i + 2] = normalizedValue;
+// Creates the selected colormap over the range of the depth. Returns null
+// (and reports the error) when the custom gradient is invalid.
+function getSelectedColormap(depthBuffer) {
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = colormapSelect.value !== "custom";
+  const range = depthBuffer ? depthBuffer.range() : { min: 0, max: 1 };
+
+  try {
+    const colormap = Colormap.create(
+      colormapSelect.value,
+      range,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+    return colormap;
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return null;
   }
+}
 
-  ctx.putImageData(imageData, 0, 0);
+// Draws the depth with the selected colormap and its legend, and refreshes
+// the mesh texture that shows the depth map canvas
+function drawDepthMap() {
+  const colormap = getSelectedColormap(currentDepth);
+  if (!colormap) return;
+  drawColorbar(document.getElementById("depthLegend"), colormap);
+  if (!currentDepth) return;
+
+  currentDepth.drawToCanvas(
+    document.getElementById("depthMapCanvas"),
+    colormap
+  );
+  if (currentDepthTexture) currentDepthTexture.needsUpdate = true;
 }
 
-async function initThreeJsScene(depthTexture, imgWidth, imgHeight) {
+async function initThreeJsScene(
+  depthBuffer,
+  depthTexture,
+  imgWidth,
+  imgHeight
+) {
   const scene = new THREE.Scene();
   const camera = new THREE.PerspectiveCamera(
-    75,
+    config.rendering.fieldOfView,
     imgWidth / imgHeight,
     0.1,
     1000
   );
-  camera.position.z = 5;
+  camera.position.z = config.rendering.cameraDistance;
 
   const renderer = new THREE.WebGLRenderer();
   renderer.setSize(500, 500);
   document.getElementById("threeContainer").appendChild(renderer.domElement);
 
   const aspectRatio = imgWidth / imgHeight;
-  const planeWidth = 3;
+  const { planeWidth } = config.mesh;
   const planeHeight = planeWidth / aspectRatio;
 
-  const widthSegments = 256;
-  const heightSegments = 256;
-  const geometry = new THREE.PlaneGeometry(
+  // More triangles where the depth changes quickly, fewer on flat areas,
+  // and torn where the depth jumps
+  const geometry = createAdaptivePlaneGeometry(
+    depthBuffer,
     planeWidth,
     planeHeight,
-    widthSegments,
-    heightSegments
+    {
+      triangleBudget: parseInt(document.getElementById("triangleBudget").value),
+      tearThreshold: parseFloat(document.getElementById("tearThreshold").value),
+    }
   );
 
   const material = new THREE.MeshStandardMaterial({
@@ -131,30 +168,19 @@ async function initThreeJsScene(depthTexture, imgWidth, imgHeight) {
   const plane = new THREE.Mesh(geometry, material);
   scene.add(plane);
 
-  const ctx = document.getElementById("depthMapCanvas").getContext("2d");
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-
   // Calculate min and max depth values for normalization
-  let minDepth = 255;
-  let maxDepth = 0;
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i];
-    if (depthValue < minDepth) minDepth = depthValue;
-    if (depthValue > maxDepth) maxDepth = depthValue;
-  }
+  const { min: minDepth, max: maxDepth } = depthBuffer.range();
   const depthRange = maxDepth - minDepth || 1;
 
   const positionAttribute = geometry.attributes.position;
+  const uvAttribute = geometry.attributes.uv;
   for (let i = 0; i < positionAttribute.count; i++) {
-    const ix = i % (widthSegments + 1);
-    const iy = Math.floor(i / (widthSegments + 1));
-
-    const x = Math.floor((ix / widthSegments) * imgWidth);
-    const y = Math.floor((iy / heightSegments) * imgHeight);
-    const index = (y * imgWidth + x) * 4;
-
-    const depthValue = data[index];
+    // Sample the float depth between pixels instead of snapping to one; UVs
+    // have v pointing up, the depth buffer rows run top-down
+    const depthValue = depthBuffer.sample(
+      uvAttribute.getX(i) * (depthBuffer.width - 1),
+      (1 - uvAttribute.getY(i)) * (depthBuffer.height - 1)
+    );
     const normalizedDepth = (depthValue - minDepth) / depthRange;
     const z = (1 - normalizedDepth) * 1.0; // Invert depth for correct direction
 
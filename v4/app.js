@@ -1,21 +1,35 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { createAdaptivePlaneGeometry } from "../shared/adaptiveMesh.js";
+import { REFINEMENT_METHODS, refineDepth } from "../shared/depthRefinement.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+
+// The depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
+
+// Load the pipeline settings: this version's defaults, overridden by the
+// chosen preset, a configuration file or the URL query
+const config = await initializeConfigControls({
+  mesh: { planeWidth: 3 },
+  rendering: { displacementScale: -1, cameraDistance: 5 },
+});
+document.getElementById("depthSlider").value = config.rendering.depthScale;
+document.getElementById("triangleBudget").value = config.mesh.triangleBudget;
+document.getElementById("tearThreshold").value = config.mesh.tearThreshold;
 
 // Function to load the depth estimation model with optimizations
 async function loadModel() {
   await tf.setBackend("webgl");
   tf.env().set("WEBGL_CPU_FORWARD", false); // Optimizing WebGL backend
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
-  const estimatorConfig = { outputDepthRange: [0, 1] }; // Adjusted depth range
-  const estimator = await depthEstimation.createEstimator(
-    model,
-    estimatorConfig
-  );
-  return estimator;
+  return await createDepthEstimator(config.model.estimator, {
+    outputDepthRange: config.model.outputDepthRange,
+  });
 }
 
 const estimator = await loadModel();
@@ -33,70 +47,121 @@ document
         document.getElementById("imagePreview").src = img.src;
 
         // Estimate depth and display depth map on canvas
-        const depthMap = await estimator.estimateDepth(img, {
-          minDepth: 0,
-          maxDepth: 1,
-        });
-
-        const depthTexture = await renderDepthMapToTexture(
-          depthMap,
-          img.width,
-          img.height
+        const { depthBuffer, depthTexture } = await renderDepthMapToTexture(
+          await estimator.estimate(img),
+          img
         );
-        initThreeJsScene(depthTexture, img.width, img.height, img);
+        initThreeJsScene(depthBuffer, depthTexture, img.width, img.height, img);
       };
     }
   });
 
-async function renderDepthMapToTexture(depthMap, imgWidth, imgHeight) {
-  const depthCanvas = document.getElementById("depthMapCanvas");
-  const ctx = depthCanvas.getContext("2d");
-
-  depthCanvas.width = imgWidth;
-  depthCanvas.height = imgHeight;
+// The last refined depth, kept so it can be redrawn with another colormap
+let currentDepth = null;
+
+// Fill the refinement dropdown; the chosen step runs on the next image
+const refinementSelect = document.getElementById("refinementSelect");
+REFINEMENT_METHODS.forEach((name) =>
+  refinementSelect.add(new Option(name, name))
+);
+refinementSelect.value = config.depth.refinement;
+
+// Fill the colormap dropdown and redraw the depth map when it changes
+const colormapSelect = document.getElementById("colormapSelect");
+COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+colormapSelect.value = config.rendering.colormap;
+document.getElementById("customGradient").value =
+  config.rendering.customGradient;
+["colormapSelect", "customGradient"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => drawDepthMap());
+});
+drawDepthMap();
+
+// The canvas is only a preview of the depth; the float buffer is kept as is
+async function renderDepthMapToTexture(depthBuffer, img) {
+  // Refine the depth for improved consistency, guided by the photo so depth
+  // edges follow the image edges
+  depthBuffer = refineDepth(depthBuffer, img, {
+    method: refinementSelect.value,
+    upsample: document.getElementById("upsampleDepth").checked,
+  });
 
-  const depthImage = await depthMap.toCanvasImageSource();
-  ctx.drawImage(depthImage, 0, 0, imgWidth, imgHeight);
+  // Show the refined depth; the colormap spans its range, so the legend
+  // keeps the real depth values
+  currentDepth = depthBuffer;
+  drawDepthMap();
 
-  // Apply smoothing filter for improved depth consistency
-  applySmoothing(ctx, imgWidth, imgHeight);
+  // Normalize brightness to enhance depth map consistency
+  if (config.depth.normalize) depthBuffer = depthBuffer.normalize();
 
-  const depthTexture = new THREE.CanvasTexture(depthCanvas);
-  normalizeBrightness(ctx, imgWidth, imgHeight);
-  return depthTexture;
+  const depthTexture = createDepthTexture(depthBuffer);
+  return { depthBuffer, depthTexture };
 }
 
-// Apply a simple blur to smooth out the depth map
-function applySmoothing(ctx, imgWidth, imgHeight) {
-  ctx.filter = "blur(2px)";
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  ctx.putImageData(imageData, 0, 0);
-  ctx.filter = "none"; // Reset filter after applying blur
+// Create the selected colormap over the range of the depth
+// Returns null (and reports the error) when the custom gradient is invalid
+function getSelectedColormap(depthBuffer) {
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = colormapSelect.value !== "custom";
+  const range = depthBuffer ? depthBuffer.range() : { min: 0, max: 1 };
+
+  try {
+    const colormap = Colormap.create(
+      colormapSelect.value,
+      range,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+    return colormap;
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return null;
+  }
 }
 
-// Normalize brightness to enhance depth map consistency
-function normalizeBrightness(ctx, imgWidth, imgHeight) {
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-  let min = 255;
-  let max = 0;
-
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i];
-    if (depthValue < min) min = depthValue;
-    if (depthValue > max) max = depthValue;
-  }
+// Draw the depth with the selected colormap and its legend
+function drawDepthMap() {
+  const colormap = getSelectedColormap(currentDepth);
+  if (!colormap) return;
+  drawColorbar(document.getElementById("depthLegend"), colormap);
+  currentDepth?.drawToCanvas(
+    document.getElementById("depthMapCanvas"),
+    colormap
+  );
+}
 
-  const range = max - min || 1;
-  for (let i = 0; i < data.length; i += 4) {
-    const normalizedValue = ((data[i] - min) / range) * 255;
-    data[i] = data[i + 1] = data[i + 2] = normalizedValue;
+// Create a float displacement texture from the depth buffer
+function createDepthTexture(depthBuffer) {
+  const { width, height, data } = depthBuffer;
+  const texels = new Float32Array(width * height);
+
+  // Texture rows run bottom-up, the depth buffer rows top-down
+  for (let y = 0; y < height; y++) {
+    texels.set(
+      data.subarray(y * width, (y + 1) * width),
+      (height - 1 - y) * width
+    );
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  const depthTexture = new THREE.DataTexture(
+    texels,
+    width,
+    height,
+    THREE.RedFormat,
+    THREE.FloatType
+  );
+  depthTexture.needsUpdate = true;
+  return depthTexture;
 }
 
-async function initThreeJsScene(depthTexture, imgWidth, imgHeight, img) {
+async function initThreeJsScene(
+  depthBuffer,
+  depthTexture,
+  imgWidth,
+  imgHeight,
+  img
+) {
   const aspectRatio = imgWidth / imgHeight;
 
   // Update the Three.js renderer to respect image aspect ratio
@@ -109,46 +174,44 @@ async function initThreeJsScene(depthTexture, imgWidth, imgHeight, img) {
   const scene = new THREE.Scene();
 
   // Set the camera aspect ratio based on image dimensions
-  const camera = new THREE.PerspectiveCamera(75, aspectRatio, 0.1, 1000);
-  camera.position.z = 5;
+  const camera = new THREE.PerspectiveCamera(
+    config.rendering.fieldOfView,
+    aspectRatio,
+    0.1,
+    1000
+  );
+  camera.position.z = config.rendering.cameraDistance;
 
   // Adjust plane dimensions based on the aspect ratio
-  const planeWidth = 3;
+  const { planeWidth } = config.mesh;
   const planeHeight = planeWidth / aspectRatio;
 
-  const widthSegments = 256;
-  const heightSegments = 256;
-  const geometry = new THREE.PlaneGeometry(
+  // More triangles where the depth changes quickly, fewer on flat areas,
+  // and torn where the depth jumps
+  const geometry = createAdaptivePlaneGeometry(
+    depthBuffer,
     planeWidth,
     planeHeight,
-    widthSegments,
-    heightSegments
+    {
+      triangleBudget: parseInt(document.getElementById("triangleBudget").value),
+      tearThreshold: parseFloat(document.getElementById("tearThreshold").value),
+    }
   );
 
   // Depth map normalization
-  const ctx = document.getElementById("depthMapCanvas").getContext("2d");
-  const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-  const data = imageData.data;
-
-  let minDepth = 255;
-  let maxDepth = 0;
-  for (let i = 0; i < data.length; i += 4) {
-    const depthValue = data[i];
-    if (depthValue < minDepth) minDepth = depthValue;
-    if (depthValue > maxDepth) maxDepth = depthValue;
-  }
+  // Calculate min and max depth values for normalization
+  const { min: minDepth, max: maxDepth } = depthBuffer.range();
   const depthRange = maxDepth - minDepth || 1;
 
   const positionAttribute = geometry.attributes.position;
+  const uvAttribute = geometry.attributes.uv;
   for (let i = 0; i < positionAttribute.count; i++) {
-    const ix = i % (widthSegments + 1);
-    const iy = Math.floor(i / (widthSegments + 1));
-
-    const x = Math.floor((ix / widthSegments) * imgWidth);
-    const y = Math.floor((iy / heightSegments) * imgHeight);
-    const index = (y * imgWidth + x) * 4;
-
-    const depthValue = data[index];
+    // Sample the float depth between pixels instead of snapping to one; UVs
+    // have v pointing up, the depth buffer rows run top-down
+    const depthValue = depthBuffer.sample(
+      uvAttribute.getX(i) * (depthBuffer.width - 1),
+      (1 - uvAttribute.getY(i)) * (depthBuffer.height - 1)
+    );
     if (isNaN(depthValue)) continue;
 
     const normalizedDepth = (depthValue - minDepth) / depthRange;
@@ -159,11 +222,12 @@ async function initThreeJsScene(depthTexture, imgWidth, imgHeight, img) {
   positionAttribute.needsUpdate = true;
 
   const textureLoader = new THREE.TextureLoader();
+  const depthSlider = document.getElementById("depthSlider");
   textureLoader.load(img.src, (texture) => {
     const material = new THREE.MeshStandardMaterial({
       map: texture,
       displacementMap: depthTexture,
-      displacementScale: -1.0,
+      displacementScale: config.rendering.displacementScale * depthSlider.value,
     });
 
     const plane = new THREE.Mesh(geometry, material);
@@ -177,9 +241,9 @@ async function initThreeJsScene(depthTexture, imgWidth, imgHeight, img) {
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
 
-    const depthSlider = document.getElementById("depthSlider");
     depthSlider.addEventListener("input", (event) => {
-      material.displacementScale = -event.target.value;
+      material.displacementScale =
+        config.rendering.displacementScale * event.target.value;
     });
 
     function animate() {
@@ -2,48 +2,206 @@
 
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { renderStereoPair, composeStereo } from "../shared/stereo.js";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import {
+  INPAINT_METHODS,
+  inpaintDepth,
+  drawInpaintMask,
+} from "../shared/depthInpainting.js";
+import { createAdaptivePlaneGeometry } from "../shared/adaptiveMesh.js";
+import {
+  BOKEH_SHAPES,
+  getFocusDepth,
+  refocus,
+} from "../shared/depthOfField.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+import {
+  PROJECT_EXTENSION,
+  serializeProject,
+  parseProject,
+  saveAutosave,
+  loadAutosave,
+} from "../shared/projectFile.js";
+
+// The depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
 
 /**
- * Application state to keep track of the estimator, scene, and current image.
+ * Depth range spread over the depth map colormap: the estimator's output range.
+ */
+const COLORMAP_RANGE = { min: 0, max: 1 };
+
+/**
+ * Longest side of the depth of field preview; exports are refocused at the
+ * image's natural size.
+ */
+const BOKEH_PREVIEW_SIZE = 384;
+
+/**
+ * Ids of the sliders whose values are stored in project files.
+ */
+const PROJECT_SLIDERS = [
+  "depthSlider",
+  "toneRangeSlider",
+  "triangleBudget",
+  "tearThreshold",
+  "bokehAperture",
+];
+
+/**
+ * Delay before changes are autosaved, so a burst of edits is saved once.
+ */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * IndexedDB database the autosave of this version is kept in.
+ */
+const AUTOSAVE_DATABASE = "depth-map-v5";
+
+/**
+ * Application state to keep track of the pipeline settings, the estimator
+ * and its name, scene, current image and its file, the depth as estimated,
+ * its depth buffer after the tone range cut, the hole-filled depth the mesh
+ * is displaced by, the depth map colormap, the depth of field focus point
+ * (as fractions of the image size), and the pending autosave.
  */
 const appState = {
+  config: null,
   estimator: null,
+  estimatorName: null,
   threeDScene: null,
   currentImage: null,
+  imageFile: null,
+  rawDepthBuffer: null,
+  depthBuffer: null,
+  filledDepth: null,
+  colormap: Colormap.create("grayscale", COLORMAP_RANGE),
+  focusPoint: { x: 0.5, y: 0.5 },
+  autosaveTimer: null,
 };
 
 /**
  * Initializes the application by loading the depth estimator and setting up event listeners.
  */
 async function initializeApp() {
-  appState.estimator = await loadDepthEstimator();
-  appState.threeDScene = new ThreeDScene();
+  appState.config = await initializeConfigControls();
+  await tf.setBackend("webgl");
+  tf.env().set("WEBGL_CPU_FORWARD", false);
+  appState.estimatorName = appState.config.model.estimator;
+  appState.estimator = await loadDepthEstimator(appState.estimatorName);
+  appState.threeDScene = new ThreeDScene(appState.config);
+  applyConfigToControls(appState.config);
 
-  document
-    .getElementById("imageUpload")
-    .addEventListener("change", (event) => handleImageUpload(event));
   document
     .getElementById("toneRangeSlider")
     .addEventListener("input", () => handleToneRangeChange());
   document
     .getElementById("depthSlider")
     .addEventListener("input", (event) => handleDepthSliderChange(event));
+  ["stereoLayout", "stereoBaseline", "stereoConvergence"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", () => updateStereoPreview());
+  });
+  document
+    .getElementById("exportStereoButton")
+    .addEventListener("click", () => handleStereoExport());
+
+  const colormapSelect = document.getElementById("colormapSelect");
+  COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+  colormapSelect.value = appState.config.rendering.colormap;
+  document.getElementById("customGradient").value =
+    appState.config.rendering.customGradient;
+  ["colormapSelect", "customGradient"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", () => handleColormapChange());
+  });
+  handleColormapChange();
+
+  const inpaintMethod = document.getElementById("inpaintMethod");
+  INPAINT_METHODS.forEach((method) =>
+    inpaintMethod.add(new Option(method, method))
+  );
+  inpaintMethod.value = appState.config.depth.inpaintMethod;
+  inpaintMethod.addEventListener("change", () => handleInpaintMethodChange());
+  ["triangleBudget", "tearThreshold"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", () => handleMeshOptionsChange());
+  });
+  document.getElementById("showInpaintMask").addEventListener("change", () => {
+    document.getElementById("inpaintOverlay").hidden =
+      !document.getElementById("showInpaintMask").checked;
+  });
+
+  const bokehShape = document.getElementById("bokehShape");
+  BOKEH_SHAPES.forEach((shape) => bokehShape.add(new Option(shape, shape)));
+  bokehShape.value = "disc";
+  ["bokehShape", "bokehAperture"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", () => updateBokehPreview());
+  });
+  ["imagePreview", "depthMapCanvas", "bokehCanvas"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("click", (event) => handleFocusClick(event));
+  });
+  document
+    .getElementById("exportBokehButton")
+    .addEventListener("click", () => handleBokehExport());
+  PROJECT_SLIDERS.forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", () => scheduleAutosave());
+  });
+  appState.threeDScene.controls.addEventListener("end", () =>
+    scheduleAutosave()
+  );
+
+  // Restore before the uploads are wired, so a restored project never
+  // replaces an image picked meanwhile
+  await restoreAutosave();
+
+  document
+    .getElementById("imageUpload")
+    .addEventListener("change", (event) => handleImageUpload(event));
+  document
+    .getElementById("projectUpload")
+    .addEventListener("change", (event) => handleProjectOpen(event));
+  document
+    .getElementById("saveProjectButton")
+    .addEventListener("click", () => handleProjectSave());
 }
 
 /**
- * Loads the depth estimation model using TensorFlow.js.
- * @returns {Promise<Object>} The depth estimator model.
+ * Sets the sliders and inputs that start from the pipeline settings.
+ * @param {Object} config - The pipeline settings.
  */
-async function loadDepthEstimator() {
-  await tf.setBackend("webgl");
-  tf.env().set("WEBGL_CPU_FORWARD", false);
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
-  const estimatorConfig = { outputDepthRange: [0, 1] };
-  return await depthEstimation.createEstimator(model, estimatorConfig);
+function applyConfigToControls(config) {
+  document.getElementById("depthSlider").value = config.rendering.depthScale;
+  document.getElementById("toneRangeSlider").value = config.depth.toneRange;
+  document.getElementById("triangleBudget").value = config.mesh.triangleBudget;
+  document.getElementById("tearThreshold").value = config.mesh.tearThreshold;
+}
+
+/**
+ * Loads a depth estimator from the shared registry with the depth range of
+ * the settings.
+ * @param {string} name - The estimator name.
+ * @returns {Promise<Object>} The loaded depth estimator.
+ */
+async function loadDepthEstimator(name) {
+  return await createDepthEstimator(name, {
+    outputDepthRange: appState.config.model.outputDepthRange,
+  });
 }
 
 /**
@@ -59,27 +217,39 @@ function handleImageUpload(event) {
   image.onload = async () => {
     document.getElementById("imagePreview").src = image.src;
     appState.currentImage = image;
+    appState.imageFile = file;
     await updateSceneWithImage(image);
   };
 }
 
 /**
- * Updates the scene with the current image and depth texture.
+ * Estimates the depth of the current image and updates the scene with it.
  * @param {HTMLImageElement} image - The uploaded image.
  */
 async function updateSceneWithImage(image) {
+  appState.rawDepthBuffer = await appState.estimator.estimate(image);
+  await updateMeshFromDepth(image);
+  scheduleAutosave();
+}
+
+/**
+ * Cuts the estimated depth at the tone range and updates the mesh, the
+ * stereo and the depth of field previews with it.
+ * @param {HTMLImageElement} image - The current image.
+ */
+async function updateMeshFromDepth(image) {
   const toneRange = parseInt(document.getElementById("toneRangeSlider").value);
-  const depthTexture = await generateDepthTexture(
-    image,
-    appState.estimator,
-    toneRange
-  );
+  const depthTexture = generateDepthTexture(appState.rawDepthBuffer, toneRange);
   await appState.threeDScene.updateMesh(
     depthTexture,
     image.width,
     image.height,
-    image
+    image,
+    appState.filledDepth,
+    getMeshOptions()
   );
+  updateStereoPreview();
+  updateBokehPreview();
 }
 
 /**
@@ -88,7 +258,35 @@ async function updateSceneWithImage(image) {
 async function handleToneRangeChange() {
   const image = appState.currentImage;
   if (!image) return;
-  await updateSceneWithImage(image);
+  await updateMeshFromDepth(image);
+}
+
+/**
+ * Handles the hole filling dropdown change event.
+ */
+async function handleInpaintMethodChange() {
+  const image = appState.currentImage;
+  if (!image) return;
+  await updateMeshFromDepth(image);
+}
+
+/**
+ * Handles the mesh option change events by retriangulating the mesh.
+ */
+function handleMeshOptionsChange() {
+  if (!appState.filledDepth) return;
+  appState.threeDScene.updateGeometry(appState.filledDepth, getMeshOptions());
+}
+
+/**
+ * Reads the adaptive mesh options from the mesh controls.
+ * @returns {Object} The `triangleBudget` and `tearThreshold` for `createAdaptivePlaneGeometry`.
+ */
+function getMeshOptions() {
+  return {
+    triangleBudget: parseInt(document.getElementById("triangleBudget").value),
+    tearThreshold: parseFloat(document.getElementById("tearThreshold").value),
+  };
 }
 
 /**
@@ -101,78 +299,374 @@ function handleDepthSliderChange(event) {
 }
 
 /**
- * Generates a depth texture from the image and estimator.
- * @param {HTMLImageElement} image - The uploaded image.
- * @param {Object} estimator - The depth estimator model.
- * @param {number} toneRange - The tone range value from the slider.
- * @returns {Promise<THREE.CanvasTexture>} The depth texture.
+ * Collects the current work into a project for `serializeProject`. There is
+ * no depth painting here, so the estimated depth is stored as both depths.
+ * @returns {Object|null} The project, or null before any image is loaded.
  */
-async function generateDepthTexture(image, estimator, toneRange) {
-  const depthMap = await estimator.estimateDepth(image, {
-    minDepth: 0,
-    maxDepth: 1,
+function collectProject() {
+  if (!appState.imageFile || !appState.rawDepthBuffer) return null;
+
+  const sliders = {};
+  PROJECT_SLIDERS.forEach((id) => {
+    sliders[id] = parseFloat(document.getElementById(id).value);
   });
-  return await createDepthTexture(
-    depthMap,
-    image.width,
-    image.height,
-    toneRange
+
+  return {
+    image: appState.imageFile,
+    rawDepth: appState.rawDepthBuffer,
+    paintedDepth: appState.rawDepthBuffer,
+    sliders,
+    camera: appState.threeDScene.getCameraPose(),
+    estimatorName: appState.estimatorName,
+  };
+}
+
+/**
+ * Restores the image, depth, sliders, camera pose and depth estimator of a
+ * project. Depth painted in other versions is kept.
+ * @param {Object} project - The project from `parseProject`.
+ */
+async function restoreProject(project) {
+  // The stored depth is kept; the estimator is used for the next estimation
+  const { estimatorName } = project;
+  if (estimatorName && estimatorName !== appState.estimatorName) {
+    try {
+      const estimator = await loadDepthEstimator(estimatorName);
+      appState.estimator.dispose();
+      appState.estimator = estimator;
+      appState.estimatorName = estimatorName;
+    } catch (error) {
+      console.error(
+        `Failed to load depth estimator "${estimatorName}":`,
+        error
+      );
+    }
+  }
+
+  const image = new Image();
+  image.src = URL.createObjectURL(project.image);
+  await image.decode();
+
+  document.getElementById("imagePreview").src = image.src;
+  appState.currentImage = image;
+  appState.imageFile = project.image;
+  appState.rawDepthBuffer = project.paintedDepth;
+
+  Object.entries(project.sliders).forEach(([id, value]) => {
+    const slider = document.getElementById(id);
+    if (slider) slider.value = value;
+  });
+  appState.threeDScene.updateDisplacementScale(
+    parseFloat(document.getElementById("depthSlider").value)
   );
+
+  await updateMeshFromDepth(image);
+  appState.threeDScene.setCameraPose(project.camera);
 }
 
 /**
- * Creates a depth texture by processing the depth map.
- * @param {Object} depthMap - The depth map estimated from the image.
- * @param {number} width - The width of the image.
- * @param {number} height - The height of the image.
- * @param {number} toneRange - The tone range value from the slider.
- * @returns {Promise<THREE.CanvasTexture>} The processed depth texture.
+ * Handles the save project button by downloading the current project file.
  */
-async function createDepthTexture(depthMap, width, height, toneRange) {
-  const depthCanvas = document.createElement("canvas");
-  const ctx = depthCanvas.getContext("2d");
+async function handleProjectSave() {
+  const project = collectProject();
+  if (!project) return;
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await serializeProject(project));
+  link.download = `depth-project${PROJECT_EXTENSION}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
 
-  depthCanvas.width = width;
-  depthCanvas.height = height;
+/**
+ * Handles opening a project file.
+ * @param {Event} event - The file input change event.
+ */
+async function handleProjectOpen(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  event.target.value = ""; // Allow reopening the same file
+
+  try {
+    await restoreProject(await parseProject(file));
+    scheduleAutosave();
+  } catch (error) {
+    console.error("Failed to open project:", error);
+    alert(`Could not open ${file.name}: ${error.message}`);
+  }
+}
 
-  // Await the Promise returned by toCanvasImageSource()
-  const depthImage = await depthMap.toCanvasImageSource();
-  ctx.drawImage(depthImage, 0, 0, width, height);
+/**
+ * Autosaves the current project to IndexedDB once edits have settled.
+ */
+function scheduleAutosave() {
+  clearTimeout(appState.autosaveTimer);
+  appState.autosaveTimer = setTimeout(async () => {
+    const project = collectProject();
+    if (!project) return;
+    try {
+      await saveAutosave(AUTOSAVE_DATABASE, await serializeProject(project));
+    } catch (error) {
+      console.error("Autosave failed:", error);
+    }
+  }, AUTOSAVE_DELAY_MS);
+}
 
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
-  const depthThreshold = toneRange * 3;
+/**
+ * Restores the autosaved project, if any, so a refresh does not lose work.
+ */
+async function restoreAutosave() {
+  try {
+    const projectFile = await loadAutosave(AUTOSAVE_DATABASE);
+    if (projectFile) {
+      await restoreProject(await parseProject(projectFile));
+    }
+  } catch (error) {
+    console.error("Failed to restore the autosaved project:", error);
+  }
+}
 
-  for (let i = 0; i < data.length; i += 4) {
-    const brightness = data[i] + data[i + 1] + data[i + 2];
-    data[i + 3] = brightness < depthThreshold ? 0 : 255;
+/**
+ * Switches the depth map colormap and redraws the depth map and legend. An
+ * invalid custom gradient is reported on its input and the colormap is kept.
+ */
+function handleColormapChange() {
+  const name = document.getElementById("colormapSelect").value;
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = name !== "custom";
+
+  try {
+    appState.colormap = Colormap.create(
+      name,
+      COLORMAP_RANGE,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return;
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  drawColorbar(document.getElementById("depthLegend"), appState.colormap);
+  appState.depthBuffer?.drawToCanvas(
+    document.getElementById("depthMapCanvas"),
+    appState.colormap
+  );
+}
+
+/**
+ * Renders the stereo image of the current image and depth onto the stereo
+ * preview canvas. Holes the tone range cut inside the subject are filled
+ * first, so they do not fall back to the far plane.
+ * @returns {HTMLCanvasElement|null} The preview canvas, or null before any image is loaded.
+ */
+function updateStereoPreview() {
+  if (!appState.currentImage || !appState.depthBuffer) return null;
+
+  const { depthBuffer } = inpaintDepth(appState.depthBuffer, {
+    method: document.getElementById("inpaintMethod").value,
+    region: "holes",
+  });
+  const pair = renderStereoPair(appState.currentImage, depthBuffer, {
+    baseline: parseFloat(document.getElementById("stereoBaseline").value) / 100,
+    convergence: parseFloat(document.getElementById("stereoConvergence").value),
+  });
+  return composeStereo(
+    pair,
+    document.getElementById("stereoLayout").value,
+    document.getElementById("stereoCanvas")
+  );
+}
+
+/**
+ * Handles the stereo export button by downloading the stereo image as PNG.
+ */
+async function handleStereoExport() {
+  const canvas = updateStereoPreview();
+  if (!canvas) return;
+
+  const layout = document.getElementById("stereoLayout").value;
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(png);
+  link.download = `stereo-${layout}.png`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Handles a click on the image, depth map or depth of field preview by
+ * focusing on the clicked point.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleFocusClick(event) {
+  const rect = event.currentTarget.getBoundingClientRect();
+  appState.focusPoint = {
+    x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+    y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1),
+  };
+  updateBokehPreview();
+}
+
+/**
+ * Refocuses the current image on the depth under the focus point, with the
+ * aperture and bokeh shape from the depth of field controls. Holes the tone
+ * range cut are filled first, like for the stereo image.
+ * @param {Object} [size] - The output `width` and `height`; the image's natural size by default.
+ * @returns {ImageData|null} The refocused image, or null before any image is loaded.
+ */
+function renderRefocused(size = {}) {
+  if (!appState.currentImage || !appState.depthBuffer) return null;
+
+  const { depthBuffer } = inpaintDepth(appState.depthBuffer, {
+    method: document.getElementById("inpaintMethod").value,
+    region: "holes",
+  });
+  const focusDepth = getFocusDepth(depthBuffer, appState.focusPoint);
+  document.getElementById("bokehFocusDepth").textContent =
+    focusDepth.toFixed(3);
+  return refocus(appState.currentImage, depthBuffer, {
+    focusDepth,
+    aperture: parseFloat(document.getElementById("bokehAperture").value),
+    shape: document.getElementById("bokehShape").value,
+    ...size,
+  });
+}
+
+/**
+ * Renders the refocused image at reduced size onto the depth of field preview.
+ */
+function updateBokehPreview() {
+  const image = appState.currentImage;
+  if (!image) return;
+  const scale = Math.min(
+    1,
+    BOKEH_PREVIEW_SIZE / Math.max(image.naturalWidth, image.naturalHeight)
+  );
+  const refocused = renderRefocused({
+    width: Math.round(image.naturalWidth * scale),
+    height: Math.round(image.naturalHeight * scale),
+  });
+  if (!refocused) return;
+
+  const canvas = document.getElementById("bokehCanvas");
+  canvas.width = refocused.width;
+  canvas.height = refocused.height;
+  canvas.getContext("2d").putImageData(refocused, 0, 0);
+}
+
+/**
+ * Handles the depth of field export button by refocusing the image at its
+ * natural size and downloading it as PNG.
+ */
+async function handleBokehExport() {
+  const refocused = renderRefocused();
+  if (!refocused) return;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = refocused.width;
+  canvas.height = refocused.height;
+  canvas.getContext("2d").putImageData(refocused, 0, 0);
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(png);
+  link.download = "refocused.png";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Generates a depth texture from the estimated depth.
+ * @param {DepthBuffer} depthBuffer - The depth buffer estimated from the image.
+ * @param {number} toneRange - The tone range value from the slider.
+ * @returns {THREE.DataTexture} The depth texture.
+ */
+function generateDepthTexture(depthBuffer, toneRange) {
+  appState.depthBuffer = thresholdDepth(depthBuffer, toneRange);
+  return createDepthTexture(depthBuffer, toneRange);
+}
+
+/**
+ * Cuts away depths below the tone range; the rest keep their full precision.
+ * @param {DepthBuffer} depthBuffer - The depth buffer estimated from the image.
+ * @param {number} toneRange - The tone range value from the slider (0-255).
+ * @returns {DepthBuffer} The thresholded depth buffer.
+ */
+function thresholdDepth(depthBuffer, toneRange) {
+  const depthThreshold = toneRange / 255;
+  return depthBuffer.map((depth) => (depth < depthThreshold ? 0 : depth));
+}
+
+/**
+ * Creates a float depth texture by processing the depth buffer. Depths below
+ * the tone range are cut away; the rest keep their full precision. The cut
+ * depth is stored in green for the alpha map. For the displacement map in the
+ * red channel the cut pixels are filled from their surroundings instead, so
+ * the mesh does not drop to zero depth at the cut edges.
+ * @param {DepthBuffer} depthBuffer - The depth buffer estimated from the image.
+ * @param {number} toneRange - The tone range value from the slider (0-255).
+ * @returns {THREE.DataTexture} The processed depth texture.
+ */
+function createDepthTexture(depthBuffer, toneRange) {
+  const { width, height } = depthBuffer;
+  const thresholdedDepth = thresholdDepth(depthBuffer, toneRange);
+  const { depthBuffer: filledDepth, mask } = inpaintDepth(thresholdedDepth, {
+    method: document.getElementById("inpaintMethod").value,
+    region: "all",
+  });
+  drawInpaintMask(document.getElementById("inpaintOverlay"), mask);
+  appState.filledDepth = filledDepth;
 
   // Optional: Display the depth map on the canvas for debugging
   const depthMapCanvas = document.getElementById("depthMapCanvas");
   if (depthMapCanvas) {
-    const depthMapCtx = depthMapCanvas.getContext("2d");
-    depthMapCanvas.width = width;
-    depthMapCanvas.height = height;
-    depthMapCtx.drawImage(depthCanvas, 0, 0);
+    thresholdedDepth.drawToCanvas(depthMapCanvas, appState.colormap);
   }
 
-  return new THREE.CanvasTexture(depthCanvas);
+  // Texture rows run bottom-up, the depth buffer rows top-down
+  const texels = new Float32Array(width * height * 2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const texel = ((height - 1 - y) * width + x) * 2;
+      texels[texel] = filledDepth.data[y * width + x];
+      texels[texel + 1] = thresholdedDepth.data[y * width + x];
+    }
+  }
+
+  const depthTexture = new THREE.DataTexture(
+    texels,
+    width,
+    height,
+    THREE.RGFormat,
+    THREE.FloatType
+  );
+  depthTexture.needsUpdate = true;
+  return depthTexture;
 }
 
 /**
  * Class to manage the Three.js scene, including camera, controls, and rendering.
  */
 class ThreeDScene {
-  constructor() {
+  /**
+   * @param {Object} config - The pipeline settings; the mesh and rendering
+   * settings shape the scene.
+   */
+  constructor(config) {
+    this.config = config;
     this.renderer = new THREE.WebGLRenderer({ alpha: true });
     this.renderer.setClearColor(0x000000, 0); // Transparent background
     this.scene = new THREE.Scene();
     this.camera = null;
     this.controls = null;
     this.mesh = null;
+    this.planeWidth = 0;
+    this.planeHeight = 0;
+    this.depthScale = config.rendering.depthScale;
     this.currentUpdateId = 0; // Add this property
     this.initializeScene();
   }
@@ -187,8 +681,13 @@ class ThreeDScene {
     this.renderer.setSize(width, height);
     container.appendChild(this.renderer.domElement);
 
-    this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
-    this.camera.position.z = 2; // Adjusted for better initial view
+    this.camera = new THREE.PerspectiveCamera(
+      this.config.rendering.fieldOfView,
+      width / height,
+      0.1,
+      1000
+    );
+    this.camera.position.z = this.config.rendering.cameraDistance;
 
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
@@ -215,18 +714,26 @@ class ThreeDScene {
 
   /**
    * Updates the mesh in the scene with the new depth texture.
-   * @param {THREE.CanvasTexture} depthTexture - The depth texture.
+   * @param {THREE.DataTexture} depthTexture - The depth texture.
    * @param {number} width - The image width.
    * @param {number} height - The image height.
    * @param {HTMLImageElement} image - The original image.
+   * @param {DepthBuffer} depthBuffer - The depth the mesh is triangulated for.
+   * @param {Object} [meshOptions] - Options for `createAdaptivePlaneGeometry`.
    */
-  async updateMesh(depthTexture, width, height, image) {
+  async updateMesh(
+    depthTexture,
+    width,
+    height,
+    image,
+    depthBuffer,
+    meshOptions
+  ) {
     const updateId = ++this.currentUpdateId; // Increment and capture the update ID
 
     const aspectRatio = width / height;
-    const planeWidth = 1.2;
-    const planeHeight = planeWidth / aspectRatio;
-    const segments = 256; // Increased for smoother mesh
+    this.planeWidth = this.config.mesh.planeWidth;
+    this.planeHeight = this.planeWidth / aspectRatio;
 
     // Remove the existing mesh
     if (this.mesh) {
@@ -236,11 +743,12 @@ class ThreeDScene {
       this.mesh = null;
     }
 
-    const geometry = new THREE.PlaneGeometry(
-      planeWidth,
-      planeHeight,
-      segments,
-      segments
+    // More triangles where the depth changes quickly, torn at depth jumps
+    const geometry = createAdaptivePlaneGeometry(
+      depthBuffer,
+      this.planeWidth,
+      this.planeHeight,
+      meshOptions
     );
 
     const textureLoader = new THREE.TextureLoader();
@@ -259,7 +767,8 @@ class ThreeDScene {
     const material = new THREE.MeshStandardMaterial({
       map: texture,
       displacementMap: depthTexture,
-      displacementScale: -0.2, // Adjusted for better depth effect
+      displacementScale:
+        this.config.rendering.displacementScale * this.depthScale,
       alphaMap: depthTexture,
       transparent: true,
       depthWrite: false,
@@ -270,16 +779,60 @@ class ThreeDScene {
     this.scene.add(this.mesh);
   }
 
+  /**
+   * Retriangulates the mesh, keeping its material.
+   * @param {DepthBuffer} depthBuffer - The depth the mesh is triangulated for.
+   * @param {Object} [meshOptions] - Options for `createAdaptivePlaneGeometry`.
+   */
+  updateGeometry(depthBuffer, meshOptions) {
+    if (!this.mesh) return;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = createAdaptivePlaneGeometry(
+      depthBuffer,
+      this.planeWidth,
+      this.planeHeight,
+      meshOptions
+    );
+  }
+
   /**
    * Updates the displacement scale of the mesh.
    * @param {number} scale - The new displacement scale value.
    */
   updateDisplacementScale(scale) {
+    this.depthScale = scale;
     if (this.mesh) {
-      this.mesh.material.displacementScale = -scale * 0.2; // Adjusted scale factor
+      this.mesh.material.displacementScale =
+        scale * this.config.rendering.displacementScale;
       this.mesh.material.needsUpdate = true;
     }
   }
+
+  /**
+   * Returns the camera and orbit controls pose, for saving in a project.
+   * @returns {Object} The `position`, `quaternion` and orbit `target` as arrays, and the `zoom`.
+   */
+  getCameraPose() {
+    return {
+      position: this.camera.position.toArray(),
+      quaternion: this.camera.quaternion.toArray(),
+      target: this.controls.target.toArray(),
+      zoom: this.camera.zoom,
+    };
+  }
+
+  /**
+   * Restores a camera and orbit controls pose from `getCameraPose`.
+   * @param {Object} pose - The saved pose.
+   */
+  setCameraPose(pose) {
+    this.camera.position.fromArray(pose.position);
+    this.camera.quaternion.fromArray(pose.quaternion);
+    this.camera.zoom = pose.zoom;
+    this.camera.updateProjectionMatrix();
+    this.controls.target.fromArray(pose.target);
+    this.controls.update();
+  }
 }
 
 // Start the application
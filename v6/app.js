@@ -1,25 +1,229 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-converter";
+import * as tf from "@tensorflow/tfjs-core";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
 import "@tensorflow/tfjs-backend-webgl";
 import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import {
+  createDepthEstimator,
+  listEstimators,
+  setTensorFlow,
+} from "../shared/estimators.js";
+import {
+  bakeSceneMesh,
+  exportGLB,
+  exportOBJ,
+  exportSTL,
+  downloadBlob,
+} from "./meshExport.js";
+import { PaintHistory } from "./paintHistory.js";
+import { applyDepthTool } from "./depthTools.js";
+import {
+  PROJECT_EXTENSION,
+  serializeProject,
+  parseProject,
+  saveAutosave,
+  loadAutosave,
+} from "../shared/projectFile.js";
+import {
+  loadVideo,
+  estimateDepthSequence,
+  drawSequenceFrame,
+  exportDepthPNGSequence,
+  exportDepthWebM,
+} from "./videoDepth.js";
+import { renderStereoPair, composeStereo } from "../shared/stereo.js";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import {
+  CAMERA_PATHS,
+  ParallaxAnimator,
+  exportAnimationWebM,
+  exportAnimationPNGSequence,
+  exportAnimationGIF,
+} from "./parallaxAnimation.js";
+import {
+  CUTOUT_MODES,
+  createPersonSegmenter,
+  segmentPerson,
+  createCutoutMask,
+} from "./cutoutMask.js";
+import {
+  INPAINT_METHODS,
+  inpaintDepth,
+  drawInpaintMask,
+} from "../shared/depthInpainting.js";
+import { createAdaptivePlaneGeometry } from "../shared/adaptiveMesh.js";
+import {
+  computeNormals,
+  renderNormalMap,
+  relight,
+  drawLightHandles,
+} from "./relighting.js";
+import {
+  BOKEH_SHAPES,
+  getFocusDepth,
+  refocus,
+} from "../shared/depthOfField.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+
+// The model-based depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel, depthEstimation });
 
 /**
- * Application state to keep track of the estimator, scene, and current image.
+ * Depth estimator selection: the registered estimator to start with and the
+ * options each estimator is created with. The ARPortraitDepth output range
+ * comes from the pipeline settings.
+ */
+const estimatorConfig = {
+  name: "ar-portrait-depth",
+  options: {
+    "ar-portrait-depth": {
+      outputDepthRange: [0, 1],
+      estimationRange: { minDepth: 0, maxDepth: 1 },
+    },
+    "graph-model": {
+      modelUrl: "/models/midas/model.json",
+      inputSize: [256, 256],
+    },
+    synthetic: {},
+    "depth-image": {},
+  },
+};
+
+/**
+ * Ids of the sliders whose values are stored in project files.
+ */
+const PROJECT_SLIDERS = [
+  "depthSlider",
+  "cutoutThreshold",
+  "cutoutFeather",
+  "triangleBudget",
+  "tearThreshold",
+  "relightRelief",
+  "albedoStrength",
+  "shadowStrength",
+  "ambientLight",
+  "bokehAperture",
+];
+
+/**
+ * Delay before changes are autosaved, so a burst of edits is saved once.
+ */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * IndexedDB database the autosave of this version is kept in.
+ */
+const AUTOSAVE_DATABASE = "depth-map-v6";
+
+/**
+ * Longest side of the depth frames estimated from a video.
+ */
+const VIDEO_MAX_SIZE = 512;
+
+/**
+ * Longest side of the relighting and depth of field previews, which are
+ * re-rendered as their settings change; exports are rendered at the image's
+ * natural size.
+ */
+const PREVIEW_MAX_SIZE = 384;
+
+/**
+ * Light added by the relighting controls, before its position is picked.
+ */
+const DEFAULT_LIGHT = {
+  type: "point",
+  x: 0.3,
+  y: 0.3,
+  height: 0.5,
+  color: "#ffffff",
+  intensity: 1.5,
+  angle: 30,
+};
+
+/**
+ * Depth range spread over the depth map colormap. Estimated and painted depth
+ * stays in [0, 1], so the range is fixed and repainted regions keep matching.
+ */
+const COLORMAP_RANGE = { min: 0, max: 1 };
+
+/**
+ * Application state.
  */
 const appState = {
+  config: null, // Pipeline settings
   estimator: null,
+  estimatorName: estimatorConfig.name,
   threeDScene: null,
   currentImage: null,
+  imageFile: null, // The file of the current image, saved in projects
+  rawDepthBuffer: null, // Depth as estimated
+  depthBuffer: null, // Full-precision depth, with the painting applied
+  depthTexture: null,
+  paintHistory: new PaintHistory(),
+  autosaveTimer: null,
+  video: {
+    element: null, // The loaded video
+    sequence: null, // Its depth sequence
+    frameCanvas: document.createElement("canvas"),
+    frameIndex: -1,
+    pendingFrame: null, // Latest frame requested while one is being shown
+    abortController: null,
+  },
+  colormap: Colormap.create("grayscale", COLORMAP_RANGE), // Of the depth map
+  cutout: {
+    segmenter: null, // Person segmenter, loaded on first use
+    segmentation: null, // Person mask of `source`
+    source: null, // The image the person mask was computed for
+    alphaMask: null, // Current alpha mask
+  },
+  inpainted: {
+    depthBuffer: null, // Hole-filled depth the mesh is displaced by
+    mask: null, // Its synthesised pixels
+  },
+  // Depth with only its holes filled, shared by the stereo, relighting and
+  // depth of field views
+  holeFilledDepth: null,
+  relight: {
+    lights: [{ ...DEFAULT_LIGHT }],
+    selected: 0, // Index of the selected light
+    dragging: false, // Whether the selected light is being dragged
+    pendingRender: null,
+  },
+  bokeh: {
+    focusPoint: { x: 0.5, y: 0.5 }, // As fractions of the image size
+    pickingFocus: false,
+  },
 };
 
 /**
  * Initializes the application by loading the depth estimator and setting up event listeners.
  */
 async function initializeApp() {
-  appState.estimator = await loadDepthEstimator();
-  appState.threeDScene = new ThreeDScene();
+  await tf.setBackend("webgl");
+  tf.env().set("WEBGL_CPU_FORWARD", false);
+  appState.config = await initializeConfigControls();
+  estimatorConfig.options["ar-portrait-depth"].outputDepthRange =
+    appState.config.model.outputDepthRange;
+  appState.estimator = await loadDepthEstimator(appState.estimatorName);
+  appState.threeDScene = new ThreeDScene(appState.config);
+
+  initializeEstimatorSelect();
+  initializePaintingTools();
+  initializeHistoryControls();
+  initializeVideoControls();
+  initializeStereoControls();
+  initializeAnimationControls();
+  initializeColormapControls();
+  initializeCutoutControls();
+  initializeInpaintControls();
+  initializeMeshControls();
+  initializeRelightControls();
+  initializeBokehControls();
+
+  // Restore before the uploads are wired, so a restored project never
+  // replaces an image picked meanwhile
+  await restoreAutosave();
 
   document
     .getElementById("imageUpload")
@@ -27,18 +231,106 @@ async function initializeApp() {
   document
     .getElementById("depthSlider")
     .addEventListener("input", (event) => handleDepthSliderChange(event));
+  document
+    .getElementById("exportButton")
+    .addEventListener("click", () => handleExport());
+  document
+    .getElementById("projectUpload")
+    .addEventListener("change", (event) => handleProjectOpen(event));
+  document
+    .getElementById("saveProjectButton")
+    .addEventListener("click", () => handleProjectSave());
+  appState.threeDScene.controls.addEventListener("end", () =>
+    scheduleAutosave()
+  );
 }
 
 /**
- * Loads the depth estimation model using TensorFlow.js.
- * @returns {Promise<Object>} The depth estimator model.
+ * Loads a registered depth estimator with its configured options.
+ * @param {string} name - The estimator name.
+ * @returns {Promise<Object>} The loaded depth estimator.
  */
-async function loadDepthEstimator() {
-  await tf.setBackend("webgl");
-  tf.env().set("WEBGL_CPU_FORWARD", false);
-  const model = depthEstimation.SupportedModels.ARPortraitDepth;
-  const estimatorConfig = { outputDepthRange: [0, 1] };
-  return await depthEstimation.createEstimator(model, estimatorConfig);
+async function loadDepthEstimator(name) {
+  return await createDepthEstimator(name, estimatorConfig.options[name]);
+}
+
+/**
+ * Fills the estimator dropdown from the registry and wires up model switching.
+ */
+function initializeEstimatorSelect() {
+  const estimatorSelect = document.getElementById("estimatorSelect");
+  listEstimators().forEach(({ name, label }) => {
+    estimatorSelect.add(new Option(label, name));
+  });
+  estimatorSelect.value = appState.estimatorName;
+
+  estimatorSelect.addEventListener("change", () =>
+    handleEstimatorChange(estimatorSelect.value)
+  );
+  document
+    .getElementById("depthImageUpload")
+    .addEventListener("change", (event) => handleDepthImageUpload(event));
+}
+
+/**
+ * Switches to another depth estimator and re-estimates the current image.
+ * @param {string} name - The estimator name.
+ */
+async function handleEstimatorChange(name) {
+  if ((await switchEstimator(name)) && appState.currentImage) {
+    await updateSceneWithImage(appState.currentImage);
+  }
+}
+
+/**
+ * Loads another depth estimator in place of the current one. The dropdown
+ * shows the estimator in use, so it goes back to the current estimator if
+ * the new one fails to load.
+ * @param {string} name - The estimator name.
+ * @returns {Promise<boolean>} Whether the estimator was switched.
+ */
+async function switchEstimator(name) {
+  const estimatorSelect = document.getElementById("estimatorSelect");
+  const depthImageUpload = document.getElementById("depthImageUpload");
+  const showEstimator = (shownName) => {
+    estimatorSelect.value = shownName;
+    depthImageUpload.hidden = shownName !== "depth-image";
+  };
+
+  // The depth image estimator cannot load until a depth file is chosen, so
+  // only the file input is shown for it
+  if (name === "depth-image" && !estimatorConfig.options[name].url) {
+    showEstimator(appState.estimatorName);
+    depthImageUpload.hidden = false;
+    return false;
+  }
+
+  try {
+    const estimator = await loadDepthEstimator(name);
+    appState.estimator?.dispose();
+    appState.estimator = estimator;
+    appState.estimatorName = name;
+    showEstimator(name);
+    return true;
+  } catch (error) {
+    console.error(`Failed to load depth estimator "${name}":`, error);
+    showEstimator(appState.estimatorName);
+    return false;
+  }
+}
+
+/**
+ * Handles the upload of a precomputed depth image for the depth image estimator.
+ * @param {Event} event - The file input change event.
+ */
+async function handleDepthImageUpload(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const options = estimatorConfig.options["depth-image"];
+  if (options.url) URL.revokeObjectURL(options.url);
+  options.url = URL.createObjectURL(file);
+  await handleEstimatorChange("depth-image");
 }
 
 /**
@@ -54,6 +346,7 @@ function handleImageUpload(event) {
   image.onload = async () => {
     document.getElementById("imagePreview").src = image.src;
     appState.currentImage = image;
+    appState.imageFile = file;
     await updateSceneWithImage(image);
   };
 }
@@ -64,15 +357,170 @@ function handleImageUpload(event) {
  */
 async function updateSceneWithImage(image) {
   await generateDepthMapCanvas(image, appState.estimator);
-  const depthTexture = getDepthTextureFromCanvas();
+  await updateMeshFromDepth(image);
+  updateDepthViews();
+  scheduleAutosave();
+}
+
+/**
+ * Fills the enclosed holes of the painted depth once for the stereo,
+ * relighting and depth of field views, which share it, and re-renders them.
+ * Unlike the mesh displacement the background is not filled, so it stays
+ * flat. Called whenever the painted depth or the hole filling method changes.
+ */
+function updateDepthViews() {
+  if (!appState.currentImage || !appState.depthBuffer) return;
+  appState.holeFilledDepth = inpaintDepth(appState.depthBuffer, {
+    method: document.getElementById("inpaintMethod").value,
+    region: "holes",
+  }).depthBuffer;
+  updateStereoPreview();
+  scheduleRelightRender();
+  renderBokehPreview();
+}
+
+/**
+ * Rebuilds the mesh from the current depth buffer, keeping the depth slider scale.
+ * @param {HTMLImageElement} image - The image textured onto the mesh.
+ */
+async function updateMeshFromDepth(image) {
+  await prepareCutout(image);
+  appState.depthTexture?.dispose();
+  appState.depthTexture = createDepthTexture(appState.depthBuffer);
   await appState.threeDScene.updateMesh(
-    depthTexture,
+    appState.depthTexture,
     image.width,
     image.height,
-    image
+    image,
+    appState.inpainted.depthBuffer,
+    getMeshOptions()
+  );
+  appState.threeDScene.updateNormalMap(appState.inpainted.depthBuffer);
+  appState.threeDScene.updateDisplacementScale(
+    parseFloat(document.getElementById("depthSlider").value)
   );
 }
 
+/**
+ * Collects the current work into a project for `serializeProject`.
+ * @returns {Object|null} The project, or null before any image is loaded.
+ */
+function collectProject() {
+  if (!appState.imageFile || !appState.depthBuffer) return null;
+
+  const sliders = {};
+  PROJECT_SLIDERS.forEach((id) => {
+    const slider = document.getElementById(id);
+    if (slider) sliders[id] = parseFloat(slider.value);
+  });
+
+  return {
+    image: appState.imageFile,
+    rawDepth: appState.rawDepthBuffer,
+    paintedDepth: appState.depthBuffer,
+    sliders,
+    camera: appState.threeDScene.getCameraPose(),
+    estimatorName: appState.estimatorName,
+  };
+}
+
+/**
+ * Restores the image, depth, sliders, camera pose and depth estimator of a
+ * project. The paint history is not stored, so it starts empty.
+ * @param {Object} project - The project from `parseProject`.
+ */
+async function restoreProject(project) {
+  // The stored depth is kept; the estimator is used for the next estimation
+  if (
+    project.estimatorName &&
+    project.estimatorName !== appState.estimatorName
+  ) {
+    await switchEstimator(project.estimatorName);
+  }
+
+  const image = new Image();
+  image.src = URL.createObjectURL(project.image);
+  await image.decode();
+
+  document.getElementById("imagePreview").src = image.src;
+  appState.currentImage = image;
+  appState.imageFile = project.image;
+  appState.rawDepthBuffer = project.rawDepth;
+  appState.depthBuffer = project.paintedDepth;
+  drawDepthMapCanvas();
+  appState.paintHistory.reset();
+  renderHistoryPanel();
+
+  Object.entries(project.sliders).forEach(([id, value]) => {
+    const slider = document.getElementById(id);
+    if (slider) slider.value = value;
+  });
+
+  await updateMeshFromDepth(image);
+  appState.threeDScene.setCameraPose(project.camera);
+  updateDepthViews();
+}
+
+/**
+ * Handles the save project button by downloading the current project file.
+ */
+async function handleProjectSave() {
+  const project = collectProject();
+  if (!project) return;
+  downloadBlob(
+    await serializeProject(project),
+    `depth-project${PROJECT_EXTENSION}`
+  );
+}
+
+/**
+ * Handles opening a project file.
+ * @param {Event} event - The file input change event.
+ */
+async function handleProjectOpen(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  event.target.value = ""; // Allow reopening the same file
+
+  try {
+    await restoreProject(await parseProject(file));
+    scheduleAutosave();
+  } catch (error) {
+    console.error("Failed to open project:", error);
+    alert(`Could not open ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Autosaves the current project to IndexedDB once edits have settled.
+ */
+function scheduleAutosave() {
+  clearTimeout(appState.autosaveTimer);
+  appState.autosaveTimer = setTimeout(async () => {
+    const project = collectProject();
+    if (!project) return;
+    try {
+      await saveAutosave(AUTOSAVE_DATABASE, await serializeProject(project));
+    } catch (error) {
+      console.error("Autosave failed:", error);
+    }
+  }, AUTOSAVE_DELAY_MS);
+}
+
+/**
+ * Restores the autosaved project, if any, so a refresh does not lose work.
+ */
+async function restoreAutosave() {
+  try {
+    const projectFile = await loadAutosave(AUTOSAVE_DATABASE);
+    if (projectFile) {
+      await restoreProject(await parseProject(projectFile));
+    }
+  } catch (error) {
+    console.error("Failed to restore the autosaved project:", error);
+  }
+}
+
 /**
  * Handles the depth slider input event.
  * @param {Event} event - The slider input event.
@@ -80,57 +528,1150 @@ async function updateSceneWithImage(image) {
 function handleDepthSliderChange(event) {
   const depthScale = parseFloat(event.target.value);
   appState.threeDScene.updateDisplacementScale(depthScale);
+  scheduleAutosave();
+}
+
+/**
+ * Handles the export button click by baking the current mesh from the painted
+ * depth map and downloading it in the selected format.
+ */
+async function handleExport() {
+  if (!appState.threeDScene.mesh) return;
+
+  const format = document.getElementById("exportFormat").value;
+  const mesh = bakeSceneMesh(
+    appState.threeDScene,
+    appState.inpainted.depthBuffer,
+    appState.cutout.alphaMask
+  );
+  const baseName = "depth-mesh";
+
+  if (format === "glb") {
+    downloadBlob(await exportGLB(mesh), `${baseName}.glb`);
+  } else if (format === "obj") {
+    const { obj, mtl, png } = await exportOBJ(mesh, baseName);
+    downloadBlob(obj, `${baseName}.obj`);
+    downloadBlob(mtl, `${baseName}.mtl`);
+    downloadBlob(png, `${baseName}.png`);
+  } else if (format === "stl") {
+    downloadBlob(exportSTL(mesh), `${baseName}.stl`);
+  }
+
+  mesh.geometry.dispose();
+  mesh.material.map.dispose();
+  mesh.material.dispose();
+}
+
+/**
+ * Wires up the video controls: loading, processing, scrubbing and exporting.
+ */
+function initializeVideoControls() {
+  document
+    .getElementById("videoUpload")
+    .addEventListener("change", (event) => handleVideoUpload(event));
+  document
+    .getElementById("processVideoButton")
+    .addEventListener("click", () => handleVideoProcess());
+  document
+    .getElementById("cancelVideoButton")
+    .addEventListener("click", () => appState.video.abortController?.abort());
+  document
+    .getElementById("frameSlider")
+    .addEventListener("input", (event) =>
+      showVideoFrame(parseInt(event.target.value, 10)).catch((error) =>
+        console.error("Failed to show the video frame:", error)
+      )
+    );
+  document
+    .getElementById("exportDepthPngButton")
+    .addEventListener("click", () => handleDepthSequenceExport("png"));
+  document
+    .getElementById("exportDepthWebmButton")
+    .addEventListener("click", () => handleDepthSequenceExport("webm"));
+}
+
+/**
+ * Enables the video controls that apply to the current video state.
+ */
+function updateVideoControls() {
+  const { element, sequence, abortController } = appState.video;
+  const busy = abortController !== null;
+  document.getElementById("processVideoButton").disabled = busy || !element;
+  document.getElementById("cancelVideoButton").disabled = !busy;
+  ["frameSlider", "exportDepthPngButton", "exportDepthWebmButton"].forEach(
+    (id) => {
+      document.getElementById(id).disabled = busy || !sequence;
+    }
+  );
+}
+
+/**
+ * Handles the video upload event. The previous depth sequence is discarded.
+ * @param {Event} event - The file input change event.
+ */
+async function handleVideoUpload(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const video = appState.video;
+  video.abortController?.abort();
+  try {
+    const element = await loadVideo(file);
+    if (video.element) URL.revokeObjectURL(video.element.src);
+    video.element = element;
+    video.sequence = null;
+    document.getElementById("frameLabel").textContent = "none";
+  } catch (error) {
+    console.error("Failed to load video:", error);
+    alert(error.message);
+  }
+  updateVideoControls();
+}
+
+/**
+ * Estimates a temporally smoothed depth sequence for the loaded video and
+ * shows its first frame.
+ */
+async function handleVideoProcess() {
+  const video = appState.video;
+  if (!video.element) return;
+
+  const fps = parseFloat(document.getElementById("videoFps").value) || 15;
+  const smoothing = parseFloat(
+    document.getElementById("temporalSmoothing").value
+  );
+  const progress = document.getElementById("videoProgress");
+  progress.value = 0;
+
+  video.abortController = new AbortController();
+  updateVideoControls();
+  try {
+    video.sequence = await estimateDepthSequence(
+      video.element,
+      appState.estimator,
+      {
+        fps,
+        maxSize: VIDEO_MAX_SIZE,
+        filter: { smoothing },
+        signal: video.abortController.signal,
+        onProgress: (done, total) => {
+          progress.value = done / total;
+        },
+      }
+    );
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      console.error("Failed to process video:", error);
+      alert(`Could not process the video: ${error.message}`);
+    }
+    return;
+  } finally {
+    video.abortController = null;
+    updateVideoControls();
+  }
+
+  const frameSlider = document.getElementById("frameSlider");
+  frameSlider.max = video.sequence.frames.length - 1;
+  frameSlider.value = 0;
+  try {
+    await showVideoFrame(0);
+  } catch (error) {
+    console.error("Failed to show the video frame:", error);
+  }
+}
+
+/**
+ * Shows a frame of the depth sequence on the depth map canvas and in 3D. The
+ * frame's depth buffer becomes the painted depth, so edits end up in exports.
+ * While the slider is dragged only the latest requested frame is drawn, and
+ * the mesh is updated in place rather than rebuilt.
+ * @param {number} index - The frame index.
+ */
+async function showVideoFrame(index) {
+  const video = appState.video;
+  const busy = video.pendingFrame !== null;
+  video.pendingFrame = index;
+  if (busy) return; // The running update picks up the latest frame
+
+  try {
+    while (video.pendingFrame !== null) {
+      const frameIndex = video.pendingFrame;
+      const { sequence, frameCanvas } = video;
+      const reuseMesh =
+        appState.currentImage === frameCanvas &&
+        appState.depthTexture?.image.width === sequence.width &&
+        appState.depthTexture?.image.height === sequence.height;
+
+      await drawSequenceFrame(sequence, frameIndex, frameCanvas);
+      appState.cutout.source = null; // The frame canvas now shows another frame
+      video.frameIndex = frameIndex;
+      appState.currentImage = frameCanvas;
+      appState.imageFile = null; // Video frames are not saved as projects
+      appState.rawDepthBuffer = sequence.frames[frameIndex];
+      appState.depthBuffer = appState.rawDepthBuffer.clone();
+      drawDepthMapCanvas();
+      appState.paintHistory.reset();
+      renderHistoryPanel();
+
+      if (reuseMesh) {
+        await prepareCutout(frameCanvas);
+        updateDepthTexture();
+        appState.threeDScene.updateImageTexture();
+      } else {
+        await updateMeshFromDepth(frameCanvas);
+      }
+
+      const time = sequence.timestamps[frameIndex].toFixed(2);
+      document.getElementById("frameLabel").textContent = `${
+        frameIndex + 1
+      } / ${sequence.frames.length} (${time} s)`;
+
+      if (video.pendingFrame === frameIndex) video.pendingFrame = null;
+    }
+  } finally {
+    // A failed frame must not leave later frames waiting on it
+    video.pendingFrame = null;
+  }
+}
+
+/**
+ * Exports the depth sequence as a PNG sequence or a WebM video.
+ * @param {string} format - "png" or "webm".
+ */
+async function handleDepthSequenceExport(format) {
+  const { sequence } = appState.video;
+  if (!sequence) return;
+
+  try {
+    if (format === "png") {
+      await exportDepthPNGSequence(sequence, downloadBlob);
+    } else {
+      downloadBlob(await exportDepthWebM(sequence), "depth-sequence.webm");
+    }
+  } catch (error) {
+    // Closing the directory picker is not an error
+    if (error.name === "AbortError") return;
+    console.error("Failed to export the depth sequence:", error);
+    alert(`Could not export the depth sequence: ${error.message}`);
+  }
+}
+
+/**
+ * Wires up the stereo controls. The preview is redrawn when a stereo setting
+ * or the depth changes and before every export.
+ */
+function initializeStereoControls() {
+  ["stereoLayout", "stereoBaseline", "stereoConvergence"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", () => updateStereoPreview());
+  });
+  document
+    .getElementById("exportStereoButton")
+    .addEventListener("click", () => handleStereoExport());
+}
+
+/**
+ * Renders the stereo image of the current image and painted depth onto the
+ * stereo preview canvas. The depth has its holes filled, so they do not fall
+ * back to the far plane.
+ * @returns {HTMLCanvasElement|null} The preview canvas, or null before any image is loaded.
+ */
+function updateStereoPreview() {
+  const depthBuffer = appState.holeFilledDepth;
+  if (!appState.currentImage || !depthBuffer) return null;
+
+  const pair = renderStereoPair(appState.currentImage, depthBuffer, {
+    baseline: parseFloat(document.getElementById("stereoBaseline").value) / 100,
+    convergence: parseFloat(document.getElementById("stereoConvergence").value),
+  });
+  return composeStereo(
+    pair,
+    document.getElementById("stereoLayout").value,
+    document.getElementById("stereoCanvas")
+  );
+}
+
+/**
+ * Handles the stereo export button by downloading the stereo image as PNG.
+ */
+async function handleStereoExport() {
+  const canvas = updateStereoPreview();
+  if (!canvas) return;
+  const layout = document.getElementById("stereoLayout").value;
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  downloadBlob(png, `stereo-${layout}.png`);
+}
+
+/**
+ * Fills the camera path dropdown and wires up the animation export. Choosing
+ * a path resets the motion amount to the path's default.
+ */
+function initializeAnimationControls() {
+  const pathSelect = document.getElementById("animationPath");
+  Object.entries(CAMERA_PATHS).forEach(([name, { label }]) => {
+    pathSelect.add(new Option(label, name));
+  });
+  pathSelect.addEventListener("change", () => {
+    document.getElementById("animationAmplitude").value =
+      CAMERA_PATHS[pathSelect.value].amplitude;
+  });
+  document
+    .getElementById("exportAnimationButton")
+    .addEventListener("click", () => handleAnimationExport());
+}
+
+/**
+ * Handles the animation export button by rendering the current mesh along the
+ * chosen camera path and saving it in the chosen format.
+ */
+async function handleAnimationExport() {
+  if (!appState.threeDScene.mesh) return;
+
+  const value = (id) => parseFloat(document.getElementById(id).value);
+  const format = document.getElementById("animationFormat").value;
+  const button = document.getElementById("exportAnimationButton");
+  const progress = document.getElementById("animationProgress");
+  const onProgress = (done, total) => (progress.value = done / total);
+
+  const animator = new ParallaxAnimator(appState.threeDScene.scene, {
+    path: document.getElementById("animationPath").value,
+    amplitude: value("animationAmplitude"),
+    duration: value("animationDuration"),
+    fps: value("animationFps"),
+    width: Math.round(value("animationWidth")),
+    height: Math.round(value("animationHeight")),
+  });
+  button.disabled = true;
+  progress.value = 0;
+
+  try {
+    if (format === "png") {
+      await exportAnimationPNGSequence(animator, onProgress);
+    } else if (format === "gif") {
+      const gif = await exportAnimationGIF(animator, onProgress);
+      downloadBlob(gif, "parallax.gif");
+    } else {
+      const webm = await exportAnimationWebM(animator, onProgress);
+      downloadBlob(webm, "parallax.webm");
+    }
+  } catch (error) {
+    // Closing the directory picker is not an error
+    if (error.name !== "AbortError") {
+      console.error("Failed to export the animation:", error);
+      alert(`Could not export the animation: ${error.message}`);
+    }
+  } finally {
+    animator.dispose();
+    button.disabled = false;
+  }
+}
+
+/**
+ * Wires up the relighting controls: dragging on the preview moves a light
+ * (the one under the pointer, otherwise the selected one), the light
+ * controls edit the selected light and the other controls shade them all.
+ */
+function initializeRelightControls() {
+  const canvas = document.getElementById("relightCanvas");
+  const pointerPosition = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1),
+    };
+  };
+
+  canvas.addEventListener("pointerdown", (event) => {
+    const relightState = appState.relight;
+    const { x, y } = pointerPosition(event);
+    const rect = canvas.getBoundingClientRect();
+    const hit = relightState.lights.findIndex(
+      (light) =>
+        Math.hypot((light.x - x) * rect.width, (light.y - y) * rect.height) < 12
+    );
+    if (hit >= 0) {
+      selectLight(hit);
+    } else if (relightState.selected >= 0) {
+      Object.assign(relightState.lights[relightState.selected], { x, y });
+      scheduleRelightRender();
+    }
+    relightState.dragging = relightState.selected >= 0;
+    canvas.setPointerCapture(event.pointerId);
+  });
+  canvas.addEventListener("pointermove", (event) => {
+    const relightState = appState.relight;
+    if (!relightState.dragging) return;
+    Object.assign(
+      relightState.lights[relightState.selected],
+      pointerPosition(event)
+    );
+    scheduleRelightRender();
+  });
+  ["pointerup", "pointercancel"].forEach((type) =>
+    canvas.addEventListener(type, () => (appState.relight.dragging = false))
+  );
+
+  document
+    .getElementById("addPointLightButton")
+    .addEventListener("click", () => addLight("point"));
+  document
+    .getElementById("addSpotLightButton")
+    .addEventListener("click", () => addLight("spot"));
+  document
+    .getElementById("removeLightButton")
+    .addEventListener("click", () => removeSelectedLight());
+
+  const lightFields = {
+    lightColor: "color",
+    lightIntensity: "intensity",
+    lightHeight: "height",
+    spotAngle: "angle",
+  };
+  Object.entries(lightFields).forEach(([id, field]) => {
+    document.getElementById(id).addEventListener("input", (event) => {
+      const light = appState.relight.lights[appState.relight.selected];
+      if (!light) return;
+      light[field] =
+        field === "color" ? event.target.value : parseFloat(event.target.value);
+      scheduleRelightRender();
+    });
+  });
+  [
+    "relightView",
+    "relightRelief",
+    "albedoStrength",
+    "shadowStrength",
+    "ambientLight",
+  ].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", () => scheduleRelightRender());
+  });
+
+  document
+    .getElementById("exportNormalMapButton")
+    .addEventListener("click", () => handleNormalMapExport());
+  document
+    .getElementById("exportRelitButton")
+    .addEventListener("click", () => handleRelitExport());
+  selectLight(appState.relight.selected);
+}
+
+/**
+ * Selects a light and shows its settings in the light controls.
+ * @param {number} index - The light index, or -1 when there are no lights.
+ */
+function selectLight(index) {
+  appState.relight.selected = index;
+  const light = appState.relight.lights[index];
+  document.getElementById("removeLightButton").disabled = !light;
+  document.getElementById("spotAngleControl").hidden = light?.type !== "spot";
+  if (light) {
+    document.getElementById("lightColor").value = light.color;
+    document.getElementById("lightIntensity").value = light.intensity;
+    document.getElementById("lightHeight").value = light.height;
+    document.getElementById("spotAngle").value = light.angle;
+  }
+  scheduleRelightRender();
+}
+
+/**
+ * Adds a light with the default settings and selects it.
+ * @param {string} type - One of `LIGHT_TYPES`.
+ */
+function addLight(type) {
+  appState.relight.lights.push({ ...DEFAULT_LIGHT, type });
+  selectLight(appState.relight.lights.length - 1);
+}
+
+/**
+ * Removes the selected light and selects the last remaining one.
+ */
+function removeSelectedLight() {
+  const { lights, selected } = appState.relight;
+  if (selected < 0) return;
+  lights.splice(selected, 1);
+  selectLight(lights.length - 1);
+}
+
+/**
+ * Reads the relighting options shared by the preview and the exports.
+ * @returns {Object} The `relief`, `albedo`, `shadowStrength` and `ambient` for `relight`.
+ */
+function getRelightOptions() {
+  const value = (id) => parseFloat(document.getElementById(id).value);
+  return {
+    relief: value("relightRelief"),
+    albedo: value("albedoStrength"),
+    shadowStrength: value("shadowStrength"),
+    ambient: value("ambientLight"),
+  };
+}
+
+/**
+ * Re-renders the relighting preview on the next animation frame, so a burst
+ * of light moves is rendered once.
+ */
+function scheduleRelightRender() {
+  if (appState.relight.pendingRender !== null) return;
+  appState.relight.pendingRender = requestAnimationFrame(() => {
+    appState.relight.pendingRender = null;
+    renderRelightPreview();
+  });
+}
+
+/**
+ * Renders the relit image, or the normal map, onto the relighting preview at
+ * reduced size, with a handle for every light.
+ */
+function renderRelightPreview() {
+  const image = appState.currentImage;
+  const depthBuffer = appState.holeFilledDepth;
+  const { lights, selected } = appState.relight;
+  if (!image || !depthBuffer) return;
+
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const scale = Math.min(
+    1,
+    PREVIEW_MAX_SIZE / Math.max(imageWidth, imageHeight)
+  );
+  const width = Math.round(imageWidth * scale);
+  const height = Math.round(imageHeight * scale);
+  const options = { ...getRelightOptions(), width, height };
+
+  const canvas = document.getElementById("relightCanvas");
+  canvas.width = width;
+  canvas.height = height;
+  const preview =
+    document.getElementById("relightView").value === "normals"
+      ? renderNormalMap(depthBuffer, options)
+      : relight(image, depthBuffer, lights, options);
+  canvas.getContext("2d").putImageData(preview, 0, 0);
+  drawLightHandles(canvas, lights, selected);
+}
+
+/**
+ * Downloads pixels as a PNG file.
+ * @param {ImageData} imageData - The pixels.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+async function downloadImageDataPNG(imageData, fileName) {
+  const canvas = document.createElement("canvas");
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext("2d").putImageData(imageData, 0, 0);
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  downloadBlob(png, fileName);
+}
+
+/**
+ * Handles the normal map export button by downloading the normal map of the
+ * painted depth at the image's natural size.
+ */
+async function handleNormalMapExport() {
+  const image = appState.currentImage;
+  const depthBuffer = appState.holeFilledDepth;
+  if (!image || !depthBuffer) return;
+  const normalMap = renderNormalMap(depthBuffer, {
+    width: image.naturalWidth || image.width,
+    height: image.naturalHeight || image.height,
+    relief: getRelightOptions().relief,
+  });
+  await downloadImageDataPNG(normalMap, "normal-map.png");
+}
+
+/**
+ * Handles the relit image export button by relighting the image at its
+ * natural size and downloading it as PNG.
+ */
+async function handleRelitExport() {
+  const image = appState.currentImage;
+  const depthBuffer = appState.holeFilledDepth;
+  if (!image || !depthBuffer) return;
+  const relit = relight(
+    image,
+    depthBuffer,
+    appState.relight.lights,
+    getRelightOptions()
+  );
+  await downloadImageDataPNG(relit, "relit.png");
+}
+
+/**
+ * Fills the bokeh shape dropdown and wires up the depth of field controls.
+ * The focal plane goes through the point clicked on the preview, or on the
+ * depth map after the pick focus button; that click does not paint.
+ */
+function initializeBokehControls() {
+  const shapeSelect = document.getElementById("bokehShape");
+  BOKEH_SHAPES.forEach((shape) => shapeSelect.add(new Option(shape, shape)));
+  shapeSelect.value = "disc";
+  ["bokehShape", "bokehAperture"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", () => renderBokehPreview());
+  });
+
+  const focusAt = (canvas, event) => {
+    const rect = canvas.getBoundingClientRect();
+    appState.bokeh.focusPoint = {
+      x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1),
+    };
+    renderBokehPreview();
+  };
+  const bokehCanvas = document.getElementById("bokehCanvas");
+  bokehCanvas.addEventListener("click", (event) => focusAt(bokehCanvas, event));
+
+  const depthMapCanvas = document.getElementById("depthMapCanvas");
+  document.getElementById("pickFocusButton").addEventListener("click", () => {
+    appState.bokeh.pickingFocus = true;
+    depthMapCanvas.style.cursor = "crosshair";
+  });
+  // Runs before the painting listeners, which it keeps from starting a stroke
+  depthMapCanvas.addEventListener(
+    "mousedown",
+    (event) => {
+      if (!appState.bokeh.pickingFocus) return;
+      event.stopImmediatePropagation();
+      appState.bokeh.pickingFocus = false;
+      depthMapCanvas.style.cursor = "";
+      focusAt(depthMapCanvas, event);
+    },
+    { capture: true }
+  );
+
+  document
+    .getElementById("exportBokehButton")
+    .addEventListener("click", () => handleBokehExport());
 }
 
 /**
- * Generates the depth map canvas and initializes painting tools.
+ * Reads the depth of field options shared by the preview and the export,
+ * with the focal depth sampled under the focus point.
+ * @returns {Object|null} The options for `refocus`, or null before any image is loaded.
+ */
+function getBokehOptions() {
+  const depthBuffer = appState.holeFilledDepth;
+  const { focusPoint } = appState.bokeh;
+  if (!appState.currentImage || !depthBuffer) return null;
+  return {
+    focusDepth: getFocusDepth(depthBuffer, focusPoint),
+    aperture: parseFloat(document.getElementById("bokehAperture").value),
+    shape: document.getElementById("bokehShape").value,
+  };
+}
+
+/**
+ * Renders the refocused image at reduced size onto the depth of field
+ * preview, with a cross on the focus point.
+ */
+function renderBokehPreview() {
+  const options = getBokehOptions();
+  if (!options) return;
+
+  const image = appState.currentImage;
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const scale = Math.min(
+    1,
+    PREVIEW_MAX_SIZE / Math.max(imageWidth, imageHeight)
+  );
+  const width = Math.round(imageWidth * scale);
+  const height = Math.round(imageHeight * scale);
+
+  const canvas = document.getElementById("bokehCanvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.putImageData(
+    refocus(image, appState.holeFilledDepth, {
+      ...options,
+      // The aperture is relative to the width, so the preview blurs alike
+      width,
+      height,
+    }),
+    0,
+    0
+  );
+
+  const x = appState.bokeh.focusPoint.x * width;
+  const y = appState.bokeh.focusPoint.y * height;
+  ctx.strokeStyle = "#1a73e8";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x - 8, y);
+  ctx.lineTo(x + 8, y);
+  ctx.moveTo(x, y - 8);
+  ctx.lineTo(x, y + 8);
+  ctx.stroke();
+  document.getElementById("bokehFocusDepth").textContent =
+    options.focusDepth.toFixed(3);
+}
+
+/**
+ * Handles the depth of field export button by refocusing the image at its
+ * natural size and downloading it as PNG.
+ */
+async function handleBokehExport() {
+  const options = getBokehOptions();
+  if (!options) return;
+  const button = document.getElementById("exportBokehButton");
+  button.disabled = true;
+  try {
+    const refocused = refocus(
+      appState.currentImage,
+      appState.holeFilledDepth,
+      options
+    );
+    await downloadImageDataPNG(refocused, "refocused.png");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Fills the colormap dropdown and wires up the colormap controls. The custom
+ * gradient input is only shown for the custom colormap.
+ */
+function initializeColormapControls() {
+  const colormapSelect = document.getElementById("colormapSelect");
+  COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+  colormapSelect.value = appState.config.rendering.colormap;
+  document.getElementById("customGradient").value =
+    appState.config.rendering.customGradient;
+
+  colormapSelect.addEventListener("change", () => handleColormapChange());
+  document
+    .getElementById("customGradient")
+    .addEventListener("change", () => handleColormapChange());
+  handleColormapChange();
+}
+
+/**
+ * Switches the depth map colormap and redraws the depth map and legend. An
+ * invalid custom gradient is reported on its input and the colormap is kept.
+ */
+function handleColormapChange() {
+  const name = document.getElementById("colormapSelect").value;
+  const customGradient = document.getElementById("customGradient");
+  customGradient.hidden = name !== "custom";
+
+  try {
+    appState.colormap = Colormap.create(
+      name,
+      COLORMAP_RANGE,
+      customGradient.value
+    );
+    customGradient.setCustomValidity("");
+  } catch (error) {
+    customGradient.setCustomValidity(error.message);
+    customGradient.reportValidity();
+    return;
+  }
+
+  drawColorbar(document.getElementById("depthLegend"), appState.colormap);
+  if (appState.depthBuffer) drawDepthMapCanvas();
+}
+
+/**
+ * Draws the painted depth buffer onto the depth map canvas with the current colormap.
+ */
+function drawDepthMapCanvas() {
+  appState.depthBuffer.drawToCanvas(
+    document.getElementById("depthMapCanvas"),
+    appState.colormap
+  );
+}
+
+/**
+ * Estimates the depth buffer for an image and shows it on the depth map canvas.
  * @param {HTMLImageElement} image - The uploaded image.
  * @param {Object} estimator - The depth estimator model.
  */
 async function generateDepthMapCanvas(image, estimator) {
-  const depthMap = await estimator.estimateDepth(image, {
-    minDepth: 0,
-    maxDepth: 1,
+  appState.rawDepthBuffer = await estimator.estimate(image);
+  appState.depthBuffer = appState.rawDepthBuffer.clone();
+  drawDepthMapCanvas();
+
+  // Strokes from the previous depth map no longer apply
+  appState.paintHistory.reset();
+  renderHistoryPanel();
+}
+
+/**
+ * Fills the cutout mode dropdown and wires up the cutout controls. The
+ * threshold is only shown for threshold cutouts.
+ */
+function initializeCutoutControls() {
+  const modeSelect = document.getElementById("cutoutMode");
+  CUTOUT_MODES.forEach((mode) => modeSelect.add(new Option(mode, mode)));
+  modeSelect.value = "depth";
+
+  modeSelect.addEventListener("change", () => handleCutoutChange());
+  ["cutoutThreshold", "cutoutFeather"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", () => handleCutoutChange());
   });
-  const depthMapCanvas = document.getElementById("depthMapCanvas");
-  const depthMapCtx = depthMapCanvas.getContext("2d");
-  depthMapCanvas.width = image.width;
-  depthMapCanvas.height = image.height;
+}
 
-  // Draw the estimated depth map onto the canvas
-  const depthImage = await depthMap.toCanvasImageSource();
-  depthMapCtx.drawImage(depthImage, 0, 0, image.width, image.height);
+/**
+ * Handles a change of the cutout controls by recomputing the alpha mask,
+ * segmenting the current image first when switching to segmentation.
+ */
+async function handleCutoutChange() {
+  const mode = document.getElementById("cutoutMode").value;
+  document.getElementById("cutoutThresholdControl").hidden =
+    mode !== "threshold";
+  if (!appState.currentImage) return;
+
+  await prepareCutout(appState.currentImage);
+  updateDepthTexture({ remesh: false });
+  scheduleAutosave();
+}
 
-  // Initialize painting tools
-  initializePaintingTools();
+/**
+ * Segments the person in an image for segmentation cutouts, loading the
+ * segmentation model on first use. The mask is kept until the image changes.
+ * If segmentation fails, the cutout falls back to the depth mode.
+ * @param {CanvasImageSource} image - The image textured onto the mesh.
+ */
+async function prepareCutout(image) {
+  const { cutout } = appState;
+  const modeSelect = document.getElementById("cutoutMode");
+  if (modeSelect.value !== "segmentation" || cutout.source === image) return;
+
+  const status = document.getElementById("cutoutStatus");
+  try {
+    if (!cutout.segmenter) {
+      status.textContent = "Loading the segmentation model…";
+      cutout.segmenter = await createPersonSegmenter();
+    }
+    status.textContent = "Segmenting…";
+    cutout.segmentation = await segmentPerson(cutout.segmenter, image);
+    cutout.source = image;
+    status.textContent = "";
+  } catch (error) {
+    console.error("Failed to segment the image:", error);
+    status.textContent = `Segmentation failed: ${error.message}`;
+    modeSelect.value = "depth";
+  }
 }
 
 /**
- * Creates a depth texture from the depth map canvas.
- * @returns {THREE.CanvasTexture} The depth texture.
+ * Computes the alpha mask of the painted depth buffer from the cutout controls.
+ * Until a person mask is available, segmentation cutouts use the depth mode.
+ * @returns {DepthBuffer} The alpha mask, also kept for baking exports.
  */
-function getDepthTextureFromCanvas() {
-  const depthMapCanvas = document.getElementById("depthMapCanvas");
-  const depthTexture = new THREE.CanvasTexture(depthMapCanvas);
-  depthTexture.minFilter = THREE.LinearFilter;
-  depthTexture.magFilter = THREE.LinearFilter;
+function updateAlphaMask() {
+  const { cutout } = appState;
+  const value = (id) => parseFloat(document.getElementById(id).value);
+  const mode = document.getElementById("cutoutMode").value;
+
+  cutout.alphaMask = createCutoutMask(appState.depthBuffer, {
+    mode: mode === "segmentation" && !cutout.segmentation ? "depth" : mode,
+    threshold: value("cutoutThreshold"),
+    feather: value("cutoutFeather"),
+    segmentation: cutout.segmentation,
+  });
+  return cutout.alphaMask;
+}
+
+/**
+ * Wires up the mesh controls; the mesh is retriangulated when they change.
+ */
+function initializeMeshControls() {
+  const { mesh, rendering } = appState.config;
+  document.getElementById("depthSlider").value = rendering.depthScale;
+  document.getElementById("triangleBudget").value = mesh.triangleBudget;
+  document.getElementById("tearThreshold").value = mesh.tearThreshold;
+
+  ["triangleBudget", "tearThreshold"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      if (!appState.depthBuffer) return;
+      appState.threeDScene.updateGeometry(
+        appState.inpainted.depthBuffer,
+        getMeshOptions()
+      );
+      scheduleAutosave();
+    });
+  });
+}
+
+/**
+ * Reads the adaptive mesh options from the mesh controls.
+ * @returns {Object} The `triangleBudget` and `tearThreshold` for `createAdaptivePlaneGeometry`.
+ */
+function getMeshOptions() {
+  return {
+    triangleBudget: parseInt(document.getElementById("triangleBudget").value),
+    tearThreshold: parseFloat(document.getElementById("tearThreshold").value),
+  };
+}
+
+/**
+ * Fills the hole filling dropdown and wires up the hole filling controls.
+ */
+function initializeInpaintControls() {
+  const methodSelect = document.getElementById("inpaintMethod");
+  INPAINT_METHODS.forEach((method) =>
+    methodSelect.add(new Option(method, method))
+  );
+  methodSelect.value = appState.config.depth.inpaintMethod;
+
+  methodSelect.addEventListener("change", () => {
+    updateDepthTexture();
+    updateDepthViews();
+  });
+  document.getElementById("showInpaintMask").addEventListener("change", () => {
+    document.getElementById("inpaintOverlay").hidden =
+      !document.getElementById("showInpaintMask").checked;
+  });
+}
+
+/**
+ * Fills the holes of the painted depth buffer for displacement and redraws the
+ * overlay of synthesised pixels. The background is filled as well: the alpha
+ * mask hides it, and the mesh no longer drops to zero depth at its edges.
+ * @returns {DepthBuffer} The hole-filled depth, also kept for baking exports.
+ */
+function updateInpainting() {
+  appState.inpainted = inpaintDepth(appState.depthBuffer, {
+    method: document.getElementById("inpaintMethod").value,
+    region: "all",
+  });
+  drawInpaintMask(
+    document.getElementById("inpaintOverlay"),
+    appState.inpainted.mask
+  );
+  return appState.inpainted.depthBuffer;
+}
+
+/**
+ * Creates a float depth texture from the depth buffer. The hole-filled depth
+ * is stored in the red channel for the displacement map and the cutout alpha
+ * mask in green for the alpha map.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @returns {THREE.DataTexture} The depth texture.
+ */
+function createDepthTexture(depthBuffer) {
+  const { width, height } = depthBuffer;
+  const depthTexture = new THREE.DataTexture(
+    new Float32Array(width * height * 2),
+    width,
+    height,
+    THREE.RGFormat,
+    THREE.FloatType
+  );
+
+  // Linear filtering of float textures is an optional WebGL extension
+  const filter = appState.threeDScene.renderer.extensions.has(
+    "OES_texture_float_linear"
+  )
+    ? THREE.LinearFilter
+    : THREE.NearestFilter;
+  depthTexture.minFilter = filter;
+  depthTexture.magFilter = filter;
+
+  writeDepthTexture(depthTexture, updateInpainting(), updateAlphaMask());
   return depthTexture;
 }
 
 /**
- * Initializes the painting tools on the depth map canvas.
+ * Copies the depth buffer and alpha mask into an existing depth texture and
+ * flags it for upload.
+ * @param {THREE.DataTexture} depthTexture - The texture from `createDepthTexture`.
+ * @param {DepthBuffer} depthBuffer - The (hole-filled) depth buffer.
+ * @param {DepthBuffer} alphaMask - The alpha mask, at the depth buffer size.
+ */
+function writeDepthTexture(depthTexture, depthBuffer, alphaMask) {
+  const { width, height, data } = depthBuffer;
+  const texels = depthTexture.image.data;
+
+  // Texture rows run bottom-up, the depth buffer rows top-down
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * width;
+    const targetRow = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      texels[(targetRow + x) * 2] = data[sourceRow + x];
+      texels[(targetRow + x) * 2 + 1] = alphaMask.data[sourceRow + x];
+    }
+  }
+  depthTexture.needsUpdate = true;
+}
+
+/**
+ * Copies the painted depth inside a region into the depth texture, for quick
+ * feedback while a stroke is in progress. Pixels painted to 0 keep their last
+ * hole-filled depth and the alpha mask is left as is; `updateDepthTexture`
+ * recomputes both once the stroke ends.
+ * @param {THREE.DataTexture} depthTexture - The texture from `createDepthTexture`.
+ * @param {Object} bounds - The `{ x, y, width, height }` region in pixels.
+ */
+function writeDepthTextureRegion(depthTexture, { x, y, width, height }) {
+  const painted = appState.depthBuffer;
+  const filled = appState.inpainted.depthBuffer;
+  const texels = depthTexture.image.data;
+
+  for (let row = y; row < y + height; row++) {
+    const targetRow = (painted.height - 1 - row) * painted.width;
+    for (let column = x; column < x + width; column++) {
+      const i = row * painted.width + column;
+      texels[(targetRow + column) * 2] = painted.data[i] || filled.data[i];
+    }
+  }
+  depthTexture.needsUpdate = true;
+}
+
+/**
+ * Uploads the (painted) depth buffer to the depth texture of the Three.js
+ * scene and retriangulates the mesh for it.
+ * @param {Object} [options] - Update options.
+ * @param {boolean} [options.remesh=true] - Whether to retriangulate; skipped
+ * while painting and when only the alpha mask changes.
+ */
+function updateDepthTexture({ remesh = true } = {}) {
+  if (!appState.depthTexture) return;
+  writeDepthTexture(
+    appState.depthTexture,
+    updateInpainting(),
+    updateAlphaMask()
+  );
+  appState.threeDScene.updateDepthTexture(appState.depthTexture);
+  appState.threeDScene.updateNormalMap(appState.inpainted.depthBuffer);
+  if (remesh) {
+    appState.threeDScene.updateGeometry(
+      appState.inpainted.depthBuffer,
+      getMeshOptions()
+    );
+  }
+}
+
+/**
+ * Initializes the undo/redo buttons, keyboard shortcuts and history panel.
+ */
+function initializeHistoryControls() {
+  document
+    .getElementById("undoButton")
+    .addEventListener("click", () => stepHistory(-1));
+  document
+    .getElementById("redoButton")
+    .addEventListener("click", () => stepHistory(1));
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd works on macOS.
+  // Text fields and other form controls keep their own undo
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const { target } = event;
+    if (
+      target.closest?.("input, textarea, select") ||
+      target.isContentEditable
+    ) {
+      return;
+    }
+    const key = event.key.toLowerCase();
+    if (key === "z") {
+      event.preventDefault();
+      stepHistory(event.shiftKey ? 1 : -1);
+    } else if (key === "y") {
+      event.preventDefault();
+      stepHistory(1);
+    }
+  });
+
+  renderHistoryPanel();
+}
+
+/**
+ * Undoes or redoes strokes, then redraws the depth map and re-syncs the mesh.
+ * @param {number} steps - Negative to undo, positive to redo that many strokes.
+ */
+function stepHistory(steps) {
+  const { paintHistory, depthBuffer } = appState;
+  if (!depthBuffer || steps === 0) return;
+
+  const depthMapCanvas = document.getElementById("depthMapCanvas");
+  for (let i = 0; i < Math.abs(steps); i++) {
+    const entry =
+      steps < 0
+        ? paintHistory.undo(depthBuffer)
+        : paintHistory.redo(depthBuffer);
+    if (!entry) break;
+    const { x, y, width, height } = entry.bounds;
+    depthBuffer.drawRegionToCanvas(
+      depthMapCanvas,
+      x,
+      y,
+      width,
+      height,
+      appState.colormap
+    );
+  }
+
+  updateDepthTexture();
+  renderHistoryPanel();
+  updateDepthViews();
+  scheduleAutosave();
+}
+
+/**
+ * Lists the recorded strokes in the history panel. Clicking an entry undoes or
+ * redoes up to it; entries that can be redone are dimmed.
+ */
+function renderHistoryPanel() {
+  const { paintHistory } = appState;
+  const historyList = document.getElementById("historyList");
+  historyList.innerHTML = "";
+
+  const items = [
+    { text: "Original depth map", position: 0 },
+    ...paintHistory.entries.map((entry, i) => ({
+      text: `${entry.label} (${entry.indices.length} px)`,
+      position: i + 1,
+    })),
+  ];
+  items.forEach(({ text, position }) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    item.classList.toggle("current", position === paintHistory.position);
+    item.classList.toggle("undone", position > paintHistory.position);
+    item.addEventListener("click", () =>
+      stepHistory(position - appState.paintHistory.position)
+    );
+    historyList.appendChild(item);
+  });
+
+  document.getElementById("undoButton").disabled = !paintHistory.canUndo;
+  document.getElementById("redoButton").disabled = !paintHistory.canRedo;
+}
+
+/**
+ * Initializes the painting tools on the depth map canvas. Strokes edit the
+ * depth buffer; the canvas only displays it.
  */
-// In the initializePaintingTools function
 function initializePaintingTools() {
   const depthMapCanvas = document.getElementById("depthMapCanvas");
-  const depthMapCtx = depthMapCanvas.getContext("2d");
   let painting = false;
   let tool = document.getElementById("toolSelect").value;
   let brushSize = parseInt(document.getElementById("brushSize").value);
   let opacity = parseFloat(document.getElementById("brushOpacity").value);
   let feather = parseInt(document.getElementById("brushFeather").value);
+  let delta = parseFloat(document.getElementById("brushDelta").value);
+
+  // Depth picked with the eyedropper (Alt+click or the Pick button): the
+  // flatten target and the clone source
+  let picking = false;
+  let sampledPoint = null;
+  let stroke = {};
 
-  // Update tool, brush size, opacity, and feather based on user input
+  // Update tool, brush size, opacity, feather, and delta based on user input
   document.getElementById("toolSelect").addEventListener("change", function () {
     tool = this.value;
   });
@@ -151,19 +1692,97 @@ function initializePaintingTools() {
       feather = parseInt(this.value);
     });
 
-  // Event listeners for painting
-  depthMapCanvas.addEventListener("mousedown", function (e) {
+  document.getElementById("brushDelta").addEventListener("input", function () {
+    delta = parseFloat(this.value);
+  });
+
+  document
+    .getElementById("pickDepthButton")
+    .addEventListener("click", function () {
+      picking = true;
+      depthMapCanvas.style.cursor = "crosshair";
+    });
+
+  /**
+   * Converts a pointer position to depth buffer pixel coordinates.
+   * @param {MouseEvent|Touch} e - The pointer event or touch.
+   * @returns {Object} The `{ x, y }` position in pixels.
+   */
+  function toDepthPixel(e) {
+    const rect = depthMapCanvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * depthMapCanvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * depthMapCanvas.height) / rect.height,
+    };
+  }
+
+  /**
+   * Samples the depth under the pointer as flatten target and clone source.
+   * @param {MouseEvent|Touch} e - The pointer event or touch.
+   */
+  function pickDepth(e) {
+    const { x, y } = toDepthPixel(e);
+    const depth = appState.depthBuffer.sample(x, y);
+    sampledPoint = { x, y, depth };
+    picking = false;
+    depthMapCanvas.style.cursor = "";
+    const label = `${depth.toFixed(3)} at (${Math.round(x)}, ${Math.round(y)})`;
+    document.getElementById("sampledDepth").textContent = label;
+  }
+
+  // A stroke lasts from pointer down until the pointer is released or leaves
+  function startStroke(e) {
+    if (!appState.depthBuffer) return;
+    if (picking || e.altKey) {
+      pickDepth(e);
+      return;
+    }
+
+    // Flatten without a sample levels to the depth where the stroke starts;
+    // clone copies from the unpainted depth, keeping the source offset fixed
+    const start = toDepthPixel(e);
+    stroke = {
+      targetDepth:
+        sampledPoint?.depth ?? appState.depthBuffer.sample(start.x, start.y),
+    };
+    if (tool === "clone" && sampledPoint) {
+      stroke.source = appState.depthBuffer.clone();
+      stroke.offset = {
+        x: sampledPoint.x - start.x,
+        y: sampledPoint.y - start.y,
+      };
+    }
+
     painting = true;
+    appState.paintHistory.beginStroke(appState.depthBuffer);
     draw(e);
-  });
+  }
 
-  depthMapCanvas.addEventListener("mouseup", function () {
+  function endStroke() {
+    if (!painting) return;
     painting = false;
+    stroke = {};
     updateDepthTexture();
+
+    const toolName = document.getElementById("toolSelect").selectedOptions[0];
+    if (appState.paintHistory.endStroke(appState.depthBuffer, toolName.text)) {
+      renderHistoryPanel();
+      updateDepthViews();
+      scheduleAutosave();
+    }
+  }
+
+  // Event listeners for painting
+  depthMapCanvas.addEventListener("mousedown", function (e) {
+    startStroke(e);
+  });
+
+  depthMapCanvas.addEventListener("mouseup", function () {
+    endStroke();
   });
 
   depthMapCanvas.addEventListener("mouseleave", function () {
-    painting = false;
+    endStroke();
   });
 
   depthMapCanvas.addEventListener("mousemove", function (e) {
@@ -173,13 +1792,11 @@ function initializePaintingTools() {
   });
 
   depthMapCanvas.addEventListener("touchstart", function (e) {
-    painting = true;
-    draw(e.touches[0]);
+    startStroke(e.touches[0]);
   });
 
   depthMapCanvas.addEventListener("touchend", function () {
-    painting = false;
-    updateDepthTexture();
+    endStroke();
   });
 
   depthMapCanvas.addEventListener("touchmove", function (e) {
@@ -244,86 +1861,57 @@ function initializePaintingTools() {
     cursorRing.style.display = "none"; // Hide the ring
   });
 
-  // Drawing function with opacity and feather adjustments
-  // Simple blur function
-  function blurArea(x, y, size) {
-    const startX = Math.max(0, x - size / 2);
-    const startY = Math.max(0, y - size / 2);
-    const width = Math.min(size, depthMapCanvas.width - startX);
-    const height = Math.min(size, depthMapCanvas.height - startY);
-
-    const imageData = depthMapCtx.getImageData(startX, startY, width, height);
-    const data = imageData.data;
-    let sum = 0;
-
-    // Calculate the average grayscale value
-    for (let i = 0; i < data.length; i += 4) {
-      const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      sum += brightness;
-    }
-    const avg = sum / (data.length / 4);
-
-    // Set the pixels to the average value
-    for (let i = 0; i < data.length; i += 4) {
-      data[i] = avg;
-      data[i + 1] = avg;
-      data[i + 2] = avg;
+  // Update the mesh at most once per frame while painting, and only where the
+  // stroke changed the depth. Hole filling, the alpha mask and the normal map
+  // cover the whole image, so they wait for the end of the stroke
+  let meshUpdatePending = false;
+  let dirtyBounds = null;
+  function scheduleDepthTextureUpdate(changed) {
+    if (dirtyBounds) {
+      const right = Math.max(
+        dirtyBounds.x + dirtyBounds.width,
+        changed.x + changed.width
+      );
+      const bottom = Math.max(
+        dirtyBounds.y + dirtyBounds.height,
+        changed.y + changed.height
+      );
+      dirtyBounds.x = Math.min(dirtyBounds.x, changed.x);
+      dirtyBounds.y = Math.min(dirtyBounds.y, changed.y);
+      dirtyBounds.width = right - dirtyBounds.x;
+      dirtyBounds.height = bottom - dirtyBounds.y;
+    } else {
+      dirtyBounds = { ...changed };
     }
 
-    depthMapCtx.putImageData(imageData, startX, startY);
+    if (meshUpdatePending) return;
+    meshUpdatePending = true;
+    requestAnimationFrame(() => {
+      meshUpdatePending = false;
+      if (appState.depthTexture) {
+        writeDepthTextureRegion(appState.depthTexture, dirtyBounds);
+      }
+      dirtyBounds = null;
+    });
   }
 
-  // Update the depth texture in the Three.js scene
-  function updateDepthTexture() {
-    const depthTexture = getDepthTextureFromCanvas();
-    appState.threeDScene.updateDepthTexture(depthTexture);
-  }
   function draw(e) {
-    const rect = depthMapCanvas.getBoundingClientRect();
-    const x = ((e.clientX - rect.left) * depthMapCanvas.width) / rect.width;
-    const y = ((e.clientY - rect.top) * depthMapCanvas.height) / rect.height;
-
-    if (tool === "brush") {
-      depthMapCtx.beginPath();
-      depthMapCtx.arc(x, y, brushSize / 2, 0, 2 * Math.PI);
-
-      // Apply opacity
-      depthMapCtx.globalAlpha = opacity;
-
-      // Calculate inner and outer radii for feathering
-      const innerRadius = Math.max(0, brushSize / 2 - feather);
-      const outerRadius = brushSize / 2;
-
-      // Create radial gradient for feathering effect
-      const gradient = depthMapCtx.createRadialGradient(
-        x,
-        y,
-        innerRadius,
-        x,
-        y,
-        outerRadius
-      );
-      gradient.addColorStop(0, "white");
-      gradient.addColorStop(1, "rgba(255, 255, 255, 0)"); // Transparent at the edge
-
-      depthMapCtx.fillStyle = gradient;
-      depthMapCtx.fill();
-
-      // Reset global alpha to default
-      depthMapCtx.globalAlpha = 1.0;
-    } else if (tool === "eraser") {
-      depthMapCtx.beginPath();
-      depthMapCtx.arc(x, y, brushSize / 2, 0, 2 * Math.PI);
-      depthMapCtx.fillStyle = "black";
-      depthMapCtx.fill();
-    } else if (tool === "blur") {
-      blurArea(x, y, brushSize);
-    }
-  }
-
-  function updateDepthTexture() {
-    const depthTexture = getDepthTextureFromCanvas();
-    appState.threeDScene.updateDepthTexture(depthTexture);
+    if (!appState.depthBuffer) return;
+
+    const { x, y } = toDepthPixel(e);
+    const brush = { tool, size: brushSize, opacity, feather, delta };
+    const changed = applyDepthTool(appState.depthBuffer, x, y, brush, stroke);
+    if (!changed) return;
+
+    appState.depthBuffer.drawRegionToCanvas(
+      depthMapCanvas,
+      changed.x,
+      changed.y,
+      changed.width,
+      changed.height,
+      appState.colormap
+    );
+    scheduleDepthTextureUpdate(changed);
   }
 }
 
@@ -331,13 +1919,21 @@ function initializePaintingTools() {
  * Class to manage the Three.js scene, including camera, controls, and rendering.
  */
 class ThreeDScene {
-  constructor() {
+  /**
+   * @param {Object} config - The pipeline settings; the mesh and rendering
+   * settings shape the scene.
+   */
+  constructor(config) {
+    this.config = config;
     this.renderer = new THREE.WebGLRenderer({ alpha: true });
     this.renderer.setClearColor(0x000000, 0); // Transparent background
     this.scene = new THREE.Scene();
     this.camera = null;
     this.controls = null;
     this.mesh = null;
+    this.planeWidth = 0;
+    this.planeHeight = 0;
+    this.normalMap = null;
     this.currentUpdateId = 0;
     this.initializeScene();
   }
@@ -352,8 +1948,13 @@ class ThreeDScene {
     this.renderer.setSize(width, height);
     container.appendChild(this.renderer.domElement);
 
-    this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
-    this.camera.position.z = 2;
+    this.camera = new THREE.PerspectiveCamera(
+      this.config.rendering.fieldOfView,
+      width / height,
+      0.1,
+      1000
+    );
+    this.camera.position.z = this.config.rendering.cameraDistance;
 
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
@@ -383,15 +1984,23 @@ class ThreeDScene {
    * @param {THREE.CanvasTexture} depthTexture - The depth texture.
    * @param {number} width - The image width.
    * @param {number} height - The image height.
-   * @param {HTMLImageElement} image - The original image.
+   * @param {HTMLImageElement|HTMLCanvasElement} image - The original image, or a canvas such as a video frame.
+   * @param {DepthBuffer} depthBuffer - The depth the mesh is triangulated for.
+   * @param {Object} [meshOptions] - Options for `createAdaptivePlaneGeometry`.
    */
-  async updateMesh(depthTexture, width, height, image) {
+  async updateMesh(
+    depthTexture,
+    width,
+    height,
+    image,
+    depthBuffer,
+    meshOptions
+  ) {
     const updateId = ++this.currentUpdateId;
 
     const aspectRatio = width / height;
-    const planeWidth = 1.2;
-    const planeHeight = planeWidth / aspectRatio;
-    const segments = 256;
+    this.planeWidth = this.config.mesh.planeWidth;
+    this.planeHeight = this.planeWidth / aspectRatio;
 
     // Remove the existing mesh
     if (this.mesh) {
@@ -401,17 +2010,17 @@ class ThreeDScene {
       this.mesh = null;
     }
 
-    const geometry = new THREE.PlaneGeometry(
-      planeWidth,
-      planeHeight,
-      segments,
-      segments
+    const geometry = createAdaptivePlaneGeometry(
+      depthBuffer,
+      this.planeWidth,
+      this.planeHeight,
+      meshOptions
     );
 
-    const textureLoader = new THREE.TextureLoader();
-
-    // Use loadAsync to await the texture loading
-    const texture = await textureLoader.loadAsync(image.src);
+    // Images are loaded from their URL; canvases are used directly
+    const texture = image.src
+      ? await new THREE.TextureLoader().loadAsync(image.src)
+      : new THREE.CanvasTexture(image);
 
     // After async operations, check if this update is still the latest
     if (updateId !== this.currentUpdateId) {
@@ -421,10 +2030,12 @@ class ThreeDScene {
       return;
     }
 
+    const { displacementScale } = this.config.rendering;
     const material = new THREE.MeshStandardMaterial({
       map: texture,
       displacementMap: depthTexture,
-      displacementScale: -0.2,
+      displacementScale,
+      normalScale: new THREE.Vector2(displacementScale, displacementScale),
       alphaMap: depthTexture,
       transparent: true,
       depthWrite: false,
@@ -435,20 +2046,124 @@ class ThreeDScene {
     this.scene.add(this.mesh);
   }
 
+  /**
+   * Retriangulates the mesh for changed depth, keeping its material.
+   * @param {DepthBuffer} depthBuffer - The depth the mesh is triangulated for.
+   * @param {Object} [meshOptions] - Options for `createAdaptivePlaneGeometry`.
+   */
+  updateGeometry(depthBuffer, meshOptions) {
+    if (!this.mesh) return;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = createAdaptivePlaneGeometry(
+      depthBuffer,
+      this.planeWidth,
+      this.planeHeight,
+      meshOptions
+    );
+  }
+
   /**
    * Updates the displacement scale of the mesh.
    * @param {number} scale - The new displacement scale value.
    */
   updateDisplacementScale(scale) {
     if (this.mesh) {
-      this.mesh.material.displacementScale = -scale * 0.2;
+      const displacementScale = scale * this.config.rendering.displacementScale;
+      this.mesh.material.displacementScale = displacementScale;
+      // The normal map is made for a displacement of 1, see `updateNormalMap`
+      this.mesh.material.normalScale.setScalar(displacementScale);
       this.mesh.material.needsUpdate = true;
     }
   }
 
+  /**
+   * Derives a normal map from the depth the mesh is displaced by, so the
+   * lights shade the relief per pixel; the vertex normals of the flat plane
+   * do not follow the displacement. The normals are for a displacement scale
+   * of 1: scaling their x and y by the actual scale (`normalScale`) tilts
+   * them exactly as much as the displaced surface.
+   * @param {DepthBuffer} depthBuffer - The (hole-filled) depth buffer.
+   */
+  updateNormalMap(depthBuffer) {
+    if (!this.mesh) return;
+    const { width, height } = depthBuffer;
+    const normals = computeNormals(depthBuffer, {
+      relief: 1 / this.planeWidth,
+    });
+
+    if (
+      this.normalMap?.image.width !== width ||
+      this.normalMap?.image.height !== height
+    ) {
+      this.normalMap?.dispose();
+      this.normalMap = new THREE.DataTexture(
+        new Uint8Array(width * height * 4),
+        width,
+        height
+      );
+      this.normalMap.minFilter = THREE.LinearFilter;
+      this.normalMap.magFilter = THREE.LinearFilter;
+    }
+
+    // Texture rows run bottom-up, the depth buffer rows top-down
+    const texels = this.normalMap.image.data;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const source = (y * width + x) * 3;
+        const target = ((height - 1 - y) * width + x) * 4;
+        texels[target] = Math.round((normals[source] + 1) * 127.5);
+        texels[target + 1] = Math.round((normals[source + 1] + 1) * 127.5);
+        texels[target + 2] = Math.round((normals[source + 2] + 1) * 127.5);
+        texels[target + 3] = 255;
+      }
+    }
+    this.normalMap.needsUpdate = true;
+
+    if (this.mesh.material.normalMap !== this.normalMap) {
+      this.mesh.material.normalMap = this.normalMap;
+      this.mesh.material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Returns the camera and orbit controls pose, for saving in a project.
+   * @returns {Object} The `position`, `quaternion` and orbit `target` as arrays, and the `zoom`.
+   */
+  getCameraPose() {
+    return {
+      position: this.camera.position.toArray(),
+      quaternion: this.camera.quaternion.toArray(),
+      target: this.controls.target.toArray(),
+      zoom: this.camera.zoom,
+    };
+  }
+
+  /**
+   * Restores a camera and orbit controls pose from `getCameraPose`.
+   * @param {Object} pose - The saved pose.
+   */
+  setCameraPose(pose) {
+    this.camera.position.fromArray(pose.position);
+    this.camera.quaternion.fromArray(pose.quaternion);
+    this.camera.zoom = pose.zoom;
+    this.camera.updateProjectionMatrix();
+    this.controls.target.fromArray(pose.target);
+    this.controls.update();
+  }
+
+  /**
+   * Re-uploads the mesh texture after its canvas was redrawn, e.g. when
+   * scrubbing to another video frame.
+   */
+  updateImageTexture() {
+    if (this.mesh?.material.map) {
+      this.mesh.material.map.needsUpdate = true;
+    }
+  }
+
   /**
    * Updates the depth texture of the mesh material.
-   * @param {THREE.CanvasTexture} depthTexture - The new depth texture.
+   * @param {THREE.DataTexture} depthTexture - The new depth texture.
    */
   updateDepthTexture(depthTexture) {
     if (this.mesh) {
@@ -0,0 +1,163 @@
+import * as bodySegmentation from "@tensorflow-models/body-segmentation";
+import { DepthBuffer } from "../shared/depthBuffer.js";
+
+/**
+ * Alpha masks that cut the subject out of the background. A mask is a
+ * DepthBuffer of opacities in [0, 1], used as the mesh alphaMap.
+ *
+ * - depth: the opacity is the nearness, one minus the depth, so far parts
+ *   fade out and the background (depth 0) disappears.
+ * - threshold: everything deeper than a threshold is kept; quick, but the
+ *   background has to be separable by depth alone.
+ * - segmentation: a person segmentation model decides what belongs to the
+ *   subject, whatever its depth.
+ */
+export const CUTOUT_MODES = ["depth", "threshold", "segmentation"];
+
+/**
+ * Loads the MediaPipe selfie segmentation model, running on TensorFlow.js.
+ * @returns {Promise<Object>} The segmenter.
+ */
+export async function createPersonSegmenter() {
+  return await bodySegmentation.createSegmenter(
+    bodySegmentation.SupportedModels.MediaPipeSelfieSegmentation,
+    { runtime: "tfjs", modelType: "general" }
+  );
+}
+
+/**
+ * Segments the people in an image into a soft mask of person probabilities.
+ * @param {Object} segmenter - The segmenter from `createPersonSegmenter`.
+ * @param {CanvasImageSource} image - The image.
+ * @returns {Promise<DepthBuffer>} The mask at the image size; all zero when
+ * nobody is found.
+ */
+export async function segmentPerson(segmenter, image) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const [segmentation] = await segmenter.segmentPeople(image);
+  if (!segmentation) return new DepthBuffer(width, height);
+
+  // The mask is RGBA with the person probability in the red channel
+  const maskTensor = await segmentation.mask.toTensor();
+  const [maskHeight, maskWidth, channels = 1] = maskTensor.shape;
+  const data = await maskTensor.data();
+  maskTensor.dispose();
+  const probabilities = new Float32Array(maskWidth * maskHeight);
+  for (let i = 0; i < probabilities.length; i++) {
+    probabilities[i] = data[i * channels];
+  }
+  return new DepthBuffer(maskWidth, maskHeight, probabilities);
+}
+
+/**
+ * Creates a hard mask keeping the pixels deeper than a threshold. Background
+ * pixels have depth 0, so a threshold of 0 keeps everything but them.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {number} threshold - The depth at or below which pixels are cut away.
+ * @returns {DepthBuffer} The mask.
+ */
+export function createThresholdMask(depthBuffer, threshold) {
+  return depthBuffer.map((depth) => (depth > threshold ? 1 : 0));
+}
+
+/**
+ * Resamples a mask to another size with bilinear interpolation.
+ * @param {DepthBuffer} mask - The mask.
+ * @param {number} width - The new width.
+ * @param {number} height - The new height.
+ * @returns {DepthBuffer} The mask at the new size (the same mask if it already fits).
+ */
+export function resampleMask(mask, width, height) {
+  if (mask.width === width && mask.height === height) return mask;
+  const scaleX = (mask.width - 1) / Math.max(width - 1, 1);
+  const scaleY = (mask.height - 1) / Math.max(height - 1, 1);
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = mask.sample(x * scaleX, y * scaleY);
+    }
+  }
+  return new DepthBuffer(width, height, data);
+}
+
+/**
+ * Blurs the values along one axis with a box window, in constant time per
+ * pixel from a running sum. Samples past the edges are clamped.
+ * @param {Float32Array} source - The row-major values.
+ * @param {Float32Array} target - Receives the blurred values.
+ * @param {number} length - The number of values along the axis.
+ * @param {number} lines - The number of lines across the axis.
+ * @param {number} step - The index step along the axis.
+ * @param {number} lineStep - The index step from one line to the next.
+ * @param {number} radius - The window radius.
+ */
+function boxBlurAxis(source, target, length, lines, step, lineStep, radius) {
+  const size = 2 * radius + 1;
+  const clampedAt = (line, i) =>
+    source[line * lineStep + Math.min(Math.max(i, 0), length - 1) * step];
+
+  for (let line = 0; line < lines; line++) {
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) sum += clampedAt(line, i);
+    for (let i = 0; i < length; i++) {
+      target[line * lineStep + i * step] = sum / size;
+      sum += clampedAt(line, i + radius + 1) - clampedAt(line, i - radius);
+    }
+  }
+}
+
+/**
+ * Feathers the edges of a mask so the cutout fades out instead of ending in
+ * a jagged line. Two box blurs per axis approximate a Gaussian blur.
+ * @param {DepthBuffer} mask - The mask.
+ * @param {number} radius - The feather radius in pixels; 0 leaves the mask as is.
+ * @returns {DepthBuffer} The feathered mask.
+ */
+export function featherMask(mask, radius) {
+  const boxRadius = Math.round(radius / 2);
+  if (boxRadius < 1) return mask;
+
+  const { width, height } = mask;
+  let values = mask.data.slice();
+  let scratch = new Float32Array(values.length);
+  for (let pass = 0; pass < 2; pass++) {
+    boxBlurAxis(values, scratch, width, height, 1, width, boxRadius);
+    boxBlurAxis(scratch, values, height, width, width, 1, boxRadius);
+  }
+  return new DepthBuffer(width, height, values);
+}
+
+/**
+ * Creates the alpha mask of a depth buffer with one of `CUTOUT_MODES`.
+ * @param {DepthBuffer} depthBuffer - The (painted) depth buffer.
+ * @param {Object} [options] - Cutout options.
+ * @param {string} [options.mode="depth"] - One of `CUTOUT_MODES`.
+ * @param {number} [options.threshold=0] - The depth threshold of "threshold" cutouts.
+ * @param {number} [options.feather=0] - The feather radius in depth buffer pixels.
+ * @param {DepthBuffer} [options.segmentation] - The person mask from
+ * `segmentPerson`, required for "segmentation" cutouts.
+ * @returns {DepthBuffer} The mask, at the depth buffer size.
+ * @throws Will throw an error for an unknown mode or a missing segmentation.
+ */
+export function createCutoutMask(
+  depthBuffer,
+  { mode = "depth", threshold = 0, feather = 0, segmentation = null } = {}
+) {
+  if (!CUTOUT_MODES.includes(mode)) {
+    throw new Error(`Unknown cutout mode "${mode}".`);
+  }
+
+  let mask;
+  if (mode === "depth") {
+    mask = depthBuffer.map((depth) => (depth === 0 ? 0 : 1 - depth));
+  } else if (mode === "threshold") {
+    mask = createThresholdMask(depthBuffer, threshold);
+  } else if (mode === "segmentation") {
+    if (!segmentation) {
+      throw new Error("Segmentation cutouts need a person segmentation.");
+    }
+    mask = resampleMask(segmentation, depthBuffer.width, depthBuffer.height);
+  }
+  return featherMask(mask, feather);
+}
@@ -0,0 +1,186 @@
+/**
+ * Depth painting tools. Every tool applies a round, feathered dab to a
+ * DepthBuffer; the canvas and texture are only updated by the caller.
+ *
+ * - brush: paints towards white (far).
+ * - eraser: clears to black (background), ignoring opacity and feather.
+ * - raise / lower: moves depth by `delta` per dab.
+ * - flatten: pulls depth towards a sampled target depth.
+ * - smooth: blends towards a Gaussian blur of the area under the brush.
+ * - sharpen: pushes depth away from that blur (unsharp mask).
+ * - clone: copies depth from a source area at a fixed offset.
+ */
+
+/**
+ * Computes the brush falloff for every pixel under a round dab.
+ * @param {DepthBuffer} depthBuffer - The depth buffer being painted.
+ * @param {number} x - The dab centre in pixels.
+ * @param {number} y - The dab centre in pixels.
+ * @param {number} size - The brush diameter in pixels.
+ * @param {number} feather - The width of the soft edge in pixels.
+ * @param {Function} apply - Called with (index, falloff, px, py) for every
+ * pixel under the brush; falloff is 1 inside the feather and fades to 0 at the rim.
+ * @returns {Object} The `{ x, y, width, height }` of the touched area.
+ */
+function forEachBrushPixel(depthBuffer, x, y, size, feather, apply) {
+  const radius = size / 2;
+  const innerRadius = Math.max(0, radius - feather);
+
+  const left = Math.max(0, Math.floor(x - radius));
+  const top = Math.max(0, Math.floor(y - radius));
+  const right = Math.min(depthBuffer.width - 1, Math.ceil(x + radius));
+  const bottom = Math.min(depthBuffer.height - 1, Math.ceil(y + radius));
+
+  for (let py = top; py <= bottom; py++) {
+    for (let px = left; px <= right; px++) {
+      const distance = Math.hypot(px - x, py - y);
+      if (distance > radius) continue;
+      const falloff =
+        distance <= innerRadius
+          ? 1
+          : (radius - distance) / (radius - innerRadius);
+      apply(py * depthBuffer.width + px, falloff, px, py);
+    }
+  }
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(0, right - left + 1),
+    height: Math.max(0, bottom - top + 1),
+  };
+}
+
+/**
+ * Gaussian-blurs a rectangle of a depth buffer. Pixels outside the rectangle
+ * are read too (clamped at the buffer edges), so the result has no seams.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} area - The `{ x, y, width, height }` to blur.
+ * @param {number} sigma - The standard deviation of the Gaussian in pixels.
+ * @returns {Float32Array} The blurred values of the rectangle, row-major.
+ */
+function gaussianBlurArea(depthBuffer, area, sigma) {
+  const radius = Math.ceil(sigma * 3);
+  const kernel = new Float32Array(radius * 2 + 1);
+  let kernelSum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernelSum += kernel[i + radius];
+  }
+
+  // Blur rows (including the margin above and below), then columns
+  const rows = area.height + radius * 2;
+  const horizontal = new Float32Array(area.width * rows);
+  for (let row = 0; row < rows; row++) {
+    const y = area.y - radius + row;
+    for (let col = 0; col < area.width; col++) {
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) {
+        sum += depthBuffer.get(area.x + col + i, y) * kernel[i + radius];
+      }
+      horizontal[row * area.width + col] = sum / kernelSum;
+    }
+  }
+
+  const blurred = new Float32Array(area.width * area.height);
+  for (let row = 0; row < area.height; row++) {
+    for (let col = 0; col < area.width; col++) {
+      let sum = 0;
+      for (let i = 0; i < kernel.length; i++) {
+        sum += horizontal[(row + i) * area.width + col] * kernel[i];
+      }
+      blurred[row * area.width + col] = sum / kernelSum;
+    }
+  }
+  return blurred;
+}
+
+/**
+ * Applies one dab of a depth tool.
+ * @param {DepthBuffer} depthBuffer - The depth buffer to paint.
+ * @param {number} x - The dab centre in pixels.
+ * @param {number} y - The dab centre in pixels.
+ * @param {Object} brush - The brush settings.
+ * @param {string} brush.tool - The tool name (see above).
+ * @param {number} brush.size - The brush diameter in pixels.
+ * @param {number} brush.opacity - The strength of the dab, from 0 to 1.
+ * @param {number} brush.feather - The width of the soft edge in pixels.
+ * @param {number} brush.delta - The depth change per dab for raise and lower.
+ * @param {Object} [stroke] - State captured at the start of the stroke.
+ * @param {number} [stroke.targetDepth] - The depth flatten pulls towards.
+ * @param {DepthBuffer} [stroke.source] - The depth clone copies from.
+ * @param {Object} [stroke.offset] - The `{ x, y }` from the dab to its clone source.
+ * @returns {Object|null} The `{ x, y, width, height }` that changed, or null
+ * if the tool had nothing to do.
+ */
+export function applyDepthTool(depthBuffer, x, y, brush, stroke = {}) {
+  const { tool, size, opacity, feather, delta } = brush;
+  const data = depthBuffer.data;
+  const dab = (apply) =>
+    forEachBrushPixel(depthBuffer, x, y, size, feather, apply);
+
+  switch (tool) {
+    case "brush":
+      return dab((i, falloff) => {
+        data[i] += (1 - data[i]) * opacity * falloff;
+      });
+    case "eraser":
+      return dab((i) => {
+        data[i] = 0;
+      });
+    case "raise":
+    case "lower": {
+      const sign = tool === "raise" ? 1 : -1;
+      return dab((i, falloff) => {
+        const depth = data[i] + sign * delta * opacity * falloff;
+        data[i] = Math.min(Math.max(depth, 0), 1);
+      });
+    }
+    case "flatten":
+      if (stroke.targetDepth === undefined) return null;
+      return dab((i, falloff) => {
+        data[i] += (stroke.targetDepth - data[i]) * opacity * falloff;
+      });
+    case "smooth":
+    case "sharpen": {
+      // Blur the whole dab first so pixels don't see their neighbours' edits
+      const radius = size / 2;
+      const area = {
+        x: Math.max(0, Math.floor(x - radius)),
+        y: Math.max(0, Math.floor(y - radius)),
+      };
+      area.width = Math.min(depthBuffer.width, Math.ceil(x + radius) + 1);
+      area.height = Math.min(depthBuffer.height, Math.ceil(y + radius) + 1);
+      area.width -= area.x;
+      area.height -= area.y;
+      if (area.width <= 0 || area.height <= 0) return null;
+
+      const blurred = gaussianBlurArea(
+        depthBuffer,
+        area,
+        Math.max(1, size / 6)
+      );
+      return dab((i, falloff, px, py) => {
+        const smoothed = blurred[(py - area.y) * area.width + (px - area.x)];
+        const amount = opacity * falloff;
+        if (tool === "smooth") {
+          data[i] += (smoothed - data[i]) * amount;
+        } else {
+          const depth = data[i] + (data[i] - smoothed) * amount;
+          data[i] = Math.min(Math.max(depth, 0), 1);
+        }
+      });
+    }
+    case "clone":
+      if (!stroke.source || !stroke.offset) return null;
+      return dab((i, falloff, px, py) => {
+        const cloned = stroke.source.sample(
+          px + stroke.offset.x,
+          py + stroke.offset.y
+        );
+        data[i] += (cloned - data[i]) * opacity * falloff;
+      });
+    default:
+      return null;
+  }
+}
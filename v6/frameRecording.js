@@ -0,0 +1,63 @@
+import { downloadBlob } from "./meshExport.js";
+
+/**
+ * Saves a numbered PNG sequence, one frame at a time. Uses a picked directory
+ * where the File System Access API exists, and downloads otherwise. Files are
+ * numbered like ffmpeg's %05d so they reassemble in order.
+ * @param {number} frameCount - The number of frames.
+ * @param {Function} renderFrame - Returns (a Promise of) the canvas for a frame index.
+ * @param {string} prefix - The file name prefix.
+ * @returns {Promise<void>}
+ */
+export async function saveFrameSequence(frameCount, renderFrame, prefix) {
+  // Pick the directory first, while the click still counts as a user gesture
+  const directory = window.showDirectoryPicker
+    ? await window.showDirectoryPicker({ mode: "readwrite" })
+    : null;
+
+  for (let i = 0; i < frameCount; i++) {
+    const canvas = await renderFrame(i);
+    const png = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/png")
+    );
+    const fileName = `${prefix}_${String(i + 1).padStart(5, "0")}.png`;
+    if (directory) {
+      const handle = await directory.getFileHandle(fileName, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(png);
+      await writable.close();
+    } else {
+      downloadBlob(png, fileName);
+    }
+  }
+}
+
+/**
+ * Records frames drawn on a canvas into a WebM video. Recording runs in real
+ * time, so it takes as long as the video.
+ * @param {HTMLCanvasElement} canvas - The canvas the frames are drawn on.
+ * @param {number} frameCount - The number of frames.
+ * @param {number} fps - The frame rate.
+ * @param {Function} drawFrame - Draws a frame index onto the canvas; may return a Promise.
+ * @returns {Promise<Blob>} The WebM video.
+ */
+export async function recordWebM(canvas, frameCount, fps, drawFrame) {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+  const chunks = [];
+  recorder.ondataavailable = (event) => chunks.push(event.data);
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start();
+  for (let i = 0; i < frameCount; i++) {
+    await drawFrame(i);
+    track.requestFrame();
+    await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+
+  return new Blob(chunks, { type: "video/webm" });
+}
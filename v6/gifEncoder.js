@@ -0,0 +1,209 @@
+/**
+ * A small animated GIF encoder. Every frame uses the same fixed 256-colour
+ * palette (3 bits red, 3 bits green, 2 bits blue) with ordered dithering, so
+ * the output depends only on the frame pixels.
+ */
+
+/**
+ * 4x4 Bayer matrix for ordered dithering, with thresholds in 0..15.
+ */
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * LZW codes in GIF are at most 12 bits wide.
+ */
+const MAX_CODE = 4096;
+
+/**
+ * Builds the 3-3-2 palette as the 768 bytes of a GIF colour table.
+ * @returns {Uint8Array} The colour table.
+ */
+function createPalette() {
+  const palette = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    palette[i * 3] = Math.round(((i >> 5) * 255) / 7);
+    palette[i * 3 + 1] = Math.round((((i >> 2) & 7) * 255) / 7);
+    palette[i * 3 + 2] = Math.round(((i & 3) * 255) / 3);
+  }
+  return palette;
+}
+
+/**
+ * Quantizes one channel to `levels` steps, dithered by a Bayer threshold.
+ * @param {number} value - The channel value, 0..255.
+ * @param {number} levels - The number of output steps.
+ * @param {number} threshold - The Bayer threshold, 0..15.
+ * @returns {number} The step, 0..levels - 1.
+ */
+function quantize(value, levels, threshold) {
+  const scaled = (value / 255) * (levels - 1) + (threshold + 0.5) / 16 - 0.5;
+  return Math.min(levels - 1, Math.max(0, Math.round(scaled)));
+}
+
+/**
+ * Maps the pixels of a frame to palette indices. Alpha is ignored, so frames
+ * should be opaque.
+ * @param {ImageData} frame - The frame pixels.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+function indexPixels({ width, height, data }) {
+  const indices = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const threshold = BAYER_4X4[(y & 3) * 4 + (x & 3)];
+      indices[i] =
+        (quantize(data[i * 4], 8, threshold) << 5) |
+        (quantize(data[i * 4 + 1], 8, threshold) << 2) |
+        quantize(data[i * 4 + 2], 4, threshold);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Compresses palette indices with GIF's variable-width LZW.
+ * @param {Uint8Array} indices - The palette indices.
+ * @param {number} minCodeSize - The LZW minimum code size (8 for 256 colours).
+ * @returns {Uint8Array} The compressed bytes, before splitting into sub-blocks.
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  const table = new Map();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const write = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+    // The decoder adds its table entry one code later, so widen after writing
+    if (nextCode > (1 << codeSize) - 1 && codeSize < 12) codeSize++;
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode < MAX_CODE) {
+      table.set(key, nextCode++);
+    } else {
+      // Table full: start over
+      write(clearCode);
+      table.clear();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = indices[i];
+  }
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xff);
+
+  return Uint8Array.from(output);
+}
+
+/**
+ * Splits data into GIF sub-blocks of at most 255 bytes, ending with an empty block.
+ * @param {Uint8Array} data - The data.
+ * @returns {Uint8Array} The length-prefixed sub-blocks.
+ */
+function toSubBlocks(data) {
+  const blockCount = Math.ceil(data.length / 255);
+  const blocks = new Uint8Array(data.length + blockCount + 1);
+  let offset = 0;
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.subarray(i, i + 255);
+    blocks[offset++] = block.length;
+    blocks.set(block, offset);
+    offset += block.length;
+  }
+  blocks[offset] = 0;
+  return blocks;
+}
+
+/**
+ * Writes a 16-bit little-endian number.
+ * @param {number} value - The number.
+ * @returns {Array<number>} The two bytes.
+ */
+function uint16(value) {
+  return [value & 0xff, (value >> 8) & 0xff];
+}
+
+/**
+ * Encodes frames of equal size into an animated GIF.
+ * @param {Array<ImageData>} frames - The opaque frames.
+ * @param {Object} [options] - Encoding options.
+ * @param {number} [options.delay=100 / 30] - Time per frame in hundredths of a
+ * second; rounded, and at least 2 since browsers slow down shorter delays.
+ * @param {number} [options.loop=0] - Number of repeats; 0 loops forever.
+ * @returns {Blob} The GIF.
+ * @throws Will throw an error when there are no frames or their sizes differ.
+ */
+export function encodeGIF(frames, { delay = 100 / 30, loop = 0 } = {}) {
+  if (frames.length === 0) {
+    throw new Error("A GIF needs at least one frame.");
+  }
+  const { width, height } = frames[0];
+  const frameDelay = Math.max(2, Math.round(delay));
+
+  const parts = [
+    new TextEncoder().encode("GIF89a"),
+    // Logical screen with a global 256-colour table
+    Uint8Array.from([...uint16(width), ...uint16(height), 0xf7, 0, 0]),
+    createPalette(),
+    // NETSCAPE2.0 application extension for looping
+    Uint8Array.from([
+      0x21,
+      0xff,
+      11,
+      ...new TextEncoder().encode("NETSCAPE2.0"),
+      3,
+      1,
+      ...uint16(loop),
+      0,
+    ]),
+  ];
+
+  frames.forEach((frame) => {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error("All GIF frames must have the same size.");
+    }
+    parts.push(
+      // Graphic control extension: keep the frame, then wait `frameDelay`
+      Uint8Array.from([0x21, 0xf9, 4, 0x04, ...uint16(frameDelay), 0, 0]),
+      // Image descriptor covering the whole screen, no local colour table
+      Uint8Array.from([
+        0x2c,
+        0,
+        0,
+        0,
+        0,
+        ...uint16(width),
+        ...uint16(height),
+        0,
+      ]),
+      Uint8Array.from([8]),
+      toSubBlocks(lzwEncode(indexPixels(frame), 8))
+    );
+  });
+  parts.push(Uint8Array.from([0x3b]));
+
+  return new Blob(parts, { type: "image/gif" });
+}
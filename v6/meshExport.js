@@ -0,0 +1,290 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+
+/**
+ * Width of the exported STL relief in millimetres. Scene units are tiny
+ * (the plane is ~1.2 units wide), which slicers would read as 1.2 mm.
+ */
+const STL_WIDTH_MM = 100;
+
+/**
+ * Thickness of the solid base added under the STL relief, in scene units.
+ */
+const STL_BASE_THICKNESS = 0.02;
+
+/**
+ * Bakes a depth-displaced geometry into real vertex positions, mirroring what
+ * the displacementMap and alphaMap of the scene material do on the GPU.
+ * Triangles whose three corners are fully transparent are dropped and
+ * unreferenced vertices are removed.
+ * @param {THREE.BufferGeometry} sourceGeometry - The undisplaced geometry (with normals and UVs).
+ * @param {DepthBuffer} depthBuffer - The (painted) depth buffer.
+ * @param {number} displacementScale - The material displacement scale.
+ * @param {Object} [options] - Bake options.
+ * @param {number} [options.alphaCutoff=0] - Alpha at or below which a vertex counts as transparent.
+ * @param {DepthBuffer} [options.alphaMask] - The alpha mask; the depth itself
+ * when omitted.
+ * @returns {THREE.BufferGeometry} The baked, indexed geometry.
+ */
+export function bakeDisplacedGeometry(
+  sourceGeometry,
+  depthBuffer,
+  displacementScale,
+  { alphaCutoff = 0, alphaMask = depthBuffer } = {}
+) {
+  const positions = sourceGeometry.attributes.position;
+  const normals = sourceGeometry.attributes.normal;
+  const uvs = sourceGeometry.attributes.uv;
+
+  // The depth drives the displacement map, the mask the alpha map
+  const opaque = new Uint8Array(positions.count);
+  const displaced = new Float32Array(positions.count * 3);
+  for (let i = 0; i < positions.count; i++) {
+    // UVs have v pointing up, the depth buffer rows run top-down
+    const u = uvs.getX(i);
+    const v = 1 - uvs.getY(i);
+    const depth = depthBuffer.sample(
+      u * (depthBuffer.width - 1),
+      v * (depthBuffer.height - 1)
+    );
+    const offset = depth * displacementScale;
+    displaced[i * 3] = positions.getX(i) + normals.getX(i) * offset;
+    displaced[i * 3 + 1] = positions.getY(i) + normals.getY(i) * offset;
+    displaced[i * 3 + 2] = positions.getZ(i) + normals.getZ(i) * offset;
+    const alpha = alphaMask.sample(
+      u * (alphaMask.width - 1),
+      v * (alphaMask.height - 1)
+    );
+    opaque[i] = alpha > alphaCutoff ? 1 : 0;
+  }
+
+  const sourceIndex = sourceGeometry.index
+    ? sourceGeometry.index.array
+    : Array.from({ length: positions.count }, (_, i) => i);
+
+  // Keep triangles with at least one visible corner and remap their vertices
+  const remap = new Int32Array(positions.count).fill(-1);
+  const keptPositions = [];
+  const keptUvs = [];
+  const indices = [];
+  for (let i = 0; i < sourceIndex.length; i += 3) {
+    const corners = [sourceIndex[i], sourceIndex[i + 1], sourceIndex[i + 2]];
+    if (!corners.some((corner) => opaque[corner])) continue;
+
+    corners.forEach((corner) => {
+      if (remap[corner] === -1) {
+        remap[corner] = keptPositions.length / 3;
+        keptPositions.push(
+          displaced[corner * 3],
+          displaced[corner * 3 + 1],
+          displaced[corner * 3 + 2]
+        );
+        keptUvs.push(uvs.getX(corner), uvs.getY(corner));
+      }
+      indices.push(remap[corner]);
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(keptPositions, 3)
+  );
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(keptUvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Closes a baked relief surface into a printable solid by adding a flat base
+ * below it and walls along every open boundary edge.
+ * @param {THREE.BufferGeometry} surface - The baked, indexed relief surface.
+ * @param {number} baseThickness - Distance between the lowest point and the base.
+ * @returns {THREE.BufferGeometry} A closed, non-indexed geometry.
+ */
+function solidifyRelief(surface, baseThickness) {
+  const positions = surface.attributes.position;
+  const index = surface.index.array;
+  const vertexCount = positions.count;
+
+  let minZ = Infinity;
+  for (let i = 0; i < vertexCount; i++) {
+    minZ = Math.min(minZ, positions.getZ(i));
+  }
+  const baseZ = minZ - baseThickness;
+
+  // Top vertices keep their index, base vertices are offset by vertexCount
+  const solidPositions = new Float32Array(vertexCount * 6);
+  for (let i = 0; i < vertexCount; i++) {
+    solidPositions.set(
+      [positions.getX(i), positions.getY(i), positions.getZ(i)],
+      i * 3
+    );
+    solidPositions.set(
+      [positions.getX(i), positions.getY(i), baseZ],
+      (vertexCount + i) * 3
+    );
+  }
+
+  // An edge is on the boundary when no triangle uses it in reverse
+  const edges = new Map();
+  for (let i = 0; i < index.length; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = index[i + e];
+      const b = index[i + ((e + 1) % 3)];
+      const reverseKey = `${b}_${a}`;
+      if (edges.has(reverseKey)) {
+        edges.delete(reverseKey);
+      } else {
+        edges.set(`${a}_${b}`, [a, b]);
+      }
+    }
+  }
+
+  const solidIndex = Array.from(index);
+  for (let i = 0; i < index.length; i += 3) {
+    solidIndex.push(
+      vertexCount + index[i],
+      vertexCount + index[i + 2],
+      vertexCount + index[i + 1]
+    );
+  }
+  edges.forEach(([a, b]) => {
+    solidIndex.push(b, a, vertexCount + a, b, vertexCount + a, vertexCount + b);
+  });
+
+  const solid = new THREE.BufferGeometry();
+  solid.setAttribute("position", new THREE.BufferAttribute(solidPositions, 3));
+  solid.setIndex(solidIndex);
+  return solid.toNonIndexed();
+}
+
+/**
+ * Bakes the current mesh of a ThreeDScene from the depth buffer, using the
+ * current displacement scale, and wraps it with the photo texture.
+ * @param {Object} threeDScene - The ThreeDScene holding the displaced mesh.
+ * @param {DepthBuffer} depthBuffer - The (painted) depth buffer.
+ * @param {DepthBuffer} [alphaMask] - The cutout alpha mask; the depth itself
+ * when omitted.
+ * @returns {THREE.Mesh} A textured mesh with baked geometry.
+ */
+export function bakeSceneMesh(threeDScene, depthBuffer, alphaMask) {
+  const { geometry, material } = threeDScene.mesh;
+  const bakedGeometry = bakeDisplacedGeometry(
+    geometry,
+    depthBuffer,
+    material.displacementScale,
+    { alphaMask }
+  );
+
+  const texture = new THREE.Texture(material.map.image);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+
+  const bakedMaterial = new THREE.MeshStandardMaterial({
+    map: texture,
+    side: THREE.DoubleSide,
+  });
+  const mesh = new THREE.Mesh(bakedGeometry, bakedMaterial);
+  mesh.name = "DepthMesh";
+  return mesh;
+}
+
+/**
+ * Exports a baked mesh as a binary glTF (GLB) with its texture embedded.
+ * @param {THREE.Mesh} mesh - The baked mesh.
+ * @returns {Promise<Blob>} The GLB file.
+ */
+export async function exportGLB(mesh) {
+  const exporter = new GLTFExporter();
+  const glb = await exporter.parseAsync(mesh, { binary: true });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
+
+/**
+ * Exports a baked mesh as OBJ with a companion MTL file and PNG texture.
+ * @param {THREE.Mesh} mesh - The baked mesh.
+ * @param {string} baseName - The file name (without extension) shared by all three files.
+ * @returns {Promise<Object>} An object with `obj`, `mtl` and `png` blobs.
+ */
+export async function exportOBJ(mesh, baseName) {
+  const { position, uv, normal } = mesh.geometry.attributes;
+  const index = mesh.geometry.index.array;
+
+  const lines = [`mtllib ${baseName}.mtl`, `o ${mesh.name}`];
+  for (let i = 0; i < position.count; i++) {
+    lines.push(`v ${position.getX(i)} ${position.getY(i)} ${position.getZ(i)}`);
+  }
+  for (let i = 0; i < uv.count; i++) {
+    lines.push(`vt ${uv.getX(i)} ${uv.getY(i)}`);
+  }
+  for (let i = 0; i < normal.count; i++) {
+    lines.push(`vn ${normal.getX(i)} ${normal.getY(i)} ${normal.getZ(i)}`);
+  }
+  lines.push("usemtl depthMeshMaterial");
+  for (let i = 0; i < index.length; i += 3) {
+    // OBJ indices are 1-based and shared across v/vt/vn here
+    const [a, b, c] = [index[i] + 1, index[i + 1] + 1, index[i + 2] + 1];
+    lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+  }
+
+  const mtl = [
+    "newmtl depthMeshMaterial",
+    "Ka 1.000 1.000 1.000",
+    "Kd 1.000 1.000 1.000",
+    "Ks 0.000 0.000 0.000",
+    "d 1.0",
+    "illum 1",
+    `map_Kd ${baseName}.png`,
+  ].join("\n");
+
+  const image = mesh.material.map.image;
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+
+  return {
+    obj: new Blob([lines.join("\n")], { type: "text/plain" }),
+    mtl: new Blob([mtl], { type: "text/plain" }),
+    png,
+  };
+}
+
+/**
+ * Exports a baked mesh as a closed, binary STL solid ready for 3D printing.
+ * @param {THREE.Mesh} mesh - The baked mesh.
+ * @returns {Blob} The STL file.
+ */
+export function exportSTL(mesh) {
+  const solid = new THREE.Mesh(
+    solidifyRelief(mesh.geometry, STL_BASE_THICKNESS)
+  );
+  solid.geometry.computeBoundingBox();
+  const box = solid.geometry.boundingBox;
+  solid.scale.setScalar(STL_WIDTH_MM / (box.max.x - box.min.x || 1));
+  solid.updateMatrixWorld();
+
+  const exporter = new STLExporter();
+  const stl = exporter.parse(solid, { binary: true });
+  return new Blob([stl], { type: "model/stl" });
+}
+
+/**
+ * Triggers a browser download of a blob.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
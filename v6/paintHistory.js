@@ -0,0 +1,147 @@
+/**
+ * Stroke-level undo/redo history for the depth painting tools. Instead of full
+ * snapshots, every stroke stores only the pixels it changed: their indices and
+ * their depth before and after the stroke.
+ */
+export class PaintHistory {
+  /**
+   * @param {number} [maxStrokes=50] - How many strokes to keep; older ones are dropped.
+   */
+  constructor(maxStrokes = 50) {
+    this.maxStrokes = maxStrokes;
+    this.entries = [];
+    this.position = 0; // Number of entries currently applied
+    this.strokeStart = null; // Depth at the start of the open stroke
+    this.strokeOpen = false;
+  }
+
+  /**
+   * Clears the history, e.g. when a new depth map is generated.
+   */
+  reset() {
+    this.entries = [];
+    this.position = 0;
+    this.strokeOpen = false;
+  }
+
+  /**
+   * Whether there is a stroke to undo.
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.position > 0;
+  }
+
+  /**
+   * Whether there is an undone stroke to redo.
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  /**
+   * Remembers the depth buffer at the start of a stroke.
+   * @param {DepthBuffer} depthBuffer - The depth buffer about to be painted.
+   */
+  beginStroke(depthBuffer) {
+    // Reuse the scratch copy between strokes to avoid reallocating it
+    if (this.strokeStart?.length !== depthBuffer.data.length) {
+      this.strokeStart = new Float32Array(depthBuffer.data.length);
+    }
+    this.strokeStart.set(depthBuffer.data);
+    this.strokeOpen = true;
+  }
+
+  /**
+   * Finishes a stroke and records the pixels it changed. Undone strokes can no
+   * longer be redone once a new stroke is recorded.
+   * @param {DepthBuffer} depthBuffer - The painted depth buffer.
+   * @param {string} label - The name shown in the history panel.
+   * @returns {Object|null} The recorded entry, or null if nothing changed.
+   */
+  endStroke(depthBuffer, label) {
+    if (!this.strokeOpen) return null;
+    this.strokeOpen = false;
+
+    const { width, data } = depthBuffer;
+    const changed = [];
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] !== this.strokeStart[i]) changed.push(i);
+    }
+    if (changed.length === 0) return null;
+
+    const indices = Uint32Array.from(changed);
+    const before = new Float32Array(indices.length);
+    const after = new Float32Array(indices.length);
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    indices.forEach((index, i) => {
+      before[i] = this.strokeStart[index];
+      after[i] = data[index];
+      const x = index % width;
+      const y = Math.floor(index / width);
+      left = Math.min(left, x);
+      top = Math.min(top, y);
+      right = Math.max(right, x);
+      bottom = Math.max(bottom, y);
+    });
+
+    const entry = {
+      label,
+      indices,
+      before,
+      after,
+      bounds: {
+        x: left,
+        y: top,
+        width: right - left + 1,
+        height: bottom - top + 1,
+      },
+    };
+
+    this.entries.length = this.position;
+    this.entries.push(entry);
+    if (this.entries.length > this.maxStrokes) this.entries.shift();
+    this.position = this.entries.length;
+    return entry;
+  }
+
+  /**
+   * Reverts the last applied stroke.
+   * @param {DepthBuffer} depthBuffer - The depth buffer to restore.
+   * @returns {Object|null} The undone entry, or null if there was none.
+   */
+  undo(depthBuffer) {
+    if (!this.canUndo) return null;
+    const entry = this.entries[--this.position];
+    writeValues(depthBuffer, entry.indices, entry.before);
+    return entry;
+  }
+
+  /**
+   * Re-applies the next undone stroke.
+   * @param {DepthBuffer} depthBuffer - The depth buffer to restore.
+   * @returns {Object|null} The redone entry, or null if there was none.
+   */
+  redo(depthBuffer) {
+    if (!this.canRedo) return null;
+    const entry = this.entries[this.position++];
+    writeValues(depthBuffer, entry.indices, entry.after);
+    return entry;
+  }
+}
+
+/**
+ * Writes recorded depth values back into a depth buffer.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Uint32Array} indices - The pixel indices.
+ * @param {Float32Array} values - The depth value for each index.
+ */
+function writeValues(depthBuffer, indices, values) {
+  for (let i = 0; i < indices.length; i++) {
+    depthBuffer.data[indices[i]] = values[i];
+  }
+}
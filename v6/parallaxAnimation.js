@@ -0,0 +1,230 @@
+import * as THREE from "three";
+import { encodeGIF } from "./gifEncoder.js";
+import { saveFrameSequence, recordWebM } from "./frameRecording.js";
+
+/**
+ * Distance from the camera to the image plane and vertical field of view at
+ * rest, matching the interactive camera.
+ */
+const BASE_DISTANCE = 2;
+const BASE_FOV = 75;
+
+/**
+ * Eases from 0 to 1 with zero speed at both ends.
+ * @param {number} t - The progress, 0..1.
+ * @returns {number} The eased progress.
+ */
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Camera path presets. Each `pose(t, amplitude)` maps the animation progress
+ * t (0..1) to a camera `position`, look-at `target` and vertical `fov` in
+ * degrees, so a frame depends only on its index. Looping paths end where they
+ * start, so the last frame is left out to loop seamlessly.
+ */
+export const CAMERA_PATHS = {
+  circle: {
+    label: "Circle",
+    amplitude: 0.3,
+    loop: true,
+    pose: (t, amplitude) => ({
+      position: [
+        amplitude * Math.sin(2 * Math.PI * t),
+        amplitude * Math.cos(2 * Math.PI * t),
+        BASE_DISTANCE,
+      ],
+      target: [0, 0, 0],
+      fov: BASE_FOV,
+    }),
+  },
+  swing: {
+    label: "Swing",
+    amplitude: 0.4,
+    loop: true,
+    pose: (t, amplitude) => ({
+      position: [amplitude * Math.sin(2 * Math.PI * t), 0, BASE_DISTANCE],
+      target: [0, 0, 0],
+      fov: BASE_FOV,
+    }),
+  },
+  "dolly-zoom": {
+    label: "Dolly zoom",
+    amplitude: 0.4,
+    loop: false,
+    // The camera moves in while the field of view widens to keep the image
+    // plane the same size, so only the depth around it appears to stretch
+    pose: (t, amplitude) => {
+      const distance = BASE_DISTANCE * (1 - amplitude * smoothstep(t));
+      const halfHeight =
+        BASE_DISTANCE * Math.tan(THREE.MathUtils.degToRad(BASE_FOV / 2));
+      return {
+        position: [0, 0, distance],
+        target: [0, 0, 0],
+        fov: THREE.MathUtils.radToDeg(2 * Math.atan(halfHeight / distance)),
+      };
+    },
+  },
+  "ken-burns": {
+    label: "Ken Burns",
+    amplitude: 0.3,
+    loop: false,
+    // A slow push in with a sideways drift; the camera translates without
+    // turning, so the layers slide past each other
+    pose: (t, amplitude) => {
+      const progress = smoothstep(t);
+      const x = amplitude * (progress - 0.5);
+      const y = (amplitude / 2) * (progress - 0.5);
+      return {
+        position: [x, y, BASE_DISTANCE * (1 - (amplitude / 2) * progress)],
+        target: [x, y, 0],
+        fov: BASE_FOV,
+      };
+    },
+  },
+};
+
+/**
+ * Renders a scene along a camera path into frames of a fixed size. It has its
+ * own renderer and camera, so the interactive view and the window size do not
+ * change the output.
+ */
+export class ParallaxAnimator {
+  /**
+   * @param {THREE.Scene} scene - The scene with the displaced mesh.
+   * @param {Object} [options] - Animation options.
+   * @param {string} [options.path="circle"] - A key of `CAMERA_PATHS`.
+   * @param {number} [options.duration=3] - Length in seconds.
+   * @param {number} [options.fps=30] - Frames per second.
+   * @param {number} [options.width=512] - Frame width in pixels.
+   * @param {number} [options.height=512] - Frame height in pixels.
+   * @param {number} [options.amplitude] - Strength of the camera motion; the
+   * path's default when omitted.
+   * @param {string} [options.background="#ffffff"] - Background colour; frames are opaque.
+   * @throws Will throw an error for an unknown camera path.
+   */
+  constructor(
+    scene,
+    {
+      path = "circle",
+      duration = 3,
+      fps = 30,
+      width = 512,
+      height = 512,
+      amplitude,
+      background = "#ffffff",
+    } = {}
+  ) {
+    if (!CAMERA_PATHS[path]) {
+      throw new Error(`Unknown camera path "${path}".`);
+    }
+    this.scene = scene;
+    this.path = CAMERA_PATHS[path];
+    this.amplitude = amplitude ?? this.path.amplitude;
+    this.fps = fps;
+    this.frameCount = Math.max(1, Math.round(duration * fps));
+
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      preserveDrawingBuffer: true,
+    });
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(width, height, false);
+    this.renderer.setClearColor(background, 1);
+    this.camera = new THREE.PerspectiveCamera(
+      BASE_FOV,
+      width / height,
+      0.1,
+      1000
+    );
+  }
+
+  /**
+   * The canvas the frames are rendered on.
+   * @returns {HTMLCanvasElement} The canvas.
+   */
+  get canvas() {
+    return this.renderer.domElement;
+  }
+
+  /**
+   * Renders one frame.
+   * @param {number} index - The frame index, 0..frameCount - 1.
+   * @returns {HTMLCanvasElement} The canvas with the frame.
+   */
+  renderFrame(index) {
+    const steps = this.path.loop ? this.frameCount : this.frameCount - 1;
+    const t = steps > 0 ? index / steps : 0;
+    const { position, target, fov } = this.path.pose(t, this.amplitude);
+
+    this.camera.position.fromArray(position);
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+    this.camera.lookAt(new THREE.Vector3(...target));
+    this.renderer.render(this.scene, this.camera);
+    return this.canvas;
+  }
+
+  /**
+   * Releases the renderer and its GPU resources.
+   */
+  dispose() {
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+  }
+}
+
+/**
+ * Records the animation into a WebM video. Recording runs in real time.
+ * @param {ParallaxAnimator} animator - The animator.
+ * @param {Function} [onProgress] - Called with (frameIndex, frameCount).
+ * @returns {Promise<Blob>} The WebM video.
+ */
+export function exportAnimationWebM(animator, onProgress) {
+  return recordWebM(animator.canvas, animator.frameCount, animator.fps, (i) => {
+    animator.renderFrame(i);
+    onProgress?.(i + 1, animator.frameCount);
+  });
+}
+
+/**
+ * Writes the animation as a numbered PNG sequence.
+ * @param {ParallaxAnimator} animator - The animator.
+ * @param {Function} [onProgress] - Called with (frameIndex, frameCount).
+ * @returns {Promise<void>}
+ */
+export function exportAnimationPNGSequence(animator, onProgress) {
+  return saveFrameSequence(
+    animator.frameCount,
+    (i) => {
+      onProgress?.(i + 1, animator.frameCount);
+      return animator.renderFrame(i);
+    },
+    "frame"
+  );
+}
+
+/**
+ * Encodes the animation into a looping GIF.
+ * @param {ParallaxAnimator} animator - The animator.
+ * @param {Function} [onProgress] - Called with (frameIndex, frameCount).
+ * @returns {Promise<Blob>} The GIF.
+ */
+export async function exportAnimationGIF(animator, onProgress) {
+  const { width, height } = animator.canvas;
+  const readback = document.createElement("canvas");
+  readback.width = width;
+  readback.height = height;
+  const ctx = readback.getContext("2d", { willReadFrequently: true });
+
+  const frames = [];
+  for (let i = 0; i < animator.frameCount; i++) {
+    ctx.drawImage(animator.renderFrame(i), 0, 0);
+    frames.push(ctx.getImageData(0, 0, width, height));
+    onProgress?.(i + 1, animator.frameCount);
+    // Let the progress bar repaint
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return encodeGIF(frames, { delay: 100 / animator.fps });
+}
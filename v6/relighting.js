@@ -0,0 +1,294 @@
+import { DepthBuffer } from "../shared/depthBuffer.js";
+
+/**
+ * Relighting of a photo from its depth map. The depth is read as a height
+ * field (nearer is higher, the background lowest), per-pixel normals come
+ * from its gradient, and the photo is shaded as if lit by point and spot
+ * lights hovering over it, with shadows cast by the relief.
+ *
+ * Lights are plain objects:
+ * - type: one of `LIGHT_TYPES`; spot lights shine straight into the picture.
+ * - x, y: position over the image, as fractions of its width and height.
+ * - height: distance above the depth 0 plane, as a fraction of the image width.
+ * - color: a `#rrggbb` colour.
+ * - intensity: brightness multiplier.
+ * - angle: half angle of a spot light's cone, in degrees.
+ */
+export const LIGHT_TYPES = ["point", "spot"];
+
+/**
+ * Share of a spot light's cone over which its edge fades out.
+ */
+const SPOT_PENUMBRA = 0.25;
+
+/**
+ * Most height samples taken along each shadow ray.
+ */
+const SHADOW_STEPS = 32;
+
+/**
+ * Grey the surface falls back to as the albedo strength goes to 0.
+ */
+const PLAIN_ALBEDO = 0.8;
+
+/**
+ * Parses a `#rrggbb` colour.
+ * @param {string} hex - The colour.
+ * @returns {Array<number>} The red, green and blue values, 0..1.
+ */
+function parseColor(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Resamples a depth buffer to another size, with pixel centres lined up.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {number} width - The new width.
+ * @param {number} height - The new height.
+ * @returns {DepthBuffer} The depth buffer at the new size (the same buffer if it already fits).
+ */
+function resampleDepth(depthBuffer, width, height) {
+  if (depthBuffer.width === width && depthBuffer.height === height) {
+    return depthBuffer;
+  }
+  const scaleX = depthBuffer.width / width;
+  const scaleY = depthBuffer.height / height;
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = depthBuffer.sample(
+        (x + 0.5) * scaleX - 0.5,
+        (y + 0.5) * scaleY - 0.5
+      );
+    }
+  }
+  return new DepthBuffer(width, height, data);
+}
+
+/**
+ * Reads a depth buffer as a height field: larger depth is farther away and so
+ * lower, and the background (depth 0) lies on the lowest plane.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @returns {DepthBuffer} The heights, 0..1.
+ */
+function toHeightField(depthBuffer) {
+  return depthBuffer.map((depth) => (depth === 0 ? 0 : 1 - depth));
+}
+
+/**
+ * Derives unit surface normals from the depth gradient by central
+ * differences (one-sided at the edges). Normals follow the normal map
+ * convention: x to the right, y up and z out of the picture.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} [options] - Normal options.
+ * @param {number} [options.relief=0.1] - Height of the nearest depth over the
+ * background as a fraction of the buffer width; larger values make the
+ * surface steeper.
+ * @returns {Float32Array} Three values per pixel, rows top-down.
+ */
+export function computeNormals(depthBuffer, { relief = 0.1 } = {}) {
+  const { width, height, data } = toHeightField(depthBuffer);
+  const scale = relief * width;
+  const normals = new Float32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(y - 1, 0);
+    const down = Math.min(y + 1, height - 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(x - 1, 0);
+      const right = Math.min(x + 1, width - 1);
+      const slopeX =
+        ((data[y * width + right] - data[y * width + left]) * scale) /
+        (right - left || 1);
+      // Rows run down the image, so the upward slope has the opposite sign
+      const slopeY =
+        ((data[up * width + x] - data[down * width + x]) * scale) /
+        (down - up || 1);
+      const length = Math.hypot(slopeX, slopeY, 1);
+      const i = (y * width + x) * 3;
+      normals[i] = -slopeX / length;
+      normals[i + 1] = -slopeY / length;
+      normals[i + 2] = 1 / length;
+    }
+  }
+  return normals;
+}
+
+/**
+ * Renders a normal map with components mapped from -1..1 to 0..255.
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} [options] - Normal map options.
+ * @param {number} [options.width] - The output width; the buffer width by default.
+ * @param {number} [options.height] - The output height; the buffer height by default.
+ * @param {number} [options.relief=0.1] - See `computeNormals`.
+ * @returns {ImageData} The normal map.
+ */
+export function renderNormalMap(
+  depthBuffer,
+  { width = depthBuffer.width, height = depthBuffer.height, relief = 0.1 } = {}
+) {
+  const normals = computeNormals(resampleDepth(depthBuffer, width, height), {
+    relief,
+  });
+  const normalMap = new ImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    normalMap.data[i * 4] = Math.round((normals[i * 3] + 1) * 127.5);
+    normalMap.data[i * 4 + 1] = Math.round((normals[i * 3 + 1] + 1) * 127.5);
+    normalMap.data[i * 4 + 2] = Math.round((normals[i * 3 + 2] + 1) * 127.5);
+    normalMap.data[i * 4 + 3] = 255;
+  }
+  return normalMap;
+}
+
+/**
+ * Tells whether the height field blocks the straight path from a surface
+ * point to a light, by marching along the path and comparing heights.
+ * @param {Float32Array} heights - Surface heights in pixels, row-major.
+ * @param {number} width - The width.
+ * @param {number} height - The height.
+ * @param {Array<number>} from - The surface point as `[x, y, z]` pixels.
+ * @param {Array<number>} to - The light position as `[x, y, z]` pixels.
+ * @returns {boolean} Whether the point is in shadow.
+ */
+function isOccluded(heights, width, height, from, to) {
+  const distance = Math.hypot(to[0] - from[0], to[1] - from[1]);
+  const steps = Math.min(SHADOW_STEPS, Math.floor(distance));
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps;
+    const x = Math.round(from[0] + (to[0] - from[0]) * t);
+    const y = Math.round(from[1] + (to[1] - from[1]) * t);
+    if (x < 0 || x >= width || y < 0 || y >= height) return false;
+    // Half a pixel of slack keeps smooth slopes from shadowing themselves
+    if (heights[y * width + x] > from[2] + (to[2] - from[2]) * t + 0.5) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Relights an image with point and spot lights, shading every pixel with the
+ * Lambert term of its depth normal, an inverse-square-like falloff and, for
+ * spot lights, the cone. The photo serves as albedo, so its own lighting
+ * stays baked in underneath.
+ * @param {CanvasImageSource} image - The source image.
+ * @param {DepthBuffer} depthBuffer - The depth buffer, read as a height field.
+ * @param {Array<Object>} lights - The lights, see `LIGHT_TYPES`.
+ * @param {Object} [options] - Relighting options.
+ * @param {number} [options.width] - The output width; the image's natural width by default.
+ * @param {number} [options.height] - The output height; the image's natural height by default.
+ * @param {number} [options.relief=0.1] - See `computeNormals`.
+ * @param {number} [options.albedo=1] - How much of the photo's colour the
+ * surface keeps; 0 lights a plain grey surface.
+ * @param {number} [options.shadowStrength=0.6] - How much light shadows take
+ * away; 0 turns shadows off.
+ * @param {number} [options.ambient=0.25] - Light reaching every pixel.
+ * @returns {ImageData} The relit image.
+ */
+export function relight(
+  image,
+  depthBuffer,
+  lights,
+  {
+    width = image.naturalWidth || image.width,
+    height = image.naturalHeight || image.height,
+    relief = 0.1,
+    albedo = 1,
+    shadowStrength = 0.6,
+    ambient = 0.25,
+  } = {}
+) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  const relit = ctx.getImageData(0, 0, width, height);
+  const { data } = relit;
+
+  const depth = resampleDepth(depthBuffer, width, height);
+  const normals = computeNormals(depth, { relief });
+  const heights = toHeightField(depth).data.map(
+    (value) => value * relief * width
+  );
+  const sources = lights.map((light) => ({
+    ...light,
+    position: [light.x * width, light.y * height, light.height * width],
+    rgb: parseColor(light.color),
+    outerCos: Math.cos((light.angle * Math.PI) / 180),
+    innerCos: Math.cos((light.angle * (1 - SPOT_PENUMBRA) * Math.PI) / 180),
+  }));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const point = [x, y, heights[i]];
+      // The normals point up the image; pixel rows run down it
+      const nx = normals[i * 3];
+      const ny = -normals[i * 3 + 1];
+      const nz = normals[i * 3 + 2];
+
+      const light = [ambient, ambient, ambient];
+      sources.forEach((source) => {
+        const dx = source.position[0] - x;
+        const dy = source.position[1] - y;
+        const dz = source.position[2] - point[2];
+        const distance = Math.hypot(dx, dy, dz) || 1;
+        const lambert = (nx * dx + ny * dy + nz * dz) / distance;
+        if (lambert <= 0) return;
+
+        let amount = source.intensity * lambert;
+        // Falloff with the distance in image widths
+        amount /= 1 + 4 * (distance / width) ** 2;
+        if (source.type === "spot") {
+          const cos = dz / distance;
+          if (cos <= source.outerCos) return;
+          const edge =
+            (cos - source.outerCos) / (source.innerCos - source.outerCos);
+          amount *= Math.min(edge, 1);
+        }
+        if (
+          shadowStrength > 0 &&
+          isOccluded(heights, width, height, point, source.position)
+        ) {
+          amount *= 1 - shadowStrength;
+        }
+        for (let c = 0; c < 3; c++) light[c] += amount * source.rgb[c];
+      });
+
+      for (let c = 0; c < 3; c++) {
+        const color =
+          (data[i * 4 + c] / 255) * albedo + PLAIN_ALBEDO * (1 - albedo);
+        data[i * 4 + c] = Math.round(color * light[c] * 255);
+      }
+    }
+  }
+  return relit;
+}
+
+/**
+ * Draws a handle for every light on a preview canvas, filled with the light
+ * colour; the selected light is ringed and spot lights are drawn square.
+ * @param {HTMLCanvasElement} canvas - The preview canvas.
+ * @param {Array<Object>} lights - The lights.
+ * @param {number} selected - Index of the selected light, or -1.
+ */
+export function drawLightHandles(canvas, lights, selected) {
+  const ctx = canvas.getContext("2d");
+  const radius = Math.max(canvas.width, canvas.height) / 60 + 3;
+  lights.forEach((light, index) => {
+    const x = light.x * canvas.width;
+    const y = light.y * canvas.height;
+    ctx.beginPath();
+    if (light.type === "spot") {
+      ctx.rect(x - radius, y - radius, radius * 2, radius * 2);
+    } else {
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+    }
+    ctx.fillStyle = light.color;
+    ctx.fill();
+    ctx.lineWidth = index === selected ? 3 : 1;
+    ctx.strokeStyle = index === selected ? "#1a73e8" : "#000";
+    ctx.stroke();
+  });
+}
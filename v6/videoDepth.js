@@ -0,0 +1,177 @@
+import { TemporalDepthFilter } from "../shared/temporalFilter.js";
+
+/**
+ * Loads a local video file into a muted, seekable video element.
+ * @param {File} file - The video file.
+ * @returns {Promise<HTMLVideoElement>} The video, with metadata loaded.
+ */
+export async function loadVideo(file) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = URL.createObjectURL(file);
+  await new Promise((resolve, reject) => {
+    video.onloadedmetadata = resolve;
+    video.onerror = () => reject(new Error(`Cannot decode ${file.name}.`));
+  });
+  return video;
+}
+
+/**
+ * Seeks a video and waits until the frame at that time is decoded.
+ * @param {HTMLVideoElement} video - The video.
+ * @param {number} time - The time in seconds.
+ * @returns {Promise<void>}
+ */
+export function seekVideo(video, time) {
+  return new Promise((resolve) => {
+    video.addEventListener("seeked", () => resolve(), { once: true });
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Quality of the JPEG copies kept of the sampled video frames.
+ */
+const SOURCE_FRAME_QUALITY = 0.92;
+
+/**
+ * Estimates a temporally filtered depth map for every frame of a video.
+ * Frames are sampled at a fixed rate, scaled down to at most `maxSize` pixels
+ * on the longest side, and processed one at a time. Each sampled frame is
+ * kept as a JPEG, so the sequence shows exactly the frames its depth was
+ * estimated from; seeking the video again may land on a neighbouring frame.
+ * @param {HTMLVideoElement} video - The video from `loadVideo`.
+ * @param {Object} estimator - The depth estimator.
+ * @param {Object} [options] - Sequence options.
+ * @param {number} [options.fps=15] - Frames per second to sample.
+ * @param {number} [options.maxSize=512] - Longest side of the depth frames.
+ * @param {Object} [options.filter] - Options for the TemporalDepthFilter.
+ * @param {Function} [options.onProgress] - Called with (frameIndex, frameCount).
+ * @param {AbortSignal} [options.signal] - Cancels processing.
+ * @returns {Promise<Object>} The sequence: `fps`, `width`, `height`, the
+ * filtered depth `frames`, the `sourceFrames` they were estimated from as
+ * JPEG blobs and their `timestamps` in seconds.
+ */
+export async function estimateDepthSequence(
+  video,
+  estimator,
+  { fps = 15, maxSize = 512, filter = {}, onProgress, signal } = {}
+) {
+  const scale = Math.min(
+    1,
+    maxSize / Math.max(video.videoWidth, video.videoHeight)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  const ctx = canvas.getContext("2d");
+
+  const frameCount = Math.max(1, Math.floor(video.duration * fps));
+  const temporalFilter = new TemporalDepthFilter(filter);
+  const frames = [];
+  const sourceFrames = [];
+  const timestamps = [];
+
+  for (let i = 0; i < frameCount; i++) {
+    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+    await seekVideo(video, i / fps);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    timestamps.push(video.currentTime);
+    sourceFrames.push(
+      await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/jpeg", SOURCE_FRAME_QUALITY)
+      )
+    );
+    const depthBuffer = await estimator.estimate(canvas);
+    frames.push(temporalFilter.apply(depthBuffer));
+    onProgress?.(i + 1, frameCount);
+  }
+
+  return {
+    fps,
+    width: canvas.width,
+    height: canvas.height,
+    frames,
+    sourceFrames,
+    timestamps,
+  };
+}
+
+/**
+ * Draws a source video frame of a sequence, for use as the mesh texture.
+ * @param {Object} sequence - The sequence from `estimateDepthSequence`.
+ * @param {number} index - The frame index.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on; resized to the sequence.
+ * @returns {Promise<HTMLCanvasElement>} The canvas.
+ */
+export async function drawSequenceFrame(sequence, index, canvas) {
+  const bitmap = await createImageBitmap(sequence.sourceFrames[index]);
+  canvas.width = sequence.width;
+  canvas.height = sequence.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * Writes the depth frames as an 8-bit grayscale PNG sequence. Uses a picked
+ * directory where the File System Access API exists, and downloads otherwise.
+ * @param {Object} sequence - The sequence from `estimateDepthSequence`.
+ * @param {Function} downloadBlob - Fallback download function (blob, fileName).
+ * @returns {Promise<void>}
+ */
+export async function exportDepthPNGSequence(sequence, downloadBlob) {
+  const directory = window.showDirectoryPicker
+    ? await window.showDirectoryPicker({ mode: "readwrite" })
+    : null;
+
+  for (let i = 0; i < sequence.frames.length; i++) {
+    const canvas = sequence.frames[i].toCanvas();
+    const png = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/png")
+    );
+    // Numbered like ffmpeg's %05d so the files reassemble in order
+    const fileName = `depth_${String(i + 1).padStart(5, "0")}.png`;
+    if (directory) {
+      const handle = await directory.getFileHandle(fileName, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(png);
+      await writable.close();
+    } else {
+      downloadBlob(png, fileName);
+    }
+  }
+}
+
+/**
+ * Records the depth frames into a WebM video at the sequence frame rate.
+ * Recording runs in real time, so it takes as long as the video.
+ * @param {Object} sequence - The sequence from `estimateDepthSequence`.
+ * @returns {Promise<Blob>} The WebM video.
+ */
+export async function exportDepthWebM(sequence) {
+  const canvas = document.createElement("canvas");
+  canvas.width = sequence.width;
+  canvas.height = sequence.height;
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+  const chunks = [];
+  recorder.ondataavailable = (event) => chunks.push(event.data);
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start();
+  for (const frame of sequence.frames) {
+    frame.drawToCanvas(canvas);
+    track.requestFrame();
+    await new Promise((resolve) => setTimeout(resolve, 1000 / sequence.fps));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+
+  return new Blob(chunks, { type: "video/webm" });
+}
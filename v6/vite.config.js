@@ -1,5 +1,15 @@
 import { defineConfig } from "vite";
 
+// Modules shared by every version live in ../shared, outside the app root;
+// the packages they import resolve from this app
 export default defineConfig({
   base: "/",
+  resolve: {
+    dedupe: ["three"],
+  },
+  server: {
+    fs: {
+      allow: [".", "../shared"],
+    },
+  },
 });
@@ -0,0 +1,454 @@
+// compare.js
+
+import * as tf from "@tensorflow/tfjs";
+import "@tensorflow/tfjs-backend-webgl";
+import * as faceLandmarksDetection from "@tensorflow-models/face-landmarks-detection";
+import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { depthEstimatorConfig, depthEstimationRange } from "./depthConfig.js";
+import { createDepthEstimator, setTensorFlow } from "../shared/estimators.js";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { PIPELINE_VARIANTS, getPipelineVariant } from "./pipelineVariants.js";
+import {
+  computeDepthStats,
+  depthDifference,
+  drawHistogram,
+} from "./depthStats.js";
+
+// The model-based depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel: tf.loadGraphModel, depthEstimation });
+
+/**
+ * Configuration of the comparison page: the models, the size images are
+ * processed at, the variants shown at first and how results are coloured.
+ */
+const comparisonConfiguration = {
+  modelConfig: {
+    detector: {
+      modelType: faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+      runtime: "tfjs",
+      maxFaces: 5,
+      refineLandmarks: false,
+    },
+    depthEstimator: structuredClone(depthEstimatorConfig),
+    depthEstimationRange: { ...depthEstimationRange },
+  },
+  maxImageSize: 512, // Longest side uploads are scaled to before estimation
+  selectedVariants: PIPELINE_VARIANTS.map(({ id }) => id),
+  swipeVariants: ["v2", "v4"], // Shown in the swipe and difference views first
+  histogramBins: 32,
+  colormapConfig: {
+    name: "viridis",
+    differenceName: "magma", // Heat-map of the absolute differences
+  },
+};
+
+/**
+ * The loaded models, the uploaded image scaled for processing, its depth
+ * estimate shared by every variant, the detected faces (null until a variant
+ * needs them) and the result of every selected variant, keyed by id.
+ */
+const compareState = {
+  detector: null,
+  depthEstimator: null,
+  image: null,
+  estimate: null,
+  faces: null,
+  results: new Map(),
+};
+
+/**
+ * Initializes the comparison page: fills the controls and loads the depth
+ * estimator; the face detector is loaded when a variant first needs it.
+ * @async
+ * @function init
+ */
+async function init() {
+  const config = comparisonConfiguration;
+  setupVariantControls(config);
+  setupColormapControls(config);
+  setupSwipeControls(config);
+
+  try {
+    setStatus("Loading the depth model...");
+    const { name, options } = config.modelConfig.depthEstimator;
+    compareState.depthEstimator = await createDepthEstimator(name, {
+      ...options[name],
+      estimationRange: config.modelConfig.depthEstimationRange,
+    });
+    setStatus("Upload an image to compare the pipelines.");
+  } catch (error) {
+    console.error("An error occurred:", error);
+    setStatus(`Could not load the depth model: ${error.message}`);
+    return;
+  }
+
+  document
+    .getElementById("compareFileInput")
+    .addEventListener("change", (event) => {
+      const file = event.target.files[0];
+      if (file) handleUpload(file, config);
+    });
+}
+
+/**
+ * Shows a progress or error message above the results.
+ * @function setStatus
+ * @param {string} message - The message.
+ */
+function setStatus(message) {
+  document.getElementById("compareStatus").textContent = message;
+}
+
+/**
+ * Adds a checkbox per pipeline variant; changing the selection reruns the
+ * comparison on the current estimate.
+ * @function setupVariantControls
+ * @param {Object} config - The configuration object.
+ */
+function setupVariantControls(config) {
+  const container = document.getElementById("variantControls");
+  PIPELINE_VARIANTS.forEach(({ id, label, description }) => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = id;
+    checkbox.checked = config.selectedVariants.includes(id);
+    checkbox.addEventListener("change", () => {
+      config.selectedVariants = Array.from(
+        container.querySelectorAll("input:checked"),
+        (input) => input.value
+      );
+      runComparison(config);
+    });
+
+    const labelElement = document.createElement("label");
+    labelElement.title = description;
+    labelElement.append(checkbox, ` ${label}`);
+    container.append(labelElement);
+  });
+}
+
+/**
+ * Fills the colormap dropdown and redraws the results when the colormap or
+ * the range it spans changes.
+ * @function setupColormapControls
+ * @param {Object} config - The configuration object.
+ */
+function setupColormapControls(config) {
+  const colormapSelect = document.getElementById("compareColormap");
+  COLORMAPS.filter((name) => name !== "custom").forEach((name) =>
+    colormapSelect.add(new Option(name, name))
+  );
+  colormapSelect.value = config.colormapConfig.name;
+  colormapSelect.addEventListener("change", () => {
+    config.colormapConfig.name = colormapSelect.value;
+    renderResults(config);
+  });
+  document
+    .getElementById("stretchColormap")
+    .addEventListener("change", () => renderResults(config));
+}
+
+/**
+ * Wires up the swipe view: the two variant dropdowns and the slider moving
+ * the edge between them.
+ * @function setupSwipeControls
+ * @param {Object} config - The configuration object.
+ */
+function setupSwipeControls(config) {
+  ["swipeSelectA", "swipeSelectB"].forEach((id, index) => {
+    document.getElementById(id).addEventListener("change", (event) => {
+      config.swipeVariants[index] = event.target.value;
+      renderSwipe(config);
+      renderDifference(config);
+    });
+  });
+  document
+    .getElementById("swipeSlider")
+    .addEventListener("input", () => updateSwipeEdge());
+}
+
+/**
+ * Loads an uploaded image scaled down to the processing size, estimates its
+ * depth once and runs the comparison on it.
+ * @async
+ * @function handleUpload
+ * @param {File} file - The uploaded image file.
+ * @param {Object} config - The configuration object.
+ */
+async function handleUpload(file, config) {
+  try {
+    setStatus("Estimating depth...");
+    compareState.image = await loadScaledImage(file, config.maxImageSize);
+    compareState.estimate = await compareState.depthEstimator.estimate(
+      compareState.image
+    );
+    compareState.faces = null;
+    await runComparison(config);
+  } catch (error) {
+    console.error("An error occurred:", error);
+    setStatus(`Could not process the image: ${error.message}`);
+  }
+}
+
+/**
+ * Decodes an image file onto a canvas no larger than the given size.
+ * @async
+ * @function loadScaledImage
+ * @param {File} file - The image file.
+ * @param {number} maxSize - The longest side of the canvas.
+ * @returns {Promise<HTMLCanvasElement>} The canvas holding the image.
+ */
+async function loadScaledImage(file, maxSize) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * Runs the selected variants on the current estimate, detecting faces first
+ * if a selected variant needs them, and shows the results.
+ * @async
+ * @function runComparison
+ * @param {Object} config - The configuration object.
+ */
+async function runComparison(config) {
+  if (!compareState.estimate) return;
+  const variants = config.selectedVariants.map(getPipelineVariant);
+
+  if (variants.some(({ needsFaces }) => needsFaces) && !compareState.faces) {
+    try {
+      setStatus("Detecting faces...");
+      compareState.faces = await detectFaces(compareState.image, config);
+    } catch (error) {
+      console.error("An error occurred:", error);
+      setStatus(`Could not detect faces: ${error.message}`);
+      return;
+    }
+  }
+
+  setStatus("Running the pipelines...");
+  compareState.results.clear();
+  variants.forEach((variant) => {
+    const depthBuffer = variant.process(compareState.estimate, {
+      image: compareState.image,
+      faces: compareState.faces,
+    });
+    compareState.results.set(variant.id, {
+      variant,
+      depthBuffer,
+      stats: computeDepthStats(depthBuffer, { bins: config.histogramBins }),
+    });
+  });
+
+  const { width, height } = compareState.estimate;
+  setStatus(
+    `Compared ${variants.length} pipelines on a ${width}x${height} depth estimate.`
+  );
+  renderResults(config);
+}
+
+/**
+ * Detects the faces in an image, loading the face detector on first use.
+ * @async
+ * @function detectFaces
+ * @param {HTMLCanvasElement} image - The image.
+ * @param {Object} config - The configuration object.
+ * @returns {Promise<Array<Array<Object>>>} The keypoints of every face.
+ */
+async function detectFaces(image, config) {
+  if (!compareState.detector) {
+    compareState.detector = await faceLandmarksDetection.createDetector(
+      config.modelConfig.detector.modelType,
+      config.modelConfig.detector
+    );
+  }
+  const predictions = await compareState.detector.estimateFaces(image, {
+    flipHorizontal: false,
+  });
+  return predictions.map(({ keypoints }) => keypoints);
+}
+
+/**
+ * Creates the colormap a depth buffer is shown with: over [0, 1], so all
+ * variants share one scale, or over the buffer's own range when stretching.
+ * @function getColormap
+ * @param {Object} config - The configuration object.
+ * @param {DepthBuffer} depthBuffer - The depth buffer to show.
+ * @returns {Colormap} The colormap.
+ */
+function getColormap(config, depthBuffer) {
+  const range = document.getElementById("stretchColormap").checked
+    ? depthBuffer.range()
+    : { min: 0, max: 1 };
+  return Colormap.create(config.colormapConfig.name, range);
+}
+
+/**
+ * Shows the current results in the grid, the swipe view and the difference
+ * heat-map.
+ * @function renderResults
+ * @param {Object} config - The configuration object.
+ */
+function renderResults(config) {
+  renderGrid(config);
+  fillSwipeSelects(config);
+  renderSwipe(config);
+  renderDifference(config);
+}
+
+/**
+ * Draws one card per result: the coloured depth, its histogram and its
+ * statistics.
+ * @function renderGrid
+ * @param {Object} config - The configuration object.
+ */
+function renderGrid(config) {
+  const grid = document.getElementById("compareGrid");
+  grid.replaceChildren();
+
+  compareState.results.forEach(({ variant, depthBuffer, stats }) => {
+    const card = document.createElement("div");
+    card.className = "variantCard";
+
+    const title = document.createElement("h3");
+    title.textContent = variant.label;
+    const description = document.createElement("p");
+    description.textContent = variant.description;
+
+    const depthCanvas = depthBuffer.toCanvas(getColormap(config, depthBuffer));
+    const histogramCanvas = document.createElement("canvas");
+    histogramCanvas.className = "histogram";
+    histogramCanvas.width = 256;
+    histogramCanvas.height = 64;
+    drawHistogram(histogramCanvas, stats.histogram);
+
+    const list = document.createElement("dl");
+    [
+      ["Range", `${stats.min.toFixed(3)} to ${stats.max.toFixed(3)}`],
+      ["Mean", stats.mean.toFixed(3)],
+      ["Edge sharpness", stats.edgeSharpness.toFixed(3)],
+    ].forEach(([name, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = name;
+      const detail = document.createElement("dd");
+      detail.textContent = value;
+      list.append(term, detail);
+    });
+
+    card.append(title, description, depthCanvas, histogramCanvas, list);
+    grid.append(card);
+  });
+}
+
+/**
+ * Refills the swipe dropdowns with the current results, keeping the picked
+ * variants where they are still shown.
+ * @function fillSwipeSelects
+ * @param {Object} config - The configuration object.
+ */
+function fillSwipeSelects(config) {
+  const ids = Array.from(compareState.results.keys());
+  ["swipeSelectA", "swipeSelectB"].forEach((id, index) => {
+    const select = document.getElementById(id);
+    select.replaceChildren(
+      ...ids.map(
+        (variantId) =>
+          new Option(
+            compareState.results.get(variantId).variant.label,
+            variantId
+          )
+      )
+    );
+    if (!ids.includes(config.swipeVariants[index])) {
+      config.swipeVariants[index] = ids[Math.min(index, ids.length - 1)];
+    }
+    select.value = config.swipeVariants[index] ?? "";
+  });
+}
+
+/**
+ * Returns the results picked for the swipe and difference views.
+ * @function getSwipeResults
+ * @param {Object} config - The configuration object.
+ * @returns {Array<Object>|null} Results A and B, or null without results.
+ */
+function getSwipeResults(config) {
+  const [a, b] = config.swipeVariants.map((id) => compareState.results.get(id));
+  return a && b ? [a, b] : null;
+}
+
+/**
+ * Draws variants A and B on top of each other for the swipe view.
+ * @function renderSwipe
+ * @param {Object} config - The configuration object.
+ */
+function renderSwipe(config) {
+  const results = getSwipeResults(config);
+  document.getElementById("swipeView").hidden = !results;
+  if (!results) return;
+
+  ["swipeCanvasA", "swipeCanvasB"].forEach((id, index) => {
+    const { depthBuffer } = results[index];
+    depthBuffer.drawToCanvas(
+      document.getElementById(id),
+      getColormap(config, depthBuffer)
+    );
+  });
+  updateSwipeEdge();
+}
+
+/**
+ * Clips variant B to the right of the swipe slider, uncovering A on its left.
+ * @function updateSwipeEdge
+ */
+function updateSwipeEdge() {
+  const position = document.getElementById("swipeSlider").value;
+  document.getElementById(
+    "swipeCanvasB"
+  ).style.clipPath = `inset(0 0 0 ${position}%)`;
+}
+
+/**
+ * Draws the heat-map of the absolute differences between variants A and B,
+ * with a legend spanning up to the largest difference, and their mean.
+ * @function renderDifference
+ * @param {Object} config - The configuration object.
+ */
+function renderDifference(config) {
+  const results = getSwipeResults(config);
+  document.getElementById("differenceView").hidden = !results;
+  if (!results) return;
+
+  const difference = depthDifference(
+    results[0].depthBuffer,
+    results[1].depthBuffer
+  );
+  const { max } = difference.range();
+  const colormap = Colormap.create(config.colormapConfig.differenceName, {
+    min: 0,
+    max: max || 1,
+  });
+  difference.drawToCanvas(
+    document.getElementById("differenceCanvas"),
+    colormap
+  );
+  drawColorbar(document.getElementById("differenceLegend"), colormap, {
+    label: "Absolute difference",
+  });
+
+  const mean =
+    difference.data.reduce((sum, value) => sum + value, 0) /
+    difference.data.length;
+  document.getElementById("differenceStats").textContent = `${
+    results[0].variant.label
+  } vs ${results[1].variant.label}: mean ${mean.toFixed(4)}, max ${max.toFixed(
+    4
+  )}`;
+}
+
+init();
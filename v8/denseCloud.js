@@ -0,0 +1,80 @@
+// denseCloud.js
+
+/**
+ * Converts a vertical field of view into the focal length of a pinhole
+ * camera, in pixels of an image of the given height.
+ * @function getFocalLength
+ * @param {number} height - The image height in pixels.
+ * @param {number} fieldOfView - The vertical field of view in degrees.
+ * @returns {number} The focal length in pixels.
+ */
+export function getFocalLength(height, fieldOfView) {
+  return height / 2 / Math.tan(((fieldOfView / 2) * Math.PI) / 180);
+}
+
+/**
+ * Converts the focal length of a pinhole camera into its vertical field of view.
+ * @function getFieldOfView
+ * @param {number} height - The image height in pixels.
+ * @param {number} focalLength - The focal length in pixels.
+ * @returns {number} The vertical field of view in degrees.
+ */
+export function getFieldOfView(height, focalLength) {
+  return (2 * Math.atan(height / 2 / focalLength) * 180) / Math.PI;
+}
+
+/**
+ * Back-projects every depth pixel through a pinhole camera at the origin
+ * looking down -z, with the principal point in the image centre. Larger depth
+ * is farther, as the estimators return it, and linear in inverse distance:
+ * depth 0 lies at `nearDistance` and depth 1 at `farDistance`. Pixels at or
+ * below `minDepth` are background and skipped.
+ * @function backProjectDepth
+ * @param {DepthBuffer} depthBuffer - The estimated depth.
+ * @param {Object} options - Camera and sampling options.
+ * @param {number} options.focalLength - The focal length in depth buffer pixels.
+ * @param {number} [options.nearDistance=0.5] - The distance of depth 0, in metres.
+ * @param {number} [options.farDistance=1] - The distance of depth 1, in metres.
+ * @param {number} [options.minDepth=0] - The depth at or below which pixels are skipped.
+ * @param {number} [options.step=1] - Keeps every nth pixel along each axis.
+ * @returns {Object} `vertices` (flat x, y, z in metres) and `uvCoordinates`
+ * (flat u, v with v pointing up) of the points, as typed arrays.
+ */
+export function backProjectDepth(
+  depthBuffer,
+  { focalLength, nearDistance = 0.5, farDistance = 1, minDepth = 0, step = 1 }
+) {
+  const { width, height, data } = depthBuffer;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const inverseNear = 1 / nearDistance;
+  const inverseSpan = inverseNear - 1 / farDistance;
+
+  const columns = Math.ceil(width / step);
+  const rows = Math.ceil(height / step);
+  const vertices = new Float32Array(columns * rows * 3);
+  const uvCoordinates = new Float32Array(columns * rows * 2);
+  let count = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const depth = data[y * width + x];
+      if (!(depth > minDepth)) continue;
+
+      // Pixel centres, with image y pointing down and camera y pointing up
+      const distance = 1 / (inverseNear - depth * inverseSpan);
+      const u = (x + 0.5) / width;
+      const v = 1 - (y + 0.5) / height;
+      vertices[count * 3] = ((x + 0.5 - centerX) * distance) / focalLength;
+      vertices[count * 3 + 1] = ((centerY - y - 0.5) * distance) / focalLength;
+      vertices[count * 3 + 2] = -distance;
+      uvCoordinates[count * 2] = u;
+      uvCoordinates[count * 2 + 1] = v;
+      count++;
+    }
+  }
+
+  return {
+    vertices: vertices.slice(0, count * 3),
+    uvCoordinates: uvCoordinates.slice(0, count * 2),
+  };
+}
@@ -0,0 +1,32 @@
+// depthConfig.js
+
+/**
+ * Depth estimator settings shared by the browser app (`chartConfiguration`)
+ * and the headless CLI in `scripts/depthmap.js`. Kept free of browser-only
+ * imports so it can be loaded from Node.
+ *
+ * `name` picks an estimator registered in `shared/estimators.js`; `options`
+ * holds the options each estimator is created with.
+ */
+export const depthEstimatorConfig = {
+  name: "ar-portrait-depth",
+  options: {
+    "ar-portrait-depth": {
+      outputDepthRange: [0, 1],
+    },
+    "graph-model": {
+      modelUrl: "/models/midas/model.json",
+      inputSize: [256, 256],
+    },
+    synthetic: {},
+    "depth-image": {},
+  },
+};
+
+/**
+ * The range estimated depth values are mapped to by `estimateDepth`.
+ */
+export const depthEstimationRange = {
+  minDepth: 0,
+  maxDepth: 1,
+};
@@ -0,0 +1,107 @@
+// depthStats.js
+
+/**
+ * Share of the strongest depth gradients averaged into the edge sharpness.
+ */
+const EDGE_FRACTION = 0.05;
+
+/**
+ * Computes summary statistics of a depth buffer for comparing depth results.
+ * @function computeDepthStats
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {Object} [options] - Statistics options.
+ * @param {number} [options.bins=32] - The number of histogram bins. They
+ * split [0, 1], not the buffer's own range, so histograms of different
+ * buffers line up; values outside fall into the end bins.
+ * @returns {Object} The `min`, `max` and `mean` depth, the `histogram` (a
+ * Uint32Array of pixel counts per bin) and the `edgeSharpness`: the mean
+ * gradient magnitude of the strongest 5% of gradients, as a fraction of the
+ * depth range per pixel. Smoothing lowers it; hard cut-outs raise it.
+ */
+export function computeDepthStats(depthBuffer, { bins = 32 } = {}) {
+  const { width, height, data } = depthBuffer;
+  const { min, max } = depthBuffer.range();
+
+  let sum = 0;
+  const histogram = new Uint32Array(bins);
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i];
+    const bin = Math.floor(data[i] * bins);
+    histogram[Math.min(Math.max(bin, 0), bins - 1)]++;
+  }
+
+  // Central differences, one-sided at the edges
+  const gradients = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(y - 1, 0);
+    const down = Math.min(y + 1, height - 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(x - 1, 0);
+      const right = Math.min(x + 1, width - 1);
+      const dx =
+        (data[y * width + right] - data[y * width + left]) /
+        (right - left || 1);
+      const dy =
+        (data[down * width + x] - data[up * width + x]) / (down - up || 1);
+      gradients[y * width + x] = Math.hypot(dx, dy);
+    }
+  }
+  gradients.sort();
+  const count = Math.max(1, Math.round(gradients.length * EDGE_FRACTION));
+  let edgeSum = 0;
+  for (let i = gradients.length - count; i < gradients.length; i++) {
+    edgeSum += gradients[i];
+  }
+
+  return {
+    min,
+    max,
+    mean: sum / data.length,
+    histogram,
+    edgeSharpness: max > min ? edgeSum / count / (max - min) : 0,
+  };
+}
+
+/**
+ * Computes the absolute per-pixel difference of two depth buffers.
+ * @function depthDifference
+ * @param {DepthBuffer} a - The first depth buffer.
+ * @param {DepthBuffer} b - The second depth buffer, of the same size.
+ * @returns {DepthBuffer} The absolute differences.
+ * @throws Will throw an error if the buffers differ in size.
+ */
+export function depthDifference(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(
+      `Cannot compare a ${a.width}x${a.height} depth buffer with a ${b.width}x${b.height} one.`
+    );
+  }
+  return a.map((depth, i) => Math.abs(depth - b.data[i]));
+}
+
+/**
+ * Draws a histogram as bars filling the canvas. Bar heights follow the square
+ * root of the counts, so a large background bin does not flatten the rest.
+ * @function drawHistogram
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on; its size is kept.
+ * @param {Uint32Array} histogram - The pixel counts per bin.
+ * @param {string} [color="#4363d8"] - The bar colour.
+ */
+export function drawHistogram(canvas, histogram, color = "#4363d8") {
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  const peak = Math.sqrt(Math.max(...histogram)) || 1;
+  const barWidth = width / histogram.length;
+  ctx.fillStyle = color;
+  histogram.forEach((count, bin) => {
+    const barHeight = (Math.sqrt(count) / peak) * height;
+    ctx.fillRect(
+      bin * barWidth,
+      height - barHeight,
+      Math.max(barWidth - 1, 1),
+      barHeight
+    );
+  });
+}
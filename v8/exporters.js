@@ -0,0 +1,215 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+
+/**
+ * Builds a textured Three.js mesh of the face from the landmark vertex data.
+ * Coordinates stay in image pixel units, centred on the image like the 3D scenes.
+ * @function createFaceMesh
+ * @param {HTMLImageElement} image - The input image used as texture.
+ * @param {Object} verticesData - The output of `getVerticesData`.
+ * @returns {THREE.Mesh} The textured face mesh.
+ */
+export function createFaceMesh(image, verticesData) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(verticesData.vertices, 3)
+  );
+  geometry.setAttribute(
+    "uv",
+    new THREE.Float32BufferAttribute(verticesData.uvCoordinates, 2)
+  );
+  geometry.setIndex(verticesData.indices);
+  geometry.computeVertexNormals();
+
+  const texture = new THREE.Texture(image);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    side: THREE.DoubleSide,
+  });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = "FaceMesh";
+  return mesh;
+}
+
+/**
+ * Exports a face mesh as binary glTF (GLB) with the texture embedded.
+ * @async
+ * @function exportFaceGLB
+ * @param {THREE.Mesh} mesh - The mesh created by `createFaceMesh`.
+ * @returns {Promise<Blob>} The GLB file.
+ */
+export async function exportFaceGLB(mesh) {
+  const exporter = new GLTFExporter();
+  const glb = await exporter.parseAsync(mesh, { binary: true });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
+
+/**
+ * Samples an 8-bit RGB colour from the image at each UV coordinate.
+ * @function sampleVertexColors
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Array<number>} uvCoordinates - Flat [u, v, ...] coordinates with v pointing up.
+ * @returns {Uint8Array} Flat [r, g, b, ...] colours, one triplet per vertex.
+ */
+export function sampleVertexColors(image, uvCoordinates) {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, image.width, image.height);
+  const { data } = ctx.getImageData(0, 0, image.width, image.height);
+
+  const colors = new Uint8Array((uvCoordinates.length / 2) * 3);
+  for (let i = 0; i < uvCoordinates.length / 2; i++) {
+    const x = Math.round(uvCoordinates[i * 2] * (image.width - 1));
+    const y = Math.round((1 - uvCoordinates[i * 2 + 1]) * (image.height - 1));
+    const px = Math.min(Math.max(x, 0), image.width - 1);
+    const py = Math.min(Math.max(y, 0), image.height - 1);
+    const offset = (py * image.width + px) * 4;
+    colors[i * 3] = data[offset];
+    colors[i * 3 + 1] = data[offset + 1];
+    colors[i * 3 + 2] = data[offset + 2];
+  }
+  return colors;
+}
+
+/**
+ * Exports a point cloud as PLY with per-vertex colour sampled from the image.
+ * @function exportPointCloudPLY
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Object} verticesData - The output of `getVerticesData` or `backProjectDepth`.
+ * @param {Object} [options] - Export options.
+ * @param {boolean} [options.binary=false] - Write binary little-endian instead of ASCII.
+ * @param {string} [options.comment="face landmark point cloud"] - The header comment.
+ * @returns {Blob} The PLY file.
+ */
+export function exportPointCloudPLY(
+  image,
+  verticesData,
+  { binary = false, comment = "face landmark point cloud" } = {}
+) {
+  const { vertices, uvCoordinates } = verticesData;
+  const colors = sampleVertexColors(image, uvCoordinates);
+  const vertexCount = vertices.length / 3;
+
+  const header = [
+    "ply",
+    `format ${binary ? "binary_little_endian" : "ascii"} 1.0`,
+    `comment ${comment}`,
+    `element vertex ${vertexCount}`,
+    "property float x",
+    "property float y",
+    "property float z",
+    "property uchar red",
+    "property uchar green",
+    "property uchar blue",
+    "end_header",
+    "",
+  ].join("\n");
+
+  if (!binary) {
+    const lines = [];
+    for (let i = 0; i < vertexCount; i++) {
+      lines.push(
+        `${vertices[i * 3]} ${vertices[i * 3 + 1]} ${vertices[i * 3 + 2]} ` +
+          `${colors[i * 3]} ${colors[i * 3 + 1]} ${colors[i * 3 + 2]}`
+      );
+    }
+    return new Blob([header + lines.join("\n") + "\n"], {
+      type: "text/plain",
+    });
+  }
+
+  // 3 floats + 3 bytes per vertex
+  const body = new DataView(new ArrayBuffer(vertexCount * 15));
+  for (let i = 0; i < vertexCount; i++) {
+    const offset = i * 15;
+    body.setFloat32(offset, vertices[i * 3], true);
+    body.setFloat32(offset + 4, vertices[i * 3 + 1], true);
+    body.setFloat32(offset + 8, vertices[i * 3 + 2], true);
+    body.setUint8(offset + 12, colors[i * 3]);
+    body.setUint8(offset + 13, colors[i * 3 + 1]);
+    body.setUint8(offset + 14, colors[i * 3 + 2]);
+  }
+  return new Blob([header, body], { type: "application/octet-stream" });
+}
+
+/**
+ * Exports a point cloud as PCD (Point Cloud Library format) with per-vertex
+ * colour sampled from the image, packed into one `rgb` field as 0x00RRGGBB.
+ * @function exportPointCloudPCD
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Object} verticesData - The output of `getVerticesData` or `backProjectDepth`.
+ * @param {Object} [options] - Export options.
+ * @param {boolean} [options.binary=false] - Write binary little-endian instead of ASCII.
+ * @returns {Blob} The PCD file.
+ */
+export function exportPointCloudPCD(
+  image,
+  verticesData,
+  { binary = false } = {}
+) {
+  const { vertices, uvCoordinates } = verticesData;
+  const colors = sampleVertexColors(image, uvCoordinates);
+  const vertexCount = vertices.length / 3;
+  const packedColor = (i) =>
+    ((colors[i * 3] << 16) | (colors[i * 3 + 1] << 8) | colors[i * 3 + 2]) >>>
+    0;
+
+  const header = [
+    "VERSION 0.7",
+    "FIELDS x y z rgb",
+    "SIZE 4 4 4 4",
+    "TYPE F F F U",
+    "COUNT 1 1 1 1",
+    `WIDTH ${vertexCount}`,
+    "HEIGHT 1",
+    "VIEWPOINT 0 0 0 1 0 0 0",
+    `POINTS ${vertexCount}`,
+    `DATA ${binary ? "binary" : "ascii"}`,
+    "",
+  ].join("\n");
+
+  if (!binary) {
+    const lines = [];
+    for (let i = 0; i < vertexCount; i++) {
+      lines.push(
+        `${vertices[i * 3]} ${vertices[i * 3 + 1]} ${vertices[i * 3 + 2]} ` +
+          packedColor(i)
+      );
+    }
+    return new Blob([header + lines.join("\n") + "\n"], {
+      type: "text/plain",
+    });
+  }
+
+  // 3 floats + 1 packed colour per vertex
+  const body = new DataView(new ArrayBuffer(vertexCount * 16));
+  for (let i = 0; i < vertexCount; i++) {
+    const offset = i * 16;
+    body.setFloat32(offset, vertices[i * 3], true);
+    body.setFloat32(offset + 4, vertices[i * 3 + 1], true);
+    body.setFloat32(offset + 8, vertices[i * 3 + 2], true);
+    body.setUint32(offset + 12, packedColor(i), true);
+  }
+  return new Blob([header, body], { type: "application/octet-stream" });
+}
+
+/**
+ * Triggers a browser download of a blob.
+ * @function downloadBlob
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,190 @@
+// faceFusion.js
+
+/**
+ * Samples the depth buffer under each keypoint. Keypoints are in image pixels,
+ * which are mapped onto the depth buffer in case its size differs.
+ * @function sampleKeypointDepths
+ * @param {DepthBuffer} depthBuffer - The estimated depth.
+ * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Object} imageSize - The `{ width, height }` of the image.
+ * @returns {Float32Array} The depth at each keypoint.
+ */
+function sampleKeypointDepths(depthBuffer, keypoints, imageSize) {
+  const scaleX = depthBuffer.width / imageSize.width;
+  const scaleY = depthBuffer.height / imageSize.height;
+  return Float32Array.from(keypoints, ({ x, y }) =>
+    depthBuffer.sample(x * scaleX, y * scaleY)
+  );
+}
+
+/**
+ * Fits `z = scale * depth + offset` between the landmark z values and the
+ * depth sampled at each keypoint, by least squares over the keypoints that
+ * are not background. The fit brings the dense depth map into landmark units.
+ * @function fitDepthToLandmarks
+ * @param {DepthBuffer} depthBuffer - The estimated depth.
+ * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Object} imageSize - The `{ width, height }` of the image.
+ * @returns {Object} The `scale`, `offset`, the RMS `error` of the fit in
+ * landmark units and the number of keypoints used (`count`). When the depth
+ * under the face is flat or missing, `scale` is 0 and `offset` the mean z.
+ */
+export function fitDepthToLandmarks(depthBuffer, keypoints, imageSize) {
+  const depths = sampleKeypointDepths(depthBuffer, keypoints, imageSize);
+
+  let count = 0;
+  let sumD = 0;
+  let sumZ = 0;
+  let sumDD = 0;
+  let sumDZ = 0;
+  keypoints.forEach(({ z }, i) => {
+    const d = depths[i];
+    if (d === 0) return;
+    count++;
+    sumD += d;
+    sumZ += z;
+    sumDD += d * d;
+    sumDZ += d * z;
+  });
+
+  const meanZ =
+    count > 0
+      ? sumZ / count
+      : keypoints.reduce((sum, { z }) => sum + z, 0) / keypoints.length;
+  const variance = count * sumDD - sumD * sumD;
+  let fit = { scale: 0, offset: meanZ };
+  if (count >= 10 && variance > 1e-9) {
+    const scale = (count * sumDZ - sumD * sumZ) / variance;
+    fit = { scale, offset: (sumZ - scale * sumD) / count };
+  }
+
+  let squaredError = 0;
+  keypoints.forEach(({ z }, i) => {
+    if (depths[i] === 0) return;
+    const residual = z - (fit.scale * depths[i] + fit.offset);
+    squaredError += residual * residual;
+  });
+
+  return {
+    ...fit,
+    error: count > 0 ? Math.sqrt(squaredError / count) : 0,
+    count,
+  };
+}
+
+/**
+ * Tests whether a point lies inside a polygon (even-odd rule).
+ * @function isInsidePolygon
+ * @param {number} x - The point x.
+ * @param {number} y - The point y.
+ * @param {Array<Object>} polygon - The `{ x, y }` polygon corners.
+ * @returns {boolean} Whether the point is inside.
+ */
+function isInsidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.y > y !== b.y > y &&
+      x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Builds a dense face relief: a regular grid mesh inside the outer ring whose
+ * z is the calibrated depth map. The global fit leaves small per-landmark
+ * errors, so the residuals at nearby keypoints are blended in with Gaussian
+ * weights; the relief then passes through the landmarks while keeping the
+ * detail of the depth map between them.
+ * @function createFaceRelief
+ * @param {DepthBuffer} depthBuffer - The estimated depth.
+ * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Object} fit - The fit from `fitDepthToLandmarks`.
+ * @param {Object} imageSize - The `{ width, height }` of the image.
+ * @param {Object} options - Relief options.
+ * @param {Array<number>} options.ringIndices - The outer ring keypoint indices.
+ * @param {number} options.gridStep - Grid spacing in image pixels.
+ * @param {number} options.residualSigma - Radius in pixels over which landmark residuals are blended.
+ * @returns {Object} Vertex data in the layout of `getVerticesData`: vertices,
+ * flat vertices, UV coordinates and indices.
+ */
+export function createFaceRelief(
+  depthBuffer,
+  keypoints,
+  fit,
+  imageSize,
+  { ringIndices, gridStep, residualSigma }
+) {
+  const { width, height } = imageSize;
+  const depths = sampleKeypointDepths(depthBuffer, keypoints, imageSize);
+  const residuals = keypoints.map(({ z }, i) =>
+    depths[i] === 0 ? 0 : z - (fit.scale * depths[i] + fit.offset)
+  );
+
+  const ring = ringIndices.map((idx) => keypoints[idx]);
+  const left = Math.max(0, Math.floor(Math.min(...ring.map(({ x }) => x))));
+  const top = Math.max(0, Math.floor(Math.min(...ring.map(({ y }) => y))));
+  const right = Math.min(width, Math.ceil(Math.max(...ring.map(({ x }) => x))));
+  const bottom = Math.min(
+    height,
+    Math.ceil(Math.max(...ring.map(({ y }) => y)))
+  );
+  const cols = Math.max(0, Math.floor((right - left) / gridStep) + 1);
+  const rows = Math.max(0, Math.floor((bottom - top) / gridStep) + 1);
+
+  const vertices = [];
+  const flatVertices = [];
+  const uvCoordinates = [];
+  const vertexIndex = new Int32Array(cols * rows).fill(-1);
+  const twoSigmaSquared = 2 * residualSigma * residualSigma;
+  const scaleX = depthBuffer.width / width;
+  const scaleY = depthBuffer.height / height;
+
+  for (let row = 0; row < rows; row++) {
+    const y = top + row * gridStep;
+    for (let col = 0; col < cols; col++) {
+      const x = left + col * gridStep;
+      if (!isInsidePolygon(x, y, ring)) continue;
+
+      let weightSum = 0;
+      let residualSum = 0;
+      keypoints.forEach((point, i) => {
+        const dx = point.x - x;
+        const dy = point.y - y;
+        const weight = Math.exp(-(dx * dx + dy * dy) / twoSigmaSquared);
+        weightSum += weight;
+        residualSum += weight * residuals[i];
+      });
+      const correction = weightSum > 1e-6 ? residualSum / weightSum : 0;
+      const z =
+        fit.scale * depthBuffer.sample(x * scaleX, y * scaleY) +
+        fit.offset +
+        correction;
+
+      vertexIndex[row * cols + col] = vertices.length / 3;
+      vertices.push(x - width / 2, -y + height / 2, z);
+      flatVertices.push(x - width / 2, -y + height / 2, 0);
+      uvCoordinates.push(x / width, 1 - y / height);
+    }
+  }
+
+  // Two triangles per grid cell whose corners are all inside the ring
+  const indices = [];
+  for (let row = 0; row < rows - 1; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const a = vertexIndex[row * cols + col];
+      const b = vertexIndex[row * cols + col + 1];
+      const c = vertexIndex[(row + 1) * cols + col];
+      const d = vertexIndex[(row + 1) * cols + col + 1];
+      if (a < 0 || b < 0 || c < 0 || d < 0) continue;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  return { vertices, flatVertices, uvCoordinates, indices };
+}
@@ -0,0 +1,54 @@
+// faceLandmarks.js
+
+/**
+ * Indices of the MediaPipe face mesh landmarks tracing the outline of the
+ * face, in order around it.
+ */
+export const OUTER_RING_INDICES = [
+  10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378,
+  400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21,
+  54, 103, 67, 109,
+];
+
+/**
+ * Rasterizes the outer rings of faces into a coverage mask, with
+ * anti-aliased edges.
+ * @function createFaceMask
+ * @param {Array<Array<Object>>} faces - The keypoints of the faces, in image pixels.
+ * @param {number} width - The mask width.
+ * @param {number} height - The mask height.
+ * @param {Object} [options] - Mask options.
+ * @param {Array<number>} [options.ringIndices=OUTER_RING_INDICES] - The landmarks outlining a face.
+ * @param {number} [options.scaleX=1] - Scales keypoint x to mask pixels.
+ * @param {number} [options.scaleY=1] - Scales keypoint y to mask pixels.
+ * @returns {Float32Array} The coverage of every pixel, 0 outside the faces and 1 inside.
+ */
+export function createFaceMask(
+  faces,
+  width,
+  height,
+  { ringIndices = OUTER_RING_INDICES, scaleX = 1, scaleY = 1 } = {}
+) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  ctx.beginPath();
+  faces.forEach((keypoints) => {
+    ringIndices.forEach((index, i) => {
+      const { x, y } = keypoints[index];
+      if (i === 0) ctx.moveTo(x * scaleX, y * scaleY);
+      else ctx.lineTo(x * scaleX, y * scaleY);
+    });
+    ctx.closePath();
+  });
+  ctx.fill();
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const mask = new Float32Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = data[i * 4 + 3] / 255;
+  }
+  return mask;
+}
@@ -0,0 +1,88 @@
+// frameStats.js
+
+/**
+ * Creates a tracker for live mode frame rate, end-to-end latency and the time
+ * spent in each pipeline stage. All values are exponential moving averages so
+ * the readout stays legible.
+ * @function createFrameStats
+ * @param {Object} [options] - Tracker options.
+ * @param {number} [options.smoothing=0.1] - Weight of the newest sample, from 0 to 1.
+ * @returns {Object} The tracker.
+ */
+export function createFrameStats({ smoothing = 0.1 } = {}) {
+  const stages = new Map();
+  let frameStart = 0;
+  let lastFrameEnd = null;
+  let fps = 0;
+  let latency = 0;
+  let processed = 0;
+  let dropped = 0;
+
+  const smooth = (average, sample) =>
+    average === undefined || average === 0
+      ? sample
+      : average + (sample - average) * smoothing;
+
+  return {
+    /**
+     * Marks the start of processing a frame.
+     * @function beginFrame
+     */
+    beginFrame() {
+      frameStart = performance.now();
+    },
+
+    /**
+     * Runs one pipeline stage and records how long it took.
+     * @async
+     * @function time
+     * @param {string} stage - The stage name shown in the readout.
+     * @param {Function} run - The stage; may return a Promise.
+     * @returns {Promise<*>} The stage result.
+     */
+    async time(stage, run) {
+      const start = performance.now();
+      const result = await run();
+      stages.set(stage, smooth(stages.get(stage), performance.now() - start));
+      return result;
+    },
+
+    /**
+     * Marks the end of processing a frame.
+     * @function endFrame
+     */
+    endFrame() {
+      const now = performance.now();
+      latency = smooth(latency, now - frameStart);
+      if (lastFrameEnd !== null) {
+        fps = smooth(fps, 1000 / Math.max(now - lastFrameEnd, 1));
+      }
+      lastFrameEnd = now;
+      processed++;
+    },
+
+    /**
+     * Counts a source frame that was skipped because the pipeline was busy.
+     * @function dropFrame
+     */
+    dropFrame() {
+      dropped++;
+    },
+
+    /**
+     * Formats the current statistics for display.
+     * @function format
+     * @returns {string} One line for the totals and one per stage.
+     */
+    format() {
+      const lines = [
+        `${fps.toFixed(1)} fps, ${latency.toFixed(0)} ms latency, ` +
+          `${processed} processed, ${dropped} skipped`,
+      ];
+      stages.forEach((ms, stage) => {
+        lines.push(`${stage}: ${ms.toFixed(1)} ms`);
+      });
+      return lines.join("\n");
+    },
+  };
+}
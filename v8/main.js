@@ -7,39 +7,62 @@ import * as depthEstimation from "@tensorflow-models/depth-estimation";
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 import TRIANGULATION from "./TRIANGULATION.json";
+import { depthEstimatorConfig, depthEstimationRange } from "./depthConfig.js";
+import {
+  createDepthEstimator,
+  listEstimators,
+  setTensorFlow,
+} from "../shared/estimators.js";
+import {
+  createFaceMesh,
+  exportFaceGLB,
+  exportPointCloudPLY,
+  exportPointCloudPCD,
+  sampleVertexColors,
+  downloadBlob,
+} from "./exporters.js";
+import { createFrameStats } from "./frameStats.js";
+import { fitDepthToLandmarks, createFaceRelief } from "./faceFusion.js";
+import { subdivideMesh } from "./meshSubdivision.js";
+import { OUTER_RING_INDICES } from "./faceLandmarks.js";
+import { COLORMAPS, Colormap, drawColorbar } from "../shared/colormap.js";
+import { initializeConfigControls } from "../shared/pipelineConfig.js";
+import {
+  backProjectDepth,
+  getFieldOfView,
+  getFocalLength,
+} from "./denseCloud.js";
+
+// The model-based depth estimators run on this app's TensorFlow.js
+setTensorFlow({ tf, loadGraphModel: tf.loadGraphModel, depthEstimation });
 
 /**
  * Generates the configuration for application models, scenes, and overlays based on image dimensions.
  * @param {Object} imageInputDimensions - The dimensions of the input image.
  * @param {number} imageInputDimensions.width - The width of the input image.
  * @param {number} imageInputDimensions.height - The height of the input image.
+ * @param {Object} pipelineConfig - The validated pipeline settings, see `shared/pipelineConfig.js`.
  * @returns {Object} The complete configuration object.
  */
-const chartConfiguration = (imageInputDimensions) => ({
+const chartConfiguration = (imageInputDimensions, pipelineConfig) => ({
   modelConfig: {
     detector: {
       modelType: faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
       runtime: "tfjs",
-      maxFaces: 1,
+      maxFaces: 5,
       refineLandmarks: false,
     },
-    depthEstimator: {
-      modelType: depthEstimation.SupportedModels.ARPortraitDepth,
-      outputDepthRange: [0, 1],
-    },
-    depthEstimationRange: {
-      minDepth: 0,
-      maxDepth: 1,
-    },
+    depthEstimator: structuredClone(depthEstimatorConfig),
+    depthEstimationRange: { ...depthEstimationRange },
   },
   overlayStyles: {
     keypoint: {
-      color: "red",
-      radius: 2,
+      color: pipelineConfig.overlay.keypointColor,
+      radius: pipelineConfig.overlay.keypointRadius,
     },
     outerRing: {
-      color: "blue",
-      lineWidth: 2,
+      color: pipelineConfig.overlay.outerRingColor,
+      lineWidth: pipelineConfig.overlay.outerRingWidth,
     },
     depthMap: {
       inverted: {
@@ -47,13 +70,17 @@ const chartConfiguration = (imageInputDimensions) => ({
       },
     },
     triangulation: {
-      color: "green",
-      lineWidth: 1,
+      color: pipelineConfig.overlay.triangulationColor,
+      lineWidth: pipelineConfig.overlay.triangulationWidth,
     },
+    // With several faces, each face is drawn in its own colour
+    faceColors: ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4"],
+    unfocusedAlpha: 0.3, // Opacity of the other faces while one is focused
+    cropPadding: 8, // Pixels around each per-face masked depth crop
   },
   threeJSConfig: {
     camera: {
-      fieldOfView: 75,
+      fieldOfView: pipelineConfig.rendering.fieldOfView,
       aspectRatio: imageInputDimensions.width / imageInputDimensions.height,
       nearClip: 0.1,
       farClip: 1000,
@@ -77,12 +104,46 @@ const chartConfiguration = (imageInputDimensions) => ({
       color: 0x0000ff,
     },
   },
+  // Densifies the landmark mesh (wireframe, point cloud, exports, and the
+  // textured scene when fusion is off); levels 0 to 3, scheme midpoint or loop
+  subdivisionConfig: {
+    scheme: "loop",
+    levels: 1,
+  },
+  fusionConfig: {
+    enabled: true, // Drive the textured scene with the fused face relief
+    gridStep: 4, // Relief grid spacing in image pixels
+    residualSigma: 12, // Pixels over which landmark residuals are blended in
+  },
+  // Colours the depth and masked depth canvases; the legend spans the
+  // estimation range. Names are listed in COLORMAPS
+  colormapConfig: {
+    name: pipelineConfig.rendering.colormap,
+    customStops: pipelineConfig.rendering.customGradient, // Used by "custom"
+    legendIds: ["depthLegend", "maskedDepthLegend"],
+  },
+  // Back-projects every depth pixel through a pinhole camera into a point
+  // cloud coloured from the image. Depth is read as inverse distance between
+  // nearDistance (depth 0) and farDistance (depth 1), in metres
+  denseCloudConfig: {
+    fieldOfView: null, // Vertical, in degrees; null uses threeJSConfig.camera
+    focalLength: null, // In image pixels; overrides fieldOfView when set
+    nearDistance: 0.5,
+    farDistance: 1,
+    minDepth: 0, // Depths at or below this are background and skipped
+    step: 2, // Keep every nth pixel along each axis
+    pointSize: 2, // In screen pixels
+  },
+  liveConfig: {
+    video: {
+      width: { ideal: 640 },
+      height: { ideal: 480 },
+      facingMode: "user",
+    },
+    depthInterval: 3, // Estimate depth on every nth processed frame
+  },
   landmarkIndices: {
-    outerRing: [
-      10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379,
-      378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127,
-      162, 21, 54, 103, 67, 109,
-    ],
+    outerRing: OUTER_RING_INDICES,
   },
   canvasIds: [
     "outputCanvas",
@@ -96,6 +157,29 @@ const chartConfiguration = (imageInputDimensions) => ({
   ],
 });
 
+/**
+ * The source image, detected faces, depth image and buffer and 3D scenes
+ * currently shown. `focusedFace` is the index of the face picked in the face picker, or
+ * -1 for all faces. Live mode replaces the image and faces and updates the
+ * scenes in place every processed frame. `coloredDepth` caches the depth
+ * buffer drawn with the current `colormap`. `denseCloud` holds the dense
+ * point cloud scene, the `backProjectDepth` output it shows and the depth
+ * buffer that was back-projected.
+ */
+const sceneState = {
+  image: null,
+  faces: [],
+  focusedFace: -1,
+  depthImage: null,
+  depthBuffer: null,
+  colormap: null,
+  coloredDepth: { buffer: null, colormap: null, canvas: null },
+  verticesData: null,
+  scenes: null,
+  texture: null,
+  denseCloud: { scene: null, verticesData: null, depthBuffer: null },
+};
+
 /**
  * Initializes the application by loading models, processing images, drawing overlays, and setting up 3D scenes.
  * @async
@@ -109,11 +193,22 @@ async function init() {
       width: image.width,
       height: image.height,
     };
-    const config = chartConfiguration(imageInputDimensions);
+    const pipelineConfig = await initializeConfigControls();
+    const config = chartConfiguration(imageInputDimensions, pipelineConfig);
+    config.modelConfig.depthEstimator.options[
+      "ar-portrait-depth"
+    ].outputDepthRange = pipelineConfig.model.outputDepthRange;
+    applyEstimatorSelection(config);
+    setupEstimatorControls(config);
 
     const [detector, depthEstimator] = await loadModels(config);
+    setupExportControls();
+    setupFacePicker(config);
+    setupColormapControls(config);
+    setupDenseCloudControls(config);
+    setupLiveControls(detector, depthEstimator, config);
 
-    const { depthImage, predictions } = await processImage(
+    const { depthBuffer, depthImage, predictions } = await processImage(
       image,
       detector,
       depthEstimator,
@@ -125,11 +220,14 @@ async function init() {
       return;
     }
 
-    const keypoints = predictions[0].keypoints;
+    const faces = predictions.map(({ keypoints }) => keypoints);
+    updateFacePicker(faces.length);
+    sceneState.depthImage = depthImage;
+    sceneState.depthBuffer = depthBuffer;
 
-    drawOverlays(image, keypoints, depthImage, config);
+    drawOverlays(image, faces, depthImage, config);
 
-    setupThreeJSScenes(image, keypoints, config);
+    setupThreeJSScenes(image, faces, config);
   } catch (error) {
     console.error("An error occurred:", error);
   }
@@ -148,14 +246,111 @@ async function loadModels(config) {
     config.modelConfig.detector
   );
 
-  const depthEstimator = await depthEstimation.createEstimator(
-    config.modelConfig.depthEstimator.modelType,
-    config.modelConfig.depthEstimator
-  );
+  const { name, options } = config.modelConfig.depthEstimator;
+  const depthEstimator = await createDepthEstimator(name, {
+    ...options[name],
+    estimationRange: config.modelConfig.depthEstimationRange,
+  });
 
   return [detector, depthEstimator];
 }
 
+/**
+ * Applies the depth estimator picked in the page, which is persisted in
+ * localStorage across the reload that follows each change.
+ * @function applyEstimatorSelection
+ * @param {Object} config - The configuration object to update.
+ */
+function applyEstimatorSelection(config) {
+  const { depthEstimator } = config.modelConfig;
+  const name = localStorage.getItem("depthEstimator");
+  const depthImage = localStorage.getItem("uploadedDepthImage");
+  if (depthImage) {
+    depthEstimator.options["depth-image"].url = depthImage;
+  }
+
+  // The depth image estimator is only picked while its image is stored
+  if (
+    name &&
+    depthEstimator.options[name] &&
+    (name !== "depth-image" || depthImage)
+  ) {
+    depthEstimator.name = name;
+  }
+}
+
+/**
+ * Fills the depth model dropdown from the estimator registry and reloads the
+ * page with the new selection, keeping an uploaded input image. Images too
+ * large for localStorage are reported in `#inputError` and the page is kept.
+ * @function setupEstimatorControls
+ * @param {Object} config - The configuration object.
+ */
+function setupEstimatorControls(config) {
+  const estimatorSelect = document.getElementById("estimatorSelect");
+  const depthFileInput = document.getElementById("depthFileInput");
+  const inputError = document.getElementById("inputError");
+  if (!estimatorSelect || !depthFileInput || !inputError) {
+    console.warn("Depth model controls not found.");
+    return;
+  }
+
+  listEstimators().forEach(({ name, label }) => {
+    estimatorSelect.add(new Option(label, name));
+  });
+  estimatorSelect.value = config.modelConfig.depthEstimator.name;
+  depthFileInput.hidden = estimatorSelect.value !== "depth-image";
+
+  // Stores an image data URL, which can exceed the localStorage quota
+  const storeImage = (key, dataURL) => {
+    try {
+      localStorage.setItem(key, dataURL);
+      return true;
+    } catch (error) {
+      console.error(error);
+      inputError.textContent = `The image is too large to keep across the reload: ${error.message}`;
+      inputError.hidden = false;
+      return false;
+    }
+  };
+
+  const reloadWithEstimator = (name) => {
+    const inputImage = document.getElementById("inputImage");
+    if (
+      inputImage.src.startsWith("data:") &&
+      !storeImage("uploadedImage", inputImage.src)
+    ) {
+      estimatorSelect.value = config.modelConfig.depthEstimator.name;
+      depthFileInput.hidden = estimatorSelect.value !== "depth-image";
+      return;
+    }
+    localStorage.setItem("depthEstimator", name);
+    location.reload();
+  };
+
+  estimatorSelect.addEventListener("change", () => {
+    const name = estimatorSelect.value;
+    depthFileInput.hidden = name !== "depth-image";
+    if (name === "depth-image" && !localStorage.getItem("uploadedDepthImage")) {
+      return;
+    }
+    reloadWithEstimator(name);
+  });
+
+  depthFileInput.addEventListener("change", (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      if (storeImage("uploadedDepthImage", e.target.result)) {
+        reloadWithEstimator("depth-image");
+      }
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
 /**
  * Loads an image element by its ID.
  * @function loadImage
@@ -182,9 +377,10 @@ function loadImage(imageId) {
  * @function processImage
  * @param {HTMLImageElement} img - The image to process.
  * @param {Object} detector - The face detector model.
- * @param {Object} depthEstimator - The depth estimator model.
+ * @param {Object} depthEstimator - A depth estimator from the registry.
  * @param {Object} config - The configuration object.
- * @returns {Promise<Object>} An object containing the depth image and face predictions.
+ * @returns {Promise<Object>} An object containing the float depth buffer, its
+ * grayscale depth image and the face predictions.
  * @throws Will throw an error if invalid arguments are passed.
  */
 async function processImage(img, detector, depthEstimator, config) {
@@ -192,18 +388,206 @@ async function processImage(img, detector, depthEstimator, config) {
     throw new Error("Invalid arguments passed to processImage.");
   }
 
-  const depthMap = await depthEstimator.estimateDepth(
-    img,
-    config.modelConfig.depthEstimationRange
-  );
+  const depthBuffer = await depthEstimator.estimate(img);
 
-  const depthImage = await depthMap.toCanvasImageSource();
+  const depthImage = depthBuffer.toCanvas();
 
   const predictions = await detector.estimateFaces(img, {
     flipHorizontal: false,
   });
 
-  return { depthImage, predictions };
+  return { depthBuffer, depthImage, predictions };
+}
+
+/**
+ * State of the live webcam / video mode.
+ */
+const liveState = {
+  running: false,
+  video: null,
+  stream: null,
+  objectUrl: null,
+  frameCanvas: null,
+  depthCanvas: null,
+  hasDepth: false,
+  busy: false,
+  frameIndex: 0,
+  stats: null,
+};
+
+/**
+ * Wires the live mode buttons: start the webcam, play a local video file, or stop.
+ * @function setupLiveControls
+ * @param {Object} detector - The face detector model.
+ * @param {Object} depthEstimator - A depth estimator from the registry.
+ * @param {Object} config - The configuration object.
+ */
+function setupLiveControls(detector, depthEstimator, config) {
+  const webcamButton = document.getElementById("webcamButton");
+  const videoFileInput = document.getElementById("videoFileInput");
+  const stopLiveButton = document.getElementById("stopLiveButton");
+  if (!webcamButton || !videoFileInput || !stopLiveButton) {
+    console.warn("Live mode controls not found.");
+    return;
+  }
+
+  webcamButton.addEventListener("click", async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: config.liveConfig.video,
+        audio: false,
+      });
+      await startLiveMode({ stream }, detector, depthEstimator, config);
+    } catch (error) {
+      console.error("Could not start the webcam:", error);
+    }
+  });
+
+  videoFileInput.addEventListener("change", async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = "";
+    try {
+      await startLiveMode({ file }, detector, depthEstimator, config);
+    } catch (error) {
+      console.error("Could not play the video file:", error);
+    }
+  });
+
+  stopLiveButton.addEventListener("click", () => stopLiveMode());
+}
+
+/**
+ * Starts processing frames from a webcam stream or a local video file.
+ * @async
+ * @function startLiveMode
+ * @param {Object} source - Either `{ stream }` from getUserMedia or `{ file }`.
+ * @param {Object} detector - The face detector model.
+ * @param {Object} depthEstimator - A depth estimator from the registry.
+ * @param {Object} config - The configuration object.
+ * @returns {Promise<void>}
+ */
+async function startLiveMode(source, detector, depthEstimator, config) {
+  stopLiveMode();
+
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  if (source.stream) {
+    video.srcObject = source.stream;
+  } else {
+    liveState.objectUrl = URL.createObjectURL(source.file);
+    video.src = liveState.objectUrl;
+    video.loop = true;
+  }
+  await video.play();
+
+  Object.assign(liveState, {
+    running: true,
+    video,
+    stream: source.stream || null,
+    frameCanvas: liveState.frameCanvas || document.createElement("canvas"),
+    depthCanvas: liveState.depthCanvas || document.createElement("canvas"),
+    hasDepth: false,
+    busy: false,
+    frameIndex: 0,
+    stats: createFrameStats(),
+  });
+  document.getElementById("stopLiveButton").disabled = false;
+
+  // Frames arriving while the previous one is still processing are skipped
+  const onFrame = () => {
+    if (!liveState.running || liveState.video !== video) return;
+    scheduleFrame();
+    if (liveState.busy || video.readyState < 2) {
+      liveState.stats.dropFrame();
+      return;
+    }
+    liveState.busy = true;
+    processLiveFrame(detector, depthEstimator, config)
+      .catch((error) => console.error("Live frame failed:", error))
+      .finally(() => {
+        liveState.busy = false;
+      });
+  };
+  const scheduleFrame = () =>
+    "requestVideoFrameCallback" in video
+      ? video.requestVideoFrameCallback(onFrame)
+      : requestAnimationFrame(onFrame);
+  scheduleFrame();
+}
+
+/**
+ * Stops live mode and releases the camera or video file.
+ * @function stopLiveMode
+ */
+function stopLiveMode() {
+  if (!liveState.running) return;
+  liveState.running = false;
+  liveState.video.pause();
+  liveState.stream?.getTracks().forEach((track) => track.stop());
+  if (liveState.objectUrl) URL.revokeObjectURL(liveState.objectUrl);
+  Object.assign(liveState, { video: null, stream: null, objectUrl: null });
+  document.getElementById("stopLiveButton").disabled = true;
+}
+
+/**
+ * Runs the face and depth pipeline on the current video frame and updates the
+ * overlays and 3D scenes, timing every stage.
+ * @async
+ * @function processLiveFrame
+ * @param {Object} detector - The face detector model.
+ * @param {Object} depthEstimator - A depth estimator from the registry.
+ * @param {Object} config - The configuration object.
+ * @returns {Promise<void>}
+ */
+async function processLiveFrame(detector, depthEstimator, config) {
+  const { video, frameCanvas, depthCanvas, stats } = liveState;
+  stats.beginFrame();
+
+  // Work on a still copy so overlays, texture and landmarks match
+  const frame = await stats.time("capture", () => {
+    if (frameCanvas.width !== video.videoWidth) {
+      frameCanvas.width = video.videoWidth;
+    }
+    if (frameCanvas.height !== video.videoHeight) {
+      frameCanvas.height = video.videoHeight;
+    }
+    frameCanvas.getContext("2d").drawImage(video, 0, 0);
+    return frameCanvas;
+  });
+
+  const predictions = await stats.time("faces", () =>
+    detector.estimateFaces(frame, { flipHorizontal: false })
+  );
+
+  // Depth is the slowest stage, so it is only refreshed every few frames
+  if (
+    !liveState.hasDepth ||
+    liveState.frameIndex % config.liveConfig.depthInterval === 0
+  ) {
+    const depthBuffer = await stats.time("depth", () =>
+      depthEstimator.estimate(frame)
+    );
+    depthBuffer.drawToCanvas(depthCanvas);
+    sceneState.depthBuffer = depthBuffer;
+    liveState.hasDepth = true;
+  }
+  liveState.frameIndex++;
+
+  if (predictions.length > 0) {
+    const faces = predictions.map(({ keypoints }) => keypoints);
+    updateFacePicker(faces.length);
+    sceneState.depthImage = depthCanvas;
+    await stats.time("overlays", () =>
+      drawOverlays(frame, faces, depthCanvas, config)
+    );
+    await stats.time("3d", () => updateThreeJSScenes(frame, faces, config));
+  }
+
+  stats.endFrame();
+  const statsOutput = document.getElementById("liveStats");
+  if (statsOutput) statsOutput.textContent = stats.format();
 }
 
 /**
@@ -230,15 +614,231 @@ function getCanvasContexts(canvasIds, width, height) {
   return contexts;
 }
 
+/**
+ * Wires the face picker, which focuses the overlays, 3D scenes and exports on
+ * one face or shows all of them.
+ * @function setupFacePicker
+ * @param {Object} config - The configuration object.
+ */
+function setupFacePicker(config) {
+  const faceSelect = document.getElementById("faceSelect");
+  if (!faceSelect) {
+    console.warn("Face picker not found.");
+    return;
+  }
+  faceSelect.addEventListener("change", () =>
+    focusFace(parseInt(faceSelect.value, 10), config)
+  );
+}
+
+/**
+ * Fills the colormap dropdown and wires it and the custom gradient input to
+ * recolour the depth canvases and legends. An invalid custom gradient is
+ * reported on its input and the current colormap is kept.
+ * @function setupColormapControls
+ * @param {Object} config - The configuration object.
+ */
+function setupColormapControls(config) {
+  const colormapSelect = document.getElementById("colormapSelect");
+  const customGradient = document.getElementById("customGradient");
+  if (!colormapSelect || !customGradient) {
+    console.warn("Colormap controls not found.");
+    return;
+  }
+
+  COLORMAPS.forEach((name) => colormapSelect.add(new Option(name, name)));
+  colormapSelect.value = config.colormapConfig.name;
+  customGradient.value = config.colormapConfig.customStops;
+
+  const applyColormap = () => {
+    customGradient.hidden = colormapSelect.value !== "custom";
+    try {
+      setColormap(config, colormapSelect.value, customGradient.value);
+      customGradient.setCustomValidity("");
+    } catch (error) {
+      customGradient.setCustomValidity(error.message);
+      customGradient.reportValidity();
+      return;
+    }
+
+    const { image, faces, depthImage } = sceneState;
+    if (image && faces.length > 0) {
+      drawOverlays(image, faces, depthImage, config);
+    }
+  };
+  colormapSelect.addEventListener("change", applyColormap);
+  customGradient.addEventListener("change", applyColormap);
+  applyColormap();
+}
+
+/**
+ * Switches the depth colormap and redraws the legends. The colormap spans
+ * the depth estimation range.
+ * @function setColormap
+ * @param {Object} config - The configuration object.
+ * @param {string} name - One of `COLORMAPS`.
+ * @param {string} customStops - The gradient stops for "custom".
+ * @throws Will throw an error for an unknown name or invalid custom stops.
+ */
+function setColormap(config, name, customStops) {
+  const { minDepth, maxDepth } = config.modelConfig.depthEstimationRange;
+  sceneState.colormap = Colormap.create(
+    name,
+    { min: minDepth, max: maxDepth },
+    customStops
+  );
+  Object.assign(config.colormapConfig, { name, customStops });
+
+  config.colormapConfig.legendIds.forEach((id) => {
+    const legend = document.getElementById(id);
+    if (legend) drawColorbar(legend, sceneState.colormap);
+  });
+}
+
+/**
+ * Returns the depth buffer drawn with the current colormap, redrawing it only
+ * when the buffer or colormap changed. Falls back to the grayscale depth
+ * image until both are set.
+ * @function getColoredDepthImage
+ * @param {CanvasImageSource} depthImage - The grayscale depth image.
+ * @returns {CanvasImageSource} The coloured depth image.
+ */
+function getColoredDepthImage(depthImage) {
+  const { depthBuffer, colormap, coloredDepth } = sceneState;
+  if (!depthBuffer || !colormap) return depthImage;
+
+  if (
+    coloredDepth.buffer !== depthBuffer ||
+    coloredDepth.colormap !== colormap
+  ) {
+    if (!coloredDepth.canvas) {
+      coloredDepth.canvas = document.createElement("canvas");
+    }
+    depthBuffer.drawToCanvas(coloredDepth.canvas, colormap);
+    Object.assign(coloredDepth, { buffer: depthBuffer, colormap });
+  }
+  return coloredDepth.canvas;
+}
+
+/**
+ * Lists one face picker option per detected face, keeping the selection if
+ * that face is still there.
+ * @function updateFacePicker
+ * @param {number} faceCount - The number of detected faces.
+ */
+function updateFacePicker(faceCount) {
+  const faceSelect = document.getElementById("faceSelect");
+  if (!faceSelect || faceSelect.options.length === faceCount + 1) return;
+
+  faceSelect.replaceChildren(new Option("All faces", "-1"));
+  for (let i = 0; i < faceCount; i++) {
+    faceSelect.add(new Option(`Face ${i + 1}`, String(i)));
+  }
+  if (sceneState.focusedFace >= faceCount) sceneState.focusedFace = -1;
+  faceSelect.value = String(sceneState.focusedFace);
+}
+
+/**
+ * Focuses one face, or all faces with -1: redraws the overlays, rebuilds the
+ * 3D geometry and centres the scene cameras on the shown faces.
+ * @function focusFace
+ * @param {number} faceIndex - The face index, or -1 for all faces.
+ * @param {Object} config - The configuration object.
+ */
+function focusFace(faceIndex, config) {
+  sceneState.focusedFace = faceIndex;
+  const faceSelect = document.getElementById("faceSelect");
+  if (faceSelect) faceSelect.value = String(faceIndex);
+
+  const { image, faces, depthImage, scenes } = sceneState;
+  if (!image || faces.length === 0) return;
+
+  drawOverlays(image, faces, depthImage, config);
+  updateThreeJSScenes(image, faces, config);
+
+  // Centre on the visible faces, keeping each camera's orbit offset
+  const { vertices } = sceneState.verticesData;
+  const center = new THREE.Vector3();
+  for (let i = 0; i < vertices.length; i += 3) {
+    center.x += vertices[i];
+    center.y += vertices[i + 1];
+  }
+  center.multiplyScalar(3 / vertices.length);
+  Object.values(scenes).forEach((sceneObj) => {
+    if (!sceneObj) return;
+    const offset = center.clone().sub(sceneObj.controls.target).setZ(0);
+    sceneObj.camera.position.add(offset);
+    sceneObj.controls.target.add(offset);
+  });
+}
+
+/**
+ * Returns the faces to show: only the focused face if one is picked and still
+ * detected, otherwise all of them.
+ * @function getVisibleFaces
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @returns {Array<Object>} The `{ keypoints, faceIndex }` of each visible face.
+ */
+function getVisibleFaces(faces) {
+  const { focusedFace } = sceneState;
+  if (focusedFace >= 0 && focusedFace < faces.length) {
+    return [{ keypoints: faces[focusedFace], faceIndex: focusedFace }];
+  }
+  return faces.map((keypoints, faceIndex) => ({ keypoints, faceIndex }));
+}
+
+/**
+ * Picks the colour of a face. A single face keeps the colour configured for
+ * the overlay or scene; several faces are told apart by the face palette.
+ * @function getFaceColor
+ * @param {Object} config - The configuration object.
+ * @param {number} faceIndex - The face index.
+ * @param {number} faceCount - The number of detected faces.
+ * @param {string|number} singleFaceColor - The colour used when there is one face.
+ * @returns {string|number} A CSS colour or a hex number.
+ */
+function getFaceColor(config, faceIndex, faceCount, singleFaceColor) {
+  if (faceCount <= 1) return singleFaceColor;
+  const { faceColors } = config.overlayStyles;
+  return faceColors[faceIndex % faceColors.length];
+}
+
+/**
+ * Runs a drawing function for every face, in its own colour. While a face is
+ * focused the other faces are drawn faded.
+ * @function forEachFace
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @param {Object} config - The configuration object.
+ * @param {string} singleFaceColor - The colour used when there is one face.
+ * @param {Function} draw - Called with (keypoints, color, faceIndex).
+ */
+function forEachFace(ctx, faces, config, singleFaceColor, draw) {
+  const { focusedFace } = sceneState;
+  faces.forEach((keypoints, faceIndex) => {
+    ctx.save();
+    if (focusedFace >= 0 && focusedFace < faces.length) {
+      ctx.globalAlpha =
+        faceIndex === focusedFace ? 1 : config.overlayStyles.unfocusedAlpha;
+    }
+    draw(
+      keypoints,
+      getFaceColor(config, faceIndex, faces.length, singleFaceColor),
+      faceIndex
+    );
+    ctx.restore();
+  });
+}
+
 /**
  * Draws various overlays on the image such as keypoints, outer ring, depth maps, and triangulation.
  * @function drawOverlays
  * @param {HTMLImageElement} image - The image on which to draw overlays.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {CanvasImageSource} depthImage - The depth image.
  * @param {Object} config - The configuration object.
  */
-function drawOverlays(image, keypoints, depthImage, config) {
+function drawOverlays(image, faces, depthImage, config) {
   const contexts = getCanvasContexts(
     config.canvasIds,
     image.width,
@@ -259,88 +859,95 @@ function drawOverlays(image, keypoints, depthImage, config) {
     }
   });
 
-  drawKeypoints(contexts.outputCanvas, keypoints, config);
-  drawOuterRing(contexts.outerRingCanvas, image, keypoints, config);
-  drawDepthMap(contexts.depthCanvas, depthImage, config);
-  drawMaskedDepthMap(contexts.maskedDepthCanvas, depthImage, keypoints, config);
+  drawKeypoints(contexts.outputCanvas, faces, config);
+  drawOuterRing(contexts.outerRingCanvas, image, faces, config);
+  const coloredDepthImage = getColoredDepthImage(depthImage);
+  drawDepthMap(contexts.depthCanvas, coloredDepthImage, config);
   invertCanvasImage(contexts.invertedDepthCanvas, depthImage, config);
+
+  // The inverted views stay grayscale, so the masked depth is inverted
+  // before it is coloured
+  drawMaskedDepthMap(contexts.maskedDepthCanvas, depthImage, faces, config);
   invertCanvasImage(
     contexts.invertedMaskedDepthCanvas,
     contexts.maskedDepthCanvas.canvas,
     config
   );
-  drawTriangulation(contexts.triangulationCanvas, image, keypoints, config);
-  drawCombinedOverlay(contexts.combinedOverlayCanvas, image, keypoints, config);
+  drawMaskedDepthMap(
+    contexts.maskedDepthCanvas,
+    coloredDepthImage,
+    faces,
+    config
+  );
+  drawTriangulation(contexts.triangulationCanvas, image, faces, config);
+  drawCombinedOverlay(contexts.combinedOverlayCanvas, image, faces, config);
+  drawFaceCrops("faceCropsContainer", image, depthImage, faces, config);
 }
 
 /**
  * Draws facial keypoints on the given canvas context.
  * @function drawKeypoints
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
  */
-function drawKeypoints(ctx, keypoints, config) {
+function drawKeypoints(ctx, faces, config) {
   const { color, radius } = config.overlayStyles.keypoint;
-  ctx.fillStyle = color;
-  keypoints.forEach(({ x, y }) => {
-    ctx.beginPath();
-    ctx.arc(x, y, radius, 0, 2 * Math.PI);
-    ctx.fill();
+  forEachFace(ctx, faces, config, color, (keypoints, faceColor) => {
+    ctx.fillStyle = faceColor;
+    keypoints.forEach(({ x, y }) => {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      ctx.fill();
+    });
   });
 }
 
 /**
- * Creates a path for the outer ring based on keypoints.
+ * Creates a path for the outer ring based on keypoints, with one closed
+ * subpath per face.
  * @function createOuterRingPath
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of the faces to include.
  * @param {Object} config - The configuration object.
  */
-function createOuterRingPath(ctx, keypoints, config) {
-  const startIdx = config.landmarkIndices.outerRing[0];
-  const startPoint = keypoints[startIdx];
+function createOuterRingPath(ctx, faces, config) {
   ctx.beginPath();
-  ctx.moveTo(startPoint.x, startPoint.y);
-
-  config.landmarkIndices.outerRing.slice(1).forEach((idx) => {
-    const point = keypoints[idx];
-    ctx.lineTo(point.x, point.y);
+  faces.forEach((keypoints) => {
+    const startIdx = config.landmarkIndices.outerRing[0];
+    const startPoint = keypoints[startIdx];
+    ctx.moveTo(startPoint.x, startPoint.y);
+
+    config.landmarkIndices.outerRing.slice(1).forEach((idx) => {
+      const point = keypoints[idx];
+      ctx.lineTo(point.x, point.y);
+    });
+    ctx.closePath();
   });
-  ctx.closePath();
 }
 
 /**
- * Draws the outer ring around the face on the given canvas context.
+ * Draws the outer ring around each face on the given canvas context.
  * @function drawOuterRing
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
  * @param {HTMLImageElement} image - The image on which to draw.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
  */
-function drawOuterRing(ctx, image, keypoints, config) {
+function drawOuterRing(ctx, image, faces, config) {
   const { color, lineWidth } = config.overlayStyles.outerRing;
 
   // Clear the canvas and draw the image background first
   ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
   ctx.drawImage(image, 0, 0, image.width, image.height);
 
-  // Set stroke style for the outer ring
-  ctx.strokeStyle = color;
-  ctx.lineWidth = lineWidth;
-
   // Draw the outer ring based on the configured indices
-  ctx.beginPath();
-  const startIdx = config.landmarkIndices.outerRing[0];
-  const startPoint = keypoints[startIdx];
-  ctx.moveTo(startPoint.x, startPoint.y);
-
-  config.landmarkIndices.outerRing.slice(1).forEach((idx) => {
-    const point = keypoints[idx];
-    ctx.lineTo(point.x, point.y);
+  forEachFace(ctx, faces, config, color, (keypoints, faceColor) => {
+    ctx.strokeStyle = faceColor;
+    ctx.lineWidth = lineWidth;
+    createOuterRingPath(ctx, [keypoints], config);
+    ctx.stroke();
   });
-  ctx.closePath();
-  ctx.stroke();
 }
 
 /**
@@ -356,24 +963,86 @@ function drawDepthMap(ctx, depthImage, config) {
 }
 
 /**
- * Draws the masked depth map within the outer ring on the given canvas context.
+ * Draws the masked depth map within the outer rings of the visible faces on
+ * the given canvas context.
  * @function drawMaskedDepthMap
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
  * @param {CanvasImageSource} depthImage - The depth image.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
  */
-function drawMaskedDepthMap(ctx, depthImage, keypoints, config) {
+function drawMaskedDepthMap(ctx, depthImage, faces, config) {
   ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
   ctx.save();
 
-  createOuterRingPath(ctx, keypoints, config);
+  createOuterRingPath(
+    ctx,
+    getVisibleFaces(faces).map(({ keypoints }) => keypoints),
+    config
+  );
   ctx.clip();
 
   ctx.drawImage(depthImage, 0, 0, ctx.canvas.width, ctx.canvas.height);
   ctx.restore();
 }
 
+/**
+ * Draws one masked depth crop per face into a container, cropped to the
+ * bounding box of the face's outer ring and framed in the face colour.
+ * Clicking a crop focuses that face. Canvases are reused between frames.
+ * @function drawFaceCrops
+ * @param {string} containerId - The ID of the HTML container element.
+ * @param {HTMLImageElement} image - The image the faces were detected in.
+ * @param {CanvasImageSource} depthImage - The depth image.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @param {Object} config - The configuration object.
+ */
+function drawFaceCrops(containerId, image, depthImage, faces, config) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  while (container.children.length > faces.length) {
+    container.lastChild.remove();
+  }
+  while (container.children.length < faces.length) {
+    const canvas = document.createElement("canvas");
+    const faceIndex = container.children.length;
+    canvas.title = `Face ${faceIndex + 1}`;
+    canvas.addEventListener("click", () => focusFace(faceIndex, config));
+    container.appendChild(canvas);
+  }
+
+  const { color } = config.overlayStyles.outerRing;
+  const { cropPadding } = config.overlayStyles;
+  faces.forEach((keypoints, faceIndex) => {
+    const ring = config.landmarkIndices.outerRing.map((idx) => keypoints[idx]);
+    const left = Math.floor(Math.min(...ring.map(({ x }) => x)) - cropPadding);
+    const top = Math.floor(Math.min(...ring.map(({ y }) => y)) - cropPadding);
+    const right = Math.ceil(Math.max(...ring.map(({ x }) => x)) + cropPadding);
+    const bottom = Math.ceil(Math.max(...ring.map(({ y }) => y)) + cropPadding);
+
+    const canvas = container.children[faceIndex];
+    canvas.width = Math.max(1, right - left);
+    canvas.height = Math.max(1, bottom - top);
+    canvas.style.borderColor = getFaceColor(
+      config,
+      faceIndex,
+      faces.length,
+      color
+    );
+    canvas.classList.toggle("focused", faceIndex === sceneState.focusedFace);
+
+    // Shift the ring into crop coordinates, clip, then draw the depth image
+    const ctx = canvas.getContext("2d");
+    ctx.save();
+    ctx.translate(-left, -top);
+    createOuterRingPath(ctx, [keypoints], config);
+    ctx.clip();
+    ctx.drawImage(depthImage, 0, 0, image.width, image.height);
+    ctx.restore();
+  });
+}
+
 /**
  * Inverts the colors of the image drawn on the canvas context.
  * @function invertCanvasImage
@@ -392,34 +1061,36 @@ function invertCanvasImage(ctx, source, config) {
 }
 
 /**
- * Draws the triangulation overlay on the given canvas context.
+ * Draws the triangulation overlay of each face on the given canvas context.
  * @function drawTriangulation
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
  * @param {HTMLImageElement} image - The image on which to draw.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
  */
-function drawTriangulation(ctx, image, keypoints, config) {
+function drawTriangulation(ctx, image, faces, config) {
   const { color, lineWidth } = config.overlayStyles.triangulation;
 
   ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
   ctx.drawImage(image, 0, 0, ctx.canvas.width, ctx.canvas.height);
 
-  ctx.strokeStyle = color;
-  ctx.lineWidth = lineWidth;
-
-  for (let i = 0; i < TRIANGULATION.length; i += 3) {
-    const point1 = keypoints[TRIANGULATION[i]];
-    const point2 = keypoints[TRIANGULATION[i + 1]];
-    const point3 = keypoints[TRIANGULATION[i + 2]];
-
-    ctx.beginPath();
-    ctx.moveTo(point1.x, point1.y);
-    ctx.lineTo(point2.x, point2.y);
-    ctx.lineTo(point3.x, point3.y);
-    ctx.closePath();
-    ctx.stroke();
-  }
+  forEachFace(ctx, faces, config, color, (keypoints, faceColor) => {
+    ctx.strokeStyle = faceColor;
+    ctx.lineWidth = lineWidth;
+
+    for (let i = 0; i < TRIANGULATION.length; i += 3) {
+      const point1 = keypoints[TRIANGULATION[i]];
+      const point2 = keypoints[TRIANGULATION[i + 1]];
+      const point3 = keypoints[TRIANGULATION[i + 2]];
+
+      ctx.beginPath();
+      ctx.moveTo(point1.x, point1.y);
+      ctx.lineTo(point2.x, point2.y);
+      ctx.lineTo(point3.x, point3.y);
+      ctx.closePath();
+      ctx.stroke();
+    }
+  });
 }
 
 /**
@@ -427,41 +1098,43 @@ function drawTriangulation(ctx, image, keypoints, config) {
  * @function drawCombinedOverlay
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D context.
  * @param {HTMLImageElement} image - The image on which to draw.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
  */
-function drawCombinedOverlay(ctx, image, keypoints, config) {
+function drawCombinedOverlay(ctx, image, faces, config) {
   ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
   // Draw the background image first to prevent zooming issues
   ctx.drawImage(image, 0, 0, image.width, image.height);
 
   // Draw the triangulation overlay
-  drawTriangulation(ctx, image, keypoints, config);
+  drawTriangulation(ctx, image, faces, config);
 
   // Draw the outer ring after triangulation to ensure correct layering
-  drawOuterRing(ctx, image, keypoints, config);
+  drawOuterRing(ctx, image, faces, config);
 
   // Draw keypoints last to make sure they’re on top of other elements
-  drawKeypoints(ctx, keypoints, config);
+  drawKeypoints(ctx, faces, config);
 }
 
 /**
  * Sets up the Three.js 3D scenes for wireframe, textured mesh, point cloud, and frame rim.
  * @function setupThreeJSScenes
  * @param {HTMLImageElement} image - The input image.
- * @param {Array<Object>} keypoints - The facial keypoints.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
  * @param {Object} config - The configuration object.
+ * @returns {Object} The vertex data the scenes were built from.
  */
-function setupThreeJSScenes(image, keypoints, config) {
-  const verticesData = getVerticesData(image, keypoints);
+function setupThreeJSScenes(image, faces, config) {
+  const verticesData = getLandmarkVerticesData(image, faces, config);
+  const surfaceData = getSurfaceData(image, faces, verticesData, config);
 
   const wireframeScene = createThreeJSScene(
     "wireframeContainer",
     verticesData.vertices,
     verticesData.uvCoordinates,
     verticesData.indices,
-    { color: config.overlayStyles.triangulation.color, wireframe: true },
+    { vertexColors: true, wireframe: true },
     config
   );
 
@@ -470,9 +1143,9 @@ function setupThreeJSScenes(image, keypoints, config) {
 
   const texturedScene = createThreeJSScene(
     "texturedContainer",
-    verticesData.vertices,
-    verticesData.uvCoordinates,
-    verticesData.indices,
+    surfaceData.vertices,
+    surfaceData.uvCoordinates,
+    surfaceData.indices,
     { map: texture, side: THREE.DoubleSide },
     config
   );
@@ -485,17 +1158,283 @@ function setupThreeJSScenes(image, keypoints, config) {
 
   const frameRimScene = createFrameRimScene(
     "frameRimContainer",
-    verticesData.vertices,
+    verticesData,
     config.landmarkIndices.outerRing,
     config
   );
 
-  animateScenes([
+  const scenes = {
     wireframeScene,
     texturedScene,
     pointCloudScene,
     frameRimScene,
-  ]);
+  };
+  writeSceneColors(scenes, verticesData, faces.length, config);
+
+  // Kept apart from the landmark scenes, which are centred on the faces
+  const denseCloudScene = createDenseCloudScene("denseCloudContainer", config);
+  sceneState.denseCloud.scene = denseCloudScene;
+  updateDenseCloud(image, config);
+
+  animateScenes([...Object.values(scenes), denseCloudScene]);
+
+  Object.assign(sceneState, {
+    image,
+    faces,
+    verticesData,
+    scenes,
+    texture,
+  });
+  setExportButtonsEnabled(true);
+
+  return verticesData;
+}
+
+/**
+ * Updates the existing 3D scenes with new faces by rewriting their geometry
+ * buffers (in place while the number of visible faces stays the same),
+ * creating the scenes on first use.
+ * @function updateThreeJSScenes
+ * @param {HTMLImageElement|HTMLCanvasElement} image - The image the keypoints were detected in.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @param {Object} config - The configuration object.
+ */
+function updateThreeJSScenes(image, faces, config) {
+  if (!sceneState.scenes) {
+    setupThreeJSScenes(image, faces, config);
+    return;
+  }
+
+  const { scenes, texture } = sceneState;
+  if (
+    image.width !== sceneState.image.width ||
+    image.height !== sceneState.image.height
+  ) {
+    resizeScenes(
+      [...Object.values(scenes), sceneState.denseCloud.scene],
+      image.width,
+      image.height
+    );
+  }
+
+  const verticesData = getLandmarkVerticesData(image, faces, config);
+  const { vertices } = verticesData;
+  const surfaceData = getSurfaceData(image, faces, verticesData, config);
+  [
+    [scenes.wireframeScene, verticesData],
+    [scenes.texturedScene, surfaceData],
+  ].forEach(([sceneObj, data]) => {
+    if (!sceneObj) return;
+    writeAttribute(sceneObj.geometry, "position", data.vertices, 3);
+    writeAttribute(sceneObj.geometry, "uv", data.uvCoordinates, 2);
+    // The relief changes shape every frame, so its index is always rewritten
+    if (
+      data !== verticesData ||
+      sceneObj.geometry.index?.count !== data.indices.length
+    ) {
+      sceneObj.geometry.setIndex(data.indices);
+    }
+  });
+  if (scenes.pointCloudScene) {
+    writeAttribute(scenes.pointCloudScene.geometry, "position", vertices, 3);
+  }
+  if (scenes.frameRimScene) {
+    writeAttribute(
+      scenes.frameRimScene.geometry,
+      "position",
+      getRingPositions(
+        vertices,
+        config.landmarkIndices.outerRing,
+        verticesData.faceRanges
+      ),
+      3
+    );
+  }
+  writeSceneColors(scenes, verticesData, faces.length, config);
+  // Back-projecting is costly, so the cloud is only rebuilt for new depth
+  if (sceneState.denseCloud.depthBuffer !== sceneState.depthBuffer) {
+    updateDenseCloud(image, config);
+  }
+
+  texture.image = image;
+  texture.needsUpdate = true;
+
+  sceneState.image = image;
+  sceneState.faces = faces;
+  sceneState.verticesData = verticesData;
+}
+
+/**
+ * Colours the wireframe, point cloud and frame rim vertices by face.
+ * @function writeSceneColors
+ * @param {Object} scenes - The scene objects from `setupThreeJSScenes`.
+ * @param {Object} verticesData - The output of `getFacesVerticesData`.
+ * @param {number} faceCount - The number of detected faces.
+ * @param {Object} config - The configuration object.
+ */
+function writeSceneColors(scenes, verticesData, faceCount, config) {
+  const ringLength = config.landmarkIndices.outerRing.length;
+  const vertexColors = (singleFaceColor, verticesPerFace) => {
+    const colors = [];
+    const color = new THREE.Color();
+    verticesData.faceRanges.forEach(({ faceIndex, count }) => {
+      color.set(getFaceColor(config, faceIndex, faceCount, singleFaceColor));
+      const faceVertices = verticesPerFace ?? count;
+      for (let i = 0; i < faceVertices; i++) {
+        colors.push(color.r, color.g, color.b);
+      }
+    });
+    return colors;
+  };
+
+  if (scenes.wireframeScene) {
+    writeAttribute(
+      scenes.wireframeScene.geometry,
+      "color",
+      vertexColors(config.overlayStyles.triangulation.color),
+      3
+    );
+  }
+  if (scenes.pointCloudScene) {
+    writeAttribute(
+      scenes.pointCloudScene.geometry,
+      "color",
+      vertexColors(config.threeJSConfig.pointCloud.color),
+      3
+    );
+  }
+  if (scenes.frameRimScene) {
+    // Two line segment ends per ring point
+    writeAttribute(
+      scenes.frameRimScene.geometry,
+      "color",
+      vertexColors(config.threeJSConfig.frameRim.color, ringLength * 2),
+      3
+    );
+  }
+}
+
+/**
+ * Overwrites a geometry attribute with new values, replacing the attribute
+ * when the number of values changed (e.g. when a face appears or leaves).
+ * @function writeAttribute
+ * @param {THREE.BufferGeometry} geometry - The geometry to update.
+ * @param {string} name - The attribute name.
+ * @param {Array<number>} values - The new flat attribute values.
+ * @param {number} itemSize - The number of values per vertex.
+ */
+function writeAttribute(geometry, name, values, itemSize) {
+  const attribute = geometry.getAttribute(name);
+  if (attribute && attribute.array.length === values.length) {
+    attribute.array.set(values);
+    attribute.needsUpdate = true;
+  } else {
+    geometry.setAttribute(
+      name,
+      new THREE.Float32BufferAttribute(values, itemSize)
+    );
+  }
+  if (name === "position") geometry.computeBoundingSphere();
+}
+
+/**
+ * Resizes the renderers and camera aspect ratios of the 3D scenes.
+ * @function resizeScenes
+ * @param {Array<Object>} scenes - Scene objects containing renderer and camera.
+ * @param {number} width - The new width in pixels.
+ * @param {number} height - The new height in pixels.
+ */
+function resizeScenes(scenes, width, height) {
+  scenes.forEach((sceneObj) => {
+    if (!sceneObj) return;
+    sceneObj.renderer.setSize(width, height);
+    sceneObj.camera.aspect = width / height;
+    sceneObj.camera.updateProjectionMatrix();
+  });
+}
+
+/**
+ * The export buttons, mapped to their click handlers.
+ */
+const exportButtons = {
+  exportGlbButton: async (image, verticesData) => {
+    const mesh = createFaceMesh(image, verticesData);
+    downloadBlob(await exportFaceGLB(mesh), "face-mesh.glb");
+    mesh.geometry.dispose();
+    mesh.material.map.dispose();
+    mesh.material.dispose();
+  },
+  exportPlyAsciiButton: (image, verticesData) =>
+    downloadBlob(
+      exportPointCloudPLY(image, verticesData, { binary: false }),
+      "face-points.ply"
+    ),
+  exportPlyBinaryButton: (image, verticesData) =>
+    downloadBlob(
+      exportPointCloudPLY(image, verticesData, { binary: true }),
+      "face-points.ply"
+    ),
+  exportDensePlyAsciiButton: (image, _, denseData) =>
+    downloadBlob(
+      exportPointCloudPLY(image, denseData, {
+        binary: false,
+        comment: "dense depth point cloud",
+      }),
+      "dense-points.ply"
+    ),
+  exportDensePlyBinaryButton: (image, _, denseData) =>
+    downloadBlob(
+      exportPointCloudPLY(image, denseData, {
+        binary: true,
+        comment: "dense depth point cloud",
+      }),
+      "dense-points.ply"
+    ),
+  exportDensePcdAsciiButton: (image, _, denseData) =>
+    downloadBlob(
+      exportPointCloudPCD(image, denseData, { binary: false }),
+      "dense-points.pcd"
+    ),
+  exportDensePcdBinaryButton: (image, _, denseData) =>
+    downloadBlob(
+      exportPointCloudPCD(image, denseData, { binary: true }),
+      "dense-points.pcd"
+    ),
+};
+
+/**
+ * Wires the export buttons to download the face mesh as GLB, the landmark
+ * point cloud as PLY and the dense point cloud as PLY or PCD. Exports use the
+ * face and depth currently shown, so in live mode the latest frame.
+ * @function setupExportControls
+ */
+function setupExportControls() {
+  Object.entries(exportButtons).forEach(([id, handler]) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener("click", () =>
+        handler(
+          sceneState.image,
+          sceneState.verticesData,
+          sceneState.denseCloud.verticesData
+        )
+      );
+    } else {
+      console.warn(`Button element with ID "${id}" not found.`);
+    }
+  });
+}
+
+/**
+ * Enables or disables the export buttons.
+ * @function setExportButtonsEnabled
+ * @param {boolean} enabled - Whether a face is available to export.
+ */
+function setExportButtonsEnabled(enabled) {
+  Object.keys(exportButtons).forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = !enabled;
+  });
 }
 
 /**
@@ -504,9 +1443,14 @@ function setupThreeJSScenes(image, keypoints, config) {
  * @param {HTMLImageElement} image - The input image.
  * @param {Array<Object>} keypoints - The facial keypoints.
  * @param {number} [depthScale=1] - The scaling factor for depth (z-axis).
+ * @param {Object} [subdivision] - Subdivides TRIANGULATION when given.
+ * @param {string} subdivision.scheme - "midpoint" or "loop".
+ * @param {number} subdivision.levels - Subdivision levels, from 0 to 3.
+ * @param {DepthBuffer} [subdivision.depthBuffer] - Depth sampled for the z of
+ * new vertices, calibrated to the landmark z with `fitDepthToLandmarks`.
  * @returns {Object} An object containing vertices, flat vertices, UV coordinates, and indices.
  */
-function getVerticesData(image, keypoints, depthScale = 1) {
+function getVerticesData(image, keypoints, depthScale = 1, subdivision) {
   const vertices = [];
   const flatVertices = [];
   const uvCoordinates = [];
@@ -522,7 +1466,114 @@ function getVerticesData(image, keypoints, depthScale = 1) {
     indices.push(TRIANGULATION[i], TRIANGULATION[i + 1], TRIANGULATION[i + 2]);
   }
 
-  return { vertices, flatVertices, uvCoordinates, indices };
+  const verticesData = { vertices, flatVertices, uvCoordinates, indices };
+  if (!subdivision?.levels) return verticesData;
+
+  const { scheme, levels, depthBuffer } = subdivision;
+  let sampleZ;
+  if (depthBuffer) {
+    const { scale, offset } = fitDepthToLandmarks(
+      depthBuffer,
+      keypoints,
+      image
+    );
+    sampleZ = (u, v) =>
+      (scale *
+        depthBuffer.sample(
+          u * depthBuffer.width,
+          (1 - v) * depthBuffer.height
+        ) +
+        offset) *
+      depthScale;
+  }
+  return subdivideMesh(verticesData, { scheme, levels, sampleZ });
+}
+
+/**
+ * Generates the landmark mesh of the visible faces, subdivided as configured.
+ * @function getLandmarkVerticesData
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @param {Object} config - The configuration object.
+ * @returns {Object} The output of `getFacesVerticesData`.
+ */
+function getLandmarkVerticesData(image, faces, config) {
+  const subdivision = {
+    ...config.subdivisionConfig,
+    depthBuffer: sceneState.depthBuffer,
+  };
+  return getFacesVerticesData(image, getVisibleFaces(faces), (keypoints) =>
+    getVerticesData(image, keypoints, 1, subdivision)
+  );
+}
+
+/**
+ * Generates the vertex data of several faces as one set of buffers, with the
+ * indices of each face offset past the vertices of the faces before it.
+ * @function getFacesVerticesData
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Array<Object>} faces - The `{ keypoints, faceIndex }` of each face, from `getVisibleFaces`.
+ * @param {Function} [getFaceData] - Builds the vertex data of one face from its
+ * keypoints; defaults to the landmark mesh of `getVerticesData`.
+ * @returns {Object} The merged `getVerticesData` output, plus `faceRanges`:
+ * the `{ faceIndex, start, count }` vertex range of each face.
+ */
+function getFacesVerticesData(
+  image,
+  faces,
+  getFaceData = (keypoints) => getVerticesData(image, keypoints)
+) {
+  const merged = {
+    vertices: [],
+    flatVertices: [],
+    uvCoordinates: [],
+    indices: [],
+    faceRanges: [],
+  };
+
+  faces.forEach(({ keypoints, faceIndex }) => {
+    const start = merged.vertices.length / 3;
+    const data = getFaceData(keypoints);
+    // Appended one by one, as spreading a subdivided face overflows the stack
+    data.vertices.forEach((value) => merged.vertices.push(value));
+    data.flatVertices.forEach((value) => merged.flatVertices.push(value));
+    data.uvCoordinates.forEach((value) => merged.uvCoordinates.push(value));
+    data.indices.forEach((index) => merged.indices.push(index + start));
+    merged.faceRanges.push({
+      faceIndex,
+      start,
+      count: data.vertices.length / 3,
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Builds the surface of the textured scene. With fusion enabled and a depth
+ * map available, each visible face becomes a dense relief: the depth map is
+ * calibrated to the landmark z values with a fitted scale and offset, and its
+ * detail inside the outer ring replaces the coarse landmark mesh.
+ * @function getSurfaceData
+ * @param {HTMLImageElement} image - The input image.
+ * @param {Array<Array<Object>>} faces - The keypoints of every detected face.
+ * @param {Object} verticesData - The landmark mesh, used when fusion is off.
+ * @param {Object} config - The configuration object.
+ * @returns {Object} The vertex data for the textured scene.
+ */
+function getSurfaceData(image, faces, verticesData, config) {
+  const { depthBuffer } = sceneState;
+  const { enabled, gridStep, residualSigma } = config.fusionConfig;
+  if (!enabled || !depthBuffer) return verticesData;
+
+  return getFacesVerticesData(image, getVisibleFaces(faces), (keypoints) => {
+    const fit = fitDepthToLandmarks(depthBuffer, keypoints, image);
+    return createFaceRelief(depthBuffer, keypoints, fit, image, {
+      ringIndices: config.landmarkIndices.outerRing,
+      gridStep,
+      residualSigma,
+    });
+  });
 }
 
 /**
@@ -534,7 +1585,7 @@ function getVerticesData(image, keypoints, depthScale = 1) {
  * @param {Array<number>} indices - The vertex indices.
  * @param {Object} materialOptions - Options for the mesh material.
  * @param {Object} config - The configuration object.
- * @returns {Object|null} An object containing the scene, camera, renderer, and controls, or null if container not found.
+ * @returns {Object|null} An object containing the scene, camera, renderer, controls, and geometry, or null if container not found.
  */
 function createThreeJSScene(
   containerId,
@@ -579,7 +1630,7 @@ function createThreeJSScene(
   const mesh = new THREE.Mesh(geometry, material);
   scene.add(mesh);
 
-  return { scene, camera, renderer, controls };
+  return { scene, camera, renderer, controls, geometry };
 }
 
 /**
@@ -588,7 +1639,7 @@ function createThreeJSScene(
  * @param {string} containerId - The ID of the HTML container element.
  * @param {Array<number>} positions - The vertex positions.
  * @param {Object} config - The configuration object.
- * @returns {Object|null} An object containing the scene, camera, renderer, and controls, or null if container not found.
+ * @returns {Object|null} An object containing the scene, camera, renderer, controls, and geometry, or null if container not found.
  */
 function createPointCloudScene(containerId, positions, config) {
   const container = document.getElementById(containerId);
@@ -623,23 +1674,191 @@ function createPointCloudScene(containerId, positions, config) {
     new THREE.Float32BufferAttribute(positions, 3)
   );
 
-  const material = new THREE.PointsMaterial(config.threeJSConfig.pointCloud);
+  // The configured colour is applied per vertex, see `writeSceneColors`
+  const material = new THREE.PointsMaterial({
+    ...config.threeJSConfig.pointCloud,
+    color: 0xffffff,
+    vertexColors: true,
+  });
   const points = new THREE.Points(geometry, material);
   scene.add(points);
 
-  return { scene, camera, renderer, controls };
+  return { scene, camera, renderer, controls, geometry };
+}
+
+/**
+ * Creates a Three.js scene for the dense point cloud. Its camera starts at
+ * the pinhole camera the depth was back-projected through, so the first view
+ * lines up with the photo, and orbits around the middle of the depth range.
+ * @function createDenseCloudScene
+ * @param {string} containerId - The ID of the HTML container element.
+ * @param {Object} config - The configuration object.
+ * @returns {Object|null} An object containing the scene, camera, renderer, controls, geometry and material, or null if container not found.
+ */
+function createDenseCloudScene(containerId, config) {
+  const container = document.getElementById(containerId);
+  if (!container) {
+    console.warn(`Container element with ID "${containerId}" not found.`);
+    return null;
+  }
+
+  const { nearDistance, farDistance, pointSize } = config.denseCloudConfig;
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(
+    config.threeJSConfig.camera.fieldOfView,
+    config.threeJSConfig.camera.aspectRatio,
+    nearDistance / 100,
+    farDistance * 10
+  );
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setSize(
+    config.threeJSConfig.renderer.width,
+    config.threeJSConfig.renderer.height
+  );
+  renderer.setClearColor(config.threeJSConfig.renderer.backgroundColor, 0);
+  container.appendChild(renderer.domElement);
+
+  const controls = new OrbitControls(camera, renderer.domElement);
+  Object.assign(controls, config.threeJSConfig.controls);
+  controls.target.set(0, 0, -(nearDistance + farDistance) / 2);
+
+  const geometry = new THREE.BufferGeometry();
+  const material = new THREE.PointsMaterial({
+    size: pointSize,
+    sizeAttenuation: false,
+    vertexColors: true,
+  });
+  scene.add(new THREE.Points(geometry, material));
+
+  return { scene, camera, renderer, controls, geometry, material };
 }
 
 /**
- * Creates a Three.js scene displaying a frame rim around the face based on the outer ring keypoints.
+ * Returns the pinhole camera the dense point cloud is back-projected
+ * through, from the configured focal length or field of view.
+ * @function getDenseCloudCamera
+ * @param {HTMLImageElement|HTMLCanvasElement} image - The input image.
+ * @param {Object} config - The configuration object.
+ * @returns {Object} The `focalLength` in image pixels and the vertical `fieldOfView` in degrees.
+ */
+function getDenseCloudCamera(image, config) {
+  const { fieldOfView, focalLength } = config.denseCloudConfig;
+  if (focalLength) {
+    return {
+      focalLength,
+      fieldOfView: getFieldOfView(image.height, focalLength),
+    };
+  }
+  const fov = fieldOfView ?? config.threeJSConfig.camera.fieldOfView;
+  return {
+    focalLength: getFocalLength(image.height, fov),
+    fieldOfView: fov,
+  };
+}
+
+/**
+ * Back-projects the current depth buffer into the dense point cloud scene,
+ * coloured from the image, and points the scene camera through the same
+ * pinhole camera. Does nothing until both the scene and a depth buffer exist.
+ * @function updateDenseCloud
+ * @param {HTMLImageElement|HTMLCanvasElement} image - The image the depth was estimated from.
+ * @param {Object} config - The configuration object.
+ */
+function updateDenseCloud(image, config) {
+  const { depthBuffer, denseCloud } = sceneState;
+  const sceneObj = denseCloud.scene;
+  if (!sceneObj || !depthBuffer) return;
+
+  const { focalLength, fieldOfView } = getDenseCloudCamera(image, config);
+  const { nearDistance, farDistance, minDepth, step } = config.denseCloudConfig;
+  const verticesData = backProjectDepth(depthBuffer, {
+    // The depth buffer may be smaller than the image
+    focalLength: (focalLength * depthBuffer.height) / image.height,
+    nearDistance,
+    farDistance,
+    minDepth,
+    step,
+  });
+  const colors = sampleVertexColors(image, verticesData.uvCoordinates);
+
+  writeAttribute(sceneObj.geometry, "position", verticesData.vertices, 3);
+  writeAttribute(
+    sceneObj.geometry,
+    "color",
+    Float32Array.from(colors, (value) => value / 255),
+    3
+  );
+  sceneObj.camera.fov = fieldOfView;
+  sceneObj.camera.updateProjectionMatrix();
+  denseCloud.verticesData = verticesData;
+  denseCloud.depthBuffer = depthBuffer;
+
+  const fovInput = document.getElementById("denseFieldOfView");
+  const focalInput = document.getElementById("denseFocalLength");
+  if (fovInput) fovInput.value = fieldOfView.toFixed(1);
+  if (focalInput) focalInput.value = Math.round(focalLength);
+}
+
+/**
+ * Wires the dense point cloud controls: the field of view and focal length
+ * of the pinhole camera (editing one updates the other), the point size and
+ * the decimation step.
+ * @function setupDenseCloudControls
+ * @param {Object} config - The configuration object.
+ */
+function setupDenseCloudControls(config) {
+  const fovInput = document.getElementById("denseFieldOfView");
+  const focalInput = document.getElementById("denseFocalLength");
+  const pointSizeInput = document.getElementById("densePointSize");
+  const stepInput = document.getElementById("denseStep");
+  if (!fovInput || !focalInput || !pointSizeInput || !stepInput) {
+    console.warn("Dense point cloud controls not found.");
+    return;
+  }
+
+  const { denseCloudConfig } = config;
+  fovInput.value =
+    denseCloudConfig.fieldOfView ?? config.threeJSConfig.camera.fieldOfView;
+  pointSizeInput.value = denseCloudConfig.pointSize;
+  stepInput.value = denseCloudConfig.step;
+
+  const refresh = () => {
+    if (sceneState.image) updateDenseCloud(sceneState.image, config);
+  };
+  fovInput.addEventListener("change", () => {
+    const fieldOfView = parseFloat(fovInput.value);
+    if (!(fieldOfView > 0 && fieldOfView < 180)) return;
+    Object.assign(denseCloudConfig, { fieldOfView, focalLength: null });
+    refresh();
+  });
+  focalInput.addEventListener("change", () => {
+    const focalLength = parseFloat(focalInput.value);
+    if (!(focalLength > 0)) return;
+    denseCloudConfig.focalLength = focalLength;
+    refresh();
+  });
+  stepInput.addEventListener("change", () => {
+    denseCloudConfig.step = parseInt(stepInput.value, 10);
+    refresh();
+  });
+  pointSizeInput.addEventListener("input", () => {
+    denseCloudConfig.pointSize = parseFloat(pointSizeInput.value);
+    const sceneObj = sceneState.denseCloud.scene;
+    if (sceneObj) sceneObj.material.size = denseCloudConfig.pointSize;
+  });
+}
+
+/**
+ * Creates a Three.js scene displaying a frame rim around each face based on the outer ring keypoints.
  * @function createFrameRimScene
  * @param {string} containerId - The ID of the HTML container element.
- * @param {Array<number>} positions - The vertex positions.
+ * @param {Object} verticesData - The output of `getFacesVerticesData`.
  * @param {Array<number>} ringIndices - The indices for the outer ring keypoints.
  * @param {Object} config - The configuration object.
- * @returns {Object|null} An object containing the scene, camera, renderer, and controls, or null if container not found.
+ * @returns {Object|null} An object containing the scene, camera, renderer, controls, and geometry, or null if container not found.
  */
-function createFrameRimScene(containerId, positions, ringIndices, config) {
+function createFrameRimScene(containerId, verticesData, ringIndices, config) {
   const container = document.getElementById(containerId);
   if (!container) {
     console.warn(`Container element with ID "${containerId}" not found.`);
@@ -666,16 +1885,11 @@ function createFrameRimScene(containerId, positions, ringIndices, config) {
   const controls = new OrbitControls(camera, renderer.domElement);
   Object.assign(controls, config.threeJSConfig.controls);
 
-  const ringPositions = [];
-  ringIndices.forEach((idx) => {
-    ringPositions.push(
-      positions[idx * 3],
-      positions[idx * 3 + 1],
-      positions[idx * 3 + 2]
-    );
-  });
-
-  ringPositions.push(ringPositions[0], ringPositions[1], ringPositions[2]);
+  const ringPositions = getRingPositions(
+    verticesData.vertices,
+    ringIndices,
+    verticesData.faceRanges
+  );
 
   const geometry = new THREE.BufferGeometry();
   geometry.setAttribute(
@@ -683,11 +1897,44 @@ function createFrameRimScene(containerId, positions, ringIndices, config) {
     new THREE.Float32BufferAttribute(ringPositions, 3)
   );
 
-  const material = new THREE.LineBasicMaterial(config.threeJSConfig.frameRim);
-  const line = new THREE.LineLoop(geometry, material);
+  // The configured colour is applied per vertex, see `writeSceneColors`
+  const material = new THREE.LineBasicMaterial({
+    ...config.threeJSConfig.frameRim,
+    color: 0xffffff,
+    vertexColors: true,
+  });
+  const line = new THREE.LineSegments(geometry, material);
   scene.add(line);
 
-  return { scene, camera, renderer, controls };
+  return { scene, camera, renderer, controls, geometry };
+}
+
+/**
+ * Picks the outer ring vertices of every face out of the face vertices, as
+ * line segments so several closed rings fit in one geometry.
+ * @function getRingPositions
+ * @param {Array<number>} positions - The vertex positions.
+ * @param {Array<number>} ringIndices - The indices for the outer ring keypoints.
+ * @param {Array<Object>} faceRanges - The vertex range of each face, from `getFacesVerticesData`.
+ * @returns {Array<number>} The flat segment end positions, two per ring point.
+ */
+function getRingPositions(positions, ringIndices, faceRanges) {
+  const ringPositions = [];
+  const pushPoint = (vertex) => {
+    ringPositions.push(
+      positions[vertex * 3],
+      positions[vertex * 3 + 1],
+      positions[vertex * 3 + 2]
+    );
+  };
+
+  faceRanges.forEach(({ start }) => {
+    ringIndices.forEach((idx, i) => {
+      pushPoint(start + idx);
+      pushPoint(start + ringIndices[(i + 1) % ringIndices.length]);
+    });
+  });
+  return ringPositions;
 }
 
 /**
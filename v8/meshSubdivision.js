@@ -0,0 +1,204 @@
+// meshSubdivision.js
+
+/**
+ * Values stored per vertex while subdividing: position x, y, z, texture u, v
+ * and the depth residual r (see `subdivideMesh`).
+ */
+const STRIDE = 6;
+
+/**
+ * Supported subdivision schemes.
+ * - midpoint: splits every edge at its middle; the surface keeps its facets.
+ * - loop: Loop subdivision; also smooths the existing vertices, including the
+ *   landmarks, so the surface becomes smooth.
+ */
+export const SUBDIVISION_SCHEMES = ["midpoint", "loop"];
+
+/**
+ * Maximum number of subdivision levels. Each level quadruples the triangles.
+ */
+export const MAX_SUBDIVISION_LEVELS = 3;
+
+/**
+ * Collects every edge of a triangle mesh with the vertices opposite to it.
+ * @function collectEdges
+ * @param {Array<number>} indices - The triangle indices.
+ * @param {number} vertexCount - The number of vertices.
+ * @returns {Map<number, Object>} Edges keyed by `min * vertexCount + max`,
+ * each with its end points `a` and `b` and `opposite` vertices.
+ */
+function collectEdges(indices, vertexCount) {
+  const edges = new Map();
+  for (let i = 0; i < indices.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[i + k];
+      const b = indices[i + ((k + 1) % 3)];
+      const opposite = indices[i + ((k + 2) % 3)];
+      const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+      const edge = edges.get(key);
+      if (edge) {
+        edge.opposite.push(opposite);
+      } else {
+        edges.set(key, { a, b, opposite: [opposite] });
+      }
+    }
+  }
+  return edges;
+}
+
+/**
+ * Adds weighted vertices of `source` into vertex `target` of `out`.
+ * @function accumulate
+ * @param {Float64Array} out - The output vertex values.
+ * @param {number} target - The output vertex.
+ * @param {Float64Array} source - The input vertex values.
+ * @param {number} vertex - The input vertex.
+ * @param {number} weight - The weight of the input vertex.
+ */
+function accumulate(out, target, source, vertex, weight) {
+  for (let c = 0; c < STRIDE; c++) {
+    out[target * STRIDE + c] += source[vertex * STRIDE + c] * weight;
+  }
+}
+
+/**
+ * Runs one level of subdivision. Existing vertices keep their index and new
+ * edge vertices are appended, so indices into the original vertices (such as
+ * the outer ring landmarks) stay valid.
+ * @function subdivideOnce
+ * @param {Float64Array} values - The vertex values, `STRIDE` per vertex.
+ * @param {Array<number>} indices - The triangle indices.
+ * @param {string} scheme - "midpoint" or "loop".
+ * @returns {Object} The subdivided `values` and `indices`.
+ */
+function subdivideOnce(values, indices, scheme) {
+  const vertexCount = values.length / STRIDE;
+  const edges = collectEdges(indices, vertexCount);
+  const out = new Float64Array((vertexCount + edges.size) * STRIDE);
+  const loop = scheme === "loop";
+
+  // Edge vertices
+  const edgeVertex = new Map();
+  let next = vertexCount;
+  edges.forEach((edge, key) => {
+    const { a, b, opposite } = edge;
+    if (loop && opposite.length === 2) {
+      accumulate(out, next, values, a, 3 / 8);
+      accumulate(out, next, values, b, 3 / 8);
+      accumulate(out, next, values, opposite[0], 1 / 8);
+      accumulate(out, next, values, opposite[1], 1 / 8);
+    } else {
+      accumulate(out, next, values, a, 1 / 2);
+      accumulate(out, next, values, b, 1 / 2);
+    }
+    edgeVertex.set(key, next++);
+  });
+
+  // Existing vertices: kept for midpoint, smoothed with their neighbours for Loop
+  if (!loop) {
+    out.set(values);
+  } else {
+    const neighbours = Array.from({ length: vertexCount }, () => []);
+    const boundaryNeighbours = Array.from({ length: vertexCount }, () => []);
+    edges.forEach(({ a, b, opposite }) => {
+      neighbours[a].push(b);
+      neighbours[b].push(a);
+      if (opposite.length !== 2) {
+        boundaryNeighbours[a].push(b);
+        boundaryNeighbours[b].push(a);
+      }
+    });
+
+    for (let v = 0; v < vertexCount; v++) {
+      const ring = neighbours[v];
+      const boundary = boundaryNeighbours[v];
+      if (boundary.length === 2) {
+        accumulate(out, v, values, v, 3 / 4);
+        accumulate(out, v, values, boundary[0], 1 / 8);
+        accumulate(out, v, values, boundary[1], 1 / 8);
+      } else if (boundary.length === 0 && ring.length >= 3) {
+        const n = ring.length;
+        const beta = n === 3 ? 3 / 16 : 3 / (8 * n);
+        accumulate(out, v, values, v, 1 - n * beta);
+        ring.forEach((u) => accumulate(out, v, values, u, beta));
+      } else {
+        // Unused, corner or non-manifold vertices stay where they are
+        accumulate(out, v, values, v, 1);
+      }
+    }
+  }
+
+  // Every triangle becomes three corner triangles and a middle one
+  const midpoint = (a, b) =>
+    edgeVertex.get(Math.min(a, b) * vertexCount + Math.max(a, b));
+  const subdivided = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+    const ab = midpoint(a, b);
+    const bc = midpoint(b, c);
+    const ca = midpoint(c, a);
+    subdivided.push(a, ab, ca, b, bc, ab, c, ca, bc, ab, bc, ca);
+  }
+
+  return { values: out, indices: subdivided };
+}
+
+/**
+ * Subdivides a face mesh. Positions and UVs of new vertices are interpolated
+ * by the scheme. With a depth sampler, z follows the depth map instead: each
+ * original vertex stores its residual `z - sampleZ(u, v)`, residuals are
+ * interpolated like the other values, and every vertex ends up at
+ * `sampleZ(u, v) + residual`. Original landmarks keep their z (for midpoint),
+ * while new vertices pick up the detail of the depth map between them.
+ * @function subdivideMesh
+ * @param {Object} verticesData - The output of `getVerticesData`.
+ * @param {Object} options - Subdivision options.
+ * @param {string} options.scheme - One of `SUBDIVISION_SCHEMES`.
+ * @param {number} options.levels - Levels from 0 to `MAX_SUBDIVISION_LEVELS`.
+ * @param {Function} [options.sampleZ] - Returns the depth-derived z, in the
+ * units of the landmark z, at a texture coordinate (u, v).
+ * @returns {Object} Vertex data in the layout of `getVerticesData`.
+ * @throws Will throw an error for an unknown scheme.
+ */
+export function subdivideMesh(verticesData, { scheme, levels, sampleZ }) {
+  if (!SUBDIVISION_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown subdivision scheme "${scheme}".`);
+  }
+  const levelCount = Math.min(
+    Math.max(Math.round(levels), 0),
+    MAX_SUBDIVISION_LEVELS
+  );
+  if (levelCount === 0) return verticesData;
+
+  const { vertices, uvCoordinates } = verticesData;
+  const vertexCount = vertices.length / 3;
+  let values = new Float64Array(vertexCount * STRIDE);
+  for (let v = 0; v < vertexCount; v++) {
+    const [x, y, z] = vertices.slice(v * 3, v * 3 + 3);
+    const [u, w] = uvCoordinates.slice(v * 2, v * 2 + 2);
+    const residual = sampleZ ? z - sampleZ(u, w) : 0;
+    values.set([x, y, z, u, w, residual], v * STRIDE);
+  }
+
+  let indices = verticesData.indices;
+  for (let level = 0; level < levelCount; level++) {
+    ({ values, indices } = subdivideOnce(values, indices, scheme));
+  }
+
+  const result = {
+    vertices: [],
+    flatVertices: [],
+    uvCoordinates: [],
+    indices,
+  };
+  for (let v = 0; v < values.length / STRIDE; v++) {
+    const [x, y, z, u, w, residual] = values.subarray(
+      v * STRIDE,
+      (v + 1) * STRIDE
+    );
+    result.vertices.push(x, y, sampleZ ? sampleZ(u, w) + residual : z);
+    result.flatVertices.push(x, y, 0);
+    result.uvCoordinates.push(u, w);
+  }
+  return result;
+}
@@ -0,0 +1,97 @@
+// pipelineVariants.js
+
+import { refineDepth } from "../shared/depthRefinement.js";
+import { createFaceMask } from "./faceLandmarks.js";
+
+/**
+ * The depth processing chains of the earlier versions, rebuilt on a shared
+ * depth estimate so their results can be compared on one image. Each chain
+ * starts from depth in [0, 1] as estimated by ARPortraitDepth with
+ * `outputDepthRange: [0, 1]` and ends with the depth the version shows or
+ * builds its mesh from.
+ *
+ * Every variant has:
+ * - `id`: the version it comes from.
+ * - `label`: a short name for the UI.
+ * - `description`: what the chain does.
+ * - `needsFaces`: whether `process` reads the detected faces.
+ * - `process(depthBuffer, context)`: returns a new DepthBuffer. The context
+ *   holds the source `image` and, for variants that need them, the `faces`
+ *   (keypoints per face, in image pixels).
+ */
+export const PIPELINE_VARIANTS = [
+  {
+    id: "v1",
+    label: "v1 gradient",
+    description:
+      "Estimated into outputDepthRange [0, 0.5] for finer detail, shown with a colour gradient.",
+    needsFaces: false,
+    process: (depthBuffer) => depthBuffer.map((depth) => depth * 0.5),
+  },
+  {
+    id: "v2",
+    label: "v2 normalize",
+    description:
+      "Estimated into outputDepthRange [0, 0.5], then stretched to the full range.",
+    needsFaces: false,
+    process: (depthBuffer) =>
+      depthBuffer.map((depth) => depth * 0.5).normalize(),
+  },
+  {
+    id: "v4",
+    label: "v4 smoothing",
+    description:
+      "Refined with the guided filter, with the photo as guide, then normalized for the mesh.",
+    needsFaces: false,
+    process: (depthBuffer, { image }) =>
+      refineDepth(depthBuffer, image, { method: "guided" }).normalize(),
+  },
+  {
+    id: "v5",
+    label: "v5 tone threshold",
+    description:
+      "Depths below the default tone range of 10 / 255 are cut to 0.",
+    needsFaces: false,
+    process: (depthBuffer) =>
+      depthBuffer.map((depth) => (depth < 10 / 255 ? 0 : depth)),
+  },
+  {
+    id: "v6",
+    label: "v6 painting",
+    description:
+      "The estimate as is, the starting point for painting; brush strokes are made by hand and not replayed here.",
+    needsFaces: false,
+    process: (depthBuffer) => depthBuffer.clone(),
+  },
+  {
+    id: "v8",
+    label: "v8 face mask",
+    description:
+      "Masked to the outer rings of the detected faces; 0 elsewhere, or everywhere when no face is found.",
+    needsFaces: true,
+    process: (depthBuffer, { image, faces }) => {
+      const { width, height } = depthBuffer;
+      const mask = createFaceMask(faces, width, height, {
+        scaleX: width / (image.naturalWidth || image.width),
+        scaleY: height / (image.naturalHeight || image.height),
+      });
+      return depthBuffer.map((depth, i) => depth * mask[i]);
+    },
+  },
+];
+
+/**
+ * Looks up a pipeline variant by its id.
+ * @function getPipelineVariant
+ * @param {string} id - The variant id.
+ * @returns {Object} The variant.
+ * @throws Will throw an error for an unknown id.
+ */
+export function getPipelineVariant(id) {
+  const variant = PIPELINE_VARIANTS.find((candidate) => candidate.id === id);
+  if (!variant) {
+    const known = PIPELINE_VARIANTS.map((candidate) => candidate.id).join(", ");
+    throw new Error(`Unknown pipeline variant "${id}". Known: ${known}.`);
+  }
+  return variant;
+}
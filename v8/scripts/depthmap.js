@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+// depthmap.js
+
+import { readdir, readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import * as tfjs from "@tensorflow/tfjs";
+import * as depthEstimation from "@tensorflow-models/depth-estimation";
+import { encodeGrayscalePNG } from "./png.js";
+import {
+  createDepthEstimator,
+  setTensorFlow,
+} from "../../shared/estimators.js";
+import { depthEstimatorConfig, depthEstimationRange } from "../depthConfig.js";
+import { TemporalDepthFilter } from "../../shared/temporalFilter.js";
+
+// tfjs-node registers its backend with this same TensorFlow.js
+setTensorFlow({
+  tf: tfjs,
+  loadGraphModel: tfjs.loadGraphModel,
+  depthEstimation,
+});
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Default location of the vendored model weights (see `fetch-models.js`).
+ */
+const DEFAULT_MODELS_DIR = path.resolve(SCRIPT_DIR, "..", "models");
+
+/**
+ * Image formats `tf.node.decodeImage` can read.
+ */
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".bmp", ".gif"];
+
+/**
+ * Default weight of the previous frame in the temporal filter of `video`.
+ */
+const DEFAULT_SMOOTHING = 0.6;
+
+const USAGE = `Usage: depthmap batch <inputDir> <outputDir> [options]
+       depthmap video <framesDir> <outputDir> [options]
+
+batch estimates a depth map for every image in <inputDir> and writes, per image:
+  <name>.depth8.png   8-bit grayscale depth, min..max stretched to 0..255
+  <name>.depth16.png  16-bit grayscale depth, min..max stretched to 0..65535
+  <name>.depth.json   sidecar with the raw min/max depth and image size
+
+video estimates depth for the PNG frames of a video in <framesDir>, in file
+name order, and filters it over time to stop flicker. It writes
+<name>.depth8.png and <name>.depth16.png per frame, with depth 0..1 mapped to
+the full range in every frame so the frames match, plus sequence.json.
+Extract and reassemble frames with ffmpeg, e.g. at 15 fps:
+  ffmpeg -i input.mp4 -vf fps=15 frames/frame_%05d.png
+  ffmpeg -framerate 15 -i depth/frame_%05d.depth8.png -pix_fmt yuv420p depth.mp4
+
+Both commands run on @tensorflow/tfjs-node, an optional dependency that npm
+skips where its native binary fails to install; add it with
+  npm install @tensorflow/tfjs-node
+
+Options:
+  --estimator <name>  Depth estimator from shared/estimators.js:
+                      ar-portrait-depth, graph-model or synthetic (default: ${depthEstimatorConfig.name})
+  --models <dir>      Directory holding the vendored graph models:
+                      ar_portrait_depth/, selfie_segmentation/ and, for
+                      graph-model, midas/ (default: ${DEFAULT_MODELS_DIR})
+  --smoothing <n>     video only: weight of the previous frame, from 0 (off)
+                      to below 1 (default: ${DEFAULT_SMOOTHING})
+  --help              Show this message`;
+
+/**
+ * Parses the command line arguments.
+ * @function parseArgs
+ * @param {Array<string>} argv - The arguments after the script name.
+ * @returns {Object} The command, positional arguments and options.
+ * @throws Will throw an error on unknown options or missing option values.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {
+    estimator: depthEstimatorConfig.name,
+    models: DEFAULT_MODELS_DIR,
+    smoothing: DEFAULT_SMOOTHING,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--models") {
+      if (!argv[i + 1]) throw new Error("--models requires a directory.");
+      options.models = path.resolve(argv[++i]);
+    } else if (arg === "--estimator") {
+      if (!argv[i + 1]) throw new Error("--estimator requires a name.");
+      options.estimator = argv[++i];
+    } else if (arg === "--smoothing") {
+      const smoothing = parseFloat(argv[++i]);
+      if (!(smoothing >= 0 && smoothing < 1)) {
+        throw new Error("--smoothing requires a number from 0 to below 1.");
+      }
+      options.smoothing = smoothing;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option "${arg}".`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * Loads tfjs-node, which provides the native CPU backend and image decoding.
+ * @async
+ * @function loadTensorFlow
+ * @returns {Promise<Object>} The tfjs-node module.
+ * @throws Will throw an error if @tensorflow/tfjs-node is not installed.
+ */
+async function loadTensorFlow() {
+  try {
+    return await import("@tensorflow/tfjs-node");
+  } catch (error) {
+    throw new Error(
+      "@tensorflow/tfjs-node is required for the CLI but is not installed. " +
+        "It is an optional dependency, skipped where its native TensorFlow " +
+        "binary fails to install; install it in v8 with " +
+        "`npm install @tensorflow/tfjs-node`.",
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Creates a registered depth estimator, pointing model URLs at the locally
+ * vendored weights.
+ * @async
+ * @function loadEstimator
+ * @param {string} name - The estimator name.
+ * @param {string} modelsDir - The directory holding the vendored models.
+ * @returns {Promise<Object>} The loaded depth estimator.
+ */
+async function loadEstimator(name, modelsDir) {
+  const modelUrl = (model) =>
+    pathToFileURL(path.join(modelsDir, model, "model.json")).href;
+  const vendoredUrls = {
+    "ar-portrait-depth": {
+      depthModelUrl: modelUrl("ar_portrait_depth"),
+      segmentationModelUrl: modelUrl("selfie_segmentation"),
+    },
+    "graph-model": { modelUrl: modelUrl("midas") },
+  };
+
+  return createDepthEstimator(name, {
+    ...depthEstimatorConfig.options[name],
+    ...vendoredUrls[name],
+    estimationRange: depthEstimationRange,
+  });
+}
+
+/**
+ * Estimates depth for one image file.
+ * @async
+ * @function estimateFile
+ * @param {Object} tf - The tfjs-node module.
+ * @param {Object} estimator - The depth estimator.
+ * @param {string} inputPath - The image to process.
+ * @returns {Promise<DepthBuffer>} The depth buffer.
+ */
+async function estimateFile(tf, estimator, inputPath) {
+  const image = tf.node.decodeImage(await readFile(inputPath), 3);
+  try {
+    return await estimator.estimate(image);
+  } finally {
+    image.dispose();
+  }
+}
+
+/**
+ * Writes a depth buffer as 8-bit and 16-bit grayscale PNGs, stretching
+ * `min..max` to the full range of each.
+ * @async
+ * @function writeDepthPNGs
+ * @param {DepthBuffer} depthBuffer - The depth buffer.
+ * @param {number} min - The depth mapped to black.
+ * @param {number} max - The depth mapped to white.
+ * @param {Function} outputPath - Maps a file suffix to the output path.
+ * @returns {Promise<void>}
+ */
+async function writeDepthPNGs(depthBuffer, min, max, outputPath) {
+  const { data: depth, width, height } = depthBuffer;
+  const range = max - min || 1;
+
+  const depth8 = new Uint8Array(depth.length);
+  const depth16 = new Uint16Array(depth.length);
+  for (let i = 0; i < depth.length; i++) {
+    const normalized = Math.min(Math.max((depth[i] - min) / range, 0), 1);
+    depth8[i] = Math.round(normalized * 255);
+    depth16[i] = Math.round(normalized * 65535);
+  }
+
+  await writeFile(
+    outputPath(".depth8.png"),
+    encodeGrayscalePNG(depth8, width, height, 8)
+  );
+  await writeFile(
+    outputPath(".depth16.png"),
+    encodeGrayscalePNG(depth16, width, height, 16)
+  );
+}
+
+/**
+ * Estimates depth for one image file and writes the PNGs and JSON sidecar.
+ * @async
+ * @function processFile
+ * @param {Object} tf - The tfjs-node module.
+ * @param {Object} estimator - The depth estimator.
+ * @param {string} inputPath - The image to process.
+ * @param {string} outputDir - The directory to write results into.
+ * @param {Object} options - The parsed command line options.
+ * @returns {Promise<Object>} The sidecar metadata that was written.
+ */
+async function processFile(tf, estimator, inputPath, outputDir, options) {
+  const depthBuffer = await estimateFile(tf, estimator, inputPath);
+  const { width, height } = depthBuffer;
+  const { min, max } = depthBuffer.range();
+
+  const baseName = path.parse(inputPath).name;
+  const outputPath = (suffix) => path.join(outputDir, `${baseName}${suffix}`);
+  const sidecar = {
+    source: path.basename(inputPath),
+    width,
+    height,
+    min,
+    max,
+    model: options.estimator,
+    depthEstimationRange,
+  };
+
+  await writeDepthPNGs(depthBuffer, min, max, outputPath);
+  await writeFile(
+    outputPath(".depth.json"),
+    JSON.stringify(sidecar, null, 2) + "\n"
+  );
+  return sidecar;
+}
+
+/**
+ * Runs the `batch` command over every image in a directory.
+ * @async
+ * @function batch
+ * @param {string} inputDir - The directory of input images.
+ * @param {string} outputDir - The directory to write depth maps into.
+ * @param {Object} options - The parsed command line options.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function batch(inputDir, outputDir, options) {
+  const files = (await readdir(inputDir))
+    .filter((file) =>
+      IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    )
+    .sort();
+  if (files.length === 0) {
+    console.warn(`No images found in "${inputDir}".`);
+    return 0;
+  }
+
+  const tf = await loadTensorFlow();
+  await mkdir(outputDir, { recursive: true });
+  const estimator = await loadEstimator(options.estimator, options.models);
+
+  let failures = 0;
+  for (const [index, file] of files.entries()) {
+    const progress = `[${index + 1}/${files.length}]`;
+    try {
+      const { min, max } = await processFile(
+        tf,
+        estimator,
+        path.join(inputDir, file),
+        outputDir,
+        options
+      );
+      console.log(
+        `${progress} ${file} (depth ${min.toFixed(4)}–${max.toFixed(4)})`
+      );
+    } catch (error) {
+      failures++;
+      console.error(`${progress} ${file} failed:`, error.message);
+    }
+  }
+
+  estimator.dispose();
+  console.log(
+    `Processed ${files.length - failures} of ${files.length} images.`
+  );
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Runs the `video` command over the extracted frames of a video. Unlike
+ * `batch`, every frame is written with the same fixed 0..1 depth range, since
+ * stretching each frame to its own min/max would bring the flicker back.
+ * @async
+ * @function video
+ * @param {string} framesDir - The directory of PNG frames.
+ * @param {string} outputDir - The directory to write depth frames into.
+ * @param {Object} options - The parsed command line options.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function video(framesDir, outputDir, options) {
+  const files = (await readdir(framesDir))
+    .filter((file) => path.extname(file).toLowerCase() === ".png")
+    .sort();
+  if (files.length === 0) {
+    console.warn(`No PNG frames found in "${framesDir}".`);
+    return 0;
+  }
+
+  const tf = await loadTensorFlow();
+  await mkdir(outputDir, { recursive: true });
+  const estimator = await loadEstimator(options.estimator, options.models);
+  const filter = new TemporalDepthFilter({ smoothing: options.smoothing });
+  const frames = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const depthBuffer = filter.apply(
+        await estimateFile(tf, estimator, path.join(framesDir, file))
+      );
+      const baseName = path.parse(file).name;
+      await writeDepthPNGs(depthBuffer, 0, 1, (suffix) =>
+        path.join(outputDir, `${baseName}${suffix}`)
+      );
+      frames.push({
+        source: file,
+        width: depthBuffer.width,
+        height: depthBuffer.height,
+        ...depthBuffer.range(),
+      });
+      console.log(`[${index + 1}/${files.length}] ${file}`);
+    }
+  } catch (error) {
+    // A missing frame would shift every later frame, so stop here
+    console.error(`Frame ${frames.length + 1} failed:`, error.message);
+    return 1;
+  } finally {
+    estimator.dispose();
+  }
+
+  const sequence = {
+    model: options.estimator,
+    depthEstimationRange,
+    smoothing: options.smoothing,
+    frames,
+  };
+  await writeFile(
+    path.join(outputDir, "sequence.json"),
+    JSON.stringify(sequence, null, 2) + "\n"
+  );
+  console.log(`Processed ${files.length} frames.`);
+  return 0;
+}
+
+/**
+ * Entry point of the CLI.
+ * @async
+ * @function main
+ * @returns {Promise<void>}
+ */
+async function main() {
+  try {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+
+    if (options.help || !command) {
+      console.log(USAGE);
+      return;
+    }
+
+    const commands = { batch, video };
+    if (!Object.hasOwn(commands, command) || args.length !== 2) {
+      console.error(USAGE);
+      process.exitCode = 2;
+      return;
+    }
+
+    const [inputDir, outputDir] = args.map((dir) => path.resolve(dir));
+    process.exitCode = await commands[command](inputDir, outputDir, options);
+  } catch (error) {
+    console.error("An error occurred:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// fetch-models.js
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MODELS_DIR = path.resolve(SCRIPT_DIR, "..", "models");
+
+/**
+ * The TF Hub graph models ARPortraitDepth loads by default, keyed by the
+ * directory `depthmap.js` expects them in.
+ */
+const MODELS = {
+  ar_portrait_depth:
+    "https://tfhub.dev/tensorflow/tfjs-model/ar_portrait_depth/1",
+  selfie_segmentation:
+    "https://tfhub.dev/mediapipe/tfjs-model/selfie_segmentation/general/1",
+};
+
+/**
+ * Downloads a URL, failing on non-2xx responses.
+ * @async
+ * @function download
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<Response>} The response.
+ * @throws Will throw an error if the request fails.
+ */
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed with ${response.status}.`);
+  }
+  return response;
+}
+
+/**
+ * Downloads a TF Hub graph model (model.json and weight shards) into a directory.
+ * @async
+ * @function fetchModel
+ * @param {string} hubUrl - The TF Hub model URL.
+ * @param {string} targetDir - The directory to write the model into.
+ * @returns {Promise<void>}
+ */
+async function fetchModel(hubUrl, targetDir) {
+  const modelUrl = `${hubUrl}/model.json?tfjs-format=file`;
+  const modelJson = await (await download(modelUrl)).json();
+
+  await mkdir(targetDir, { recursive: true });
+  await writeFile(
+    path.join(targetDir, "model.json"),
+    JSON.stringify(modelJson)
+  );
+
+  const shardPaths = modelJson.weightsManifest.flatMap((group) => group.paths);
+  for (const shardPath of shardPaths) {
+    const shardUrl = `${hubUrl}/${shardPath}?tfjs-format=file`;
+    const shard = await (await download(shardUrl)).arrayBuffer();
+    await writeFile(path.join(targetDir, shardPath), Buffer.from(shard));
+  }
+}
+
+/**
+ * Vendors every model the CLI needs into `models/`.
+ * @async
+ * @function main
+ * @returns {Promise<void>}
+ */
+async function main() {
+  try {
+    for (const [name, hubUrl] of Object.entries(MODELS)) {
+      console.log(`Fetching ${name}...`);
+      await fetchModel(hubUrl, path.join(MODELS_DIR, name));
+    }
+    console.log(`Models written to ${MODELS_DIR}.`);
+  } catch (error) {
+    console.error("An error occurred:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
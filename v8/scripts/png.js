@@ -0,0 +1,101 @@
+// png.js
+
+import { deflateSync } from "node:zlib";
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Lookup table for the CRC-32 checksum used by PNG chunks.
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of a buffer.
+ * @function crc32
+ * @param {Buffer} buffer - The bytes to checksum.
+ * @returns {number} The unsigned CRC-32.
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk with its length and checksum.
+ * @function createChunk
+ * @param {string} type - The four-letter chunk type.
+ * @param {Buffer} data - The chunk payload.
+ * @returns {Buffer} The encoded chunk.
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, checksum]);
+}
+
+/**
+ * Encodes single-channel pixels as a grayscale PNG.
+ * @function encodeGrayscalePNG
+ * @param {Uint8Array|Uint16Array} pixels - Row-major pixel values, one per pixel.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {8|16} bitDepth - The bit depth of the output; must match the pixel array type.
+ * @returns {Buffer} The PNG file contents.
+ * @throws Will throw an error if the pixel count or bit depth is invalid.
+ */
+export function encodeGrayscalePNG(pixels, width, height, bitDepth) {
+  if (bitDepth !== 8 && bitDepth !== 16) {
+    throw new Error(`Unsupported PNG bit depth: ${bitDepth}.`);
+  }
+  if (pixels.length !== width * height) {
+    throw new Error("Pixel count does not match the image dimensions.");
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(bitDepth, 8);
+  header.writeUInt8(0, 9); // Colour type 0: grayscale
+  header.writeUInt8(0, 10); // Compression: deflate
+  header.writeUInt8(0, 11); // Filter method: adaptive
+  header.writeUInt8(0, 12); // No interlace
+
+  // Each scanline starts with a filter byte (0: none); 16-bit samples are big-endian
+  const bytesPerPixel = bitDepth / 8;
+  const stride = width * bytesPerPixel + 1;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = pixels[y * width + x];
+      const offset = y * stride + 1 + x * bytesPerPixel;
+      if (bitDepth === 16) {
+        raw.writeUInt16BE(value, offset);
+      } else {
+        raw[offset] = value;
+      }
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", deflateSync(raw)),
+    createChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,20 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vite";
+
+// Both pages are built: the face mesh app and the pipeline comparison.
+// Modules shared by every version live in ../shared, outside the app root
+export default defineConfig({
+  server: {
+    fs: {
+      allow: [".", "../shared"],
+    },
+  },
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL("./index.html", import.meta.url)),
+        compare: fileURLToPath(new URL("./compare.html", import.meta.url)),
+      },
+    },
+  },
+});